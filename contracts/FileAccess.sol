@@ -0,0 +1,188 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IStorageManagerEvents.sol";
+
+// Role of an account on a file, as reported by getFileAccessRole
+enum AccessRole { None, Reader, Editor, Admin, Owner }
+
+/**
+ * @title FileAccess
+ * @dev Enumerable per-file lists of the users a file is shared with and the permissions
+ * each of them holds. Grant and revoke events are emitted here on behalf of
+ * DecentralizedStorageManager.
+ *
+ * Permissions are a bitmask matching AccessControlService: READ lets a user read the file
+ * and its key, WRITE push new versions, DELETE delete the file, SHARE grant new users a
+ * subset of its own permissions, and ADMIN grant or revoke any permissions. The file owner
+ * implicitly holds all of them.
+ *
+ * A grant may carry an expiry timestamp; from then on it holds no permissions. Expired
+ * grants stay listed until they are replaced, revoked or cleared with expire.
+ */
+library FileAccess {
+
+    uint8 internal constant READ = 1;
+    uint8 internal constant WRITE = 2;
+    uint8 internal constant DELETE = 4;
+    uint8 internal constant SHARE = 8;
+    uint8 internal constant ADMIN = 16;
+    uint8 internal constant ALL = READ | WRITE | DELETE | SHARE | ADMIN;
+
+    struct List {
+        address[] users;
+        mapping(address => uint256) positions; // user => index + 1 in users
+        mapping(address => uint8) permissions;
+        mapping(address => uint256) expiresAt; // 0 for grants without expiry
+    }
+
+    /**
+     * @dev Grant a user permissions on a file, replacing any earlier grant.
+     * The owner and ADMIN holders may grant anything; SHARE holders may only add users
+     * without an unexpired grant, with a subset of their own permissions. Grants from anyone but the owner expire
+     * no later than the granter's own grant, so a time-limited ADMIN cannot extend itself.
+     * @param _list Access list of the file
+     * @param _fileId File identifier
+     * @param _owner Owner of the file
+     * @param _user User address to grant access
+     * @param _permissions Permission bits to grant (must include READ)
+     * @param _expiresAt Timestamp the grant expires at, or 0 for no expiry
+     */
+    function grant(
+        List storage _list,
+        string memory _fileId,
+        address _owner,
+        address _user,
+        uint8 _permissions,
+        uint256 _expiresAt
+    ) public {
+        require(_user != address(0), "Invalid user address");
+        require(_user != _owner, "Owner already has full access");
+        require(_permissions & READ != 0 && _permissions & ~ALL == 0, "Invalid permissions");
+        require(_expiresAt == 0 || _expiresAt > block.timestamp, "Expiry must be in the future");
+
+        if (msg.sender != _owner) {
+            uint8 own = activePermissions(_list, msg.sender);
+            if (own & ADMIN == 0) {
+                require(own & SHARE != 0, "Not allowed to share file");
+                require(_permissions & ~own == 0, "Cannot grant permissions you do not hold");
+                require(activePermissions(_list, _user) == 0, "User already has access");
+            }
+
+            uint256 ownExpiry = _list.expiresAt[msg.sender];
+            require(ownExpiry == 0 || (_expiresAt != 0 && _expiresAt <= ownExpiry), "Cannot grant beyond your own expiry");
+        }
+
+        if (_list.positions[_user] == 0) {
+            _list.users.push(_user);
+            _list.positions[_user] = _list.users.length;
+        }
+        _list.permissions[_user] = _permissions;
+        _list.expiresAt[_user] = _expiresAt;
+
+        emit IStorageManagerEvents.AccessGranted(_fileId, _user, msg.sender, _permissions, _expiresAt);
+    }
+
+    /**
+     * @dev Remove a user from a file's access list (owner or ADMIN holders only)
+     * @param _list Access list of the file
+     * @param _fileId File identifier
+     * @param _owner Owner of the file
+     * @param _user User address to revoke access
+     * @return True if the user had access
+     */
+    function revoke(
+        List storage _list,
+        string memory _fileId,
+        address _owner,
+        address _user
+    ) public returns (bool) {
+        require(msg.sender == _owner || activePermissions(_list, msg.sender) & ADMIN != 0, "Not allowed to revoke access");
+
+        if (!_remove(_list, _user)) {
+            return false;
+        }
+
+        emit IStorageManagerEvents.AccessRevoked(_fileId, _user, msg.sender);
+        return true;
+    }
+
+    /**
+     * @dev Remove an expired grant from a file's access list. Callable by anyone.
+     * @param _list Access list of the file
+     * @param _fileId File identifier
+     * @param _user User whose grant expired
+     */
+    function expire(List storage _list, string memory _fileId, address _user) public {
+        uint256 expiresAt = _list.expiresAt[_user];
+        require(_list.positions[_user] != 0 && expiresAt != 0 && expiresAt <= block.timestamp, "Grant has not expired");
+
+        _remove(_list, _user);
+        emit IStorageManagerEvents.AccessExpired(_fileId, _user, expiresAt);
+    }
+
+    /**
+     * @dev Check whether a user holds all of the given permissions through an unexpired grant
+     * @param _list Access list of the file
+     * @param _user User address
+     * @param _permissions Permission bits to check
+     * @return True if the user holds every requested permission
+     */
+    function hasPermissions(List storage _list, address _user, uint8 _permissions) internal view returns (bool) {
+        return activePermissions(_list, _user) & _permissions == _permissions;
+    }
+
+    /**
+     * @dev Permissions a user currently holds
+     * @param _list Access list of the file
+     * @param _user User address
+     * @return Permission bits of the user's grant, or 0 once it has expired
+     */
+    function activePermissions(List storage _list, address _user) internal view returns (uint8) {
+        uint256 expiresAt = _list.expiresAt[_user];
+        if (expiresAt != 0 && expiresAt <= block.timestamp) {
+            return 0;
+        }
+        return _list.permissions[_user];
+    }
+
+    /**
+     * @dev Role summarizing a user's grant
+     * @param _list Access list of the file
+     * @param _user User address
+     * @return Admin for ADMIN holders, Editor for WRITE or DELETE holders, Reader for other
+     * grants, None without an unexpired grant
+     */
+    function roleOf(List storage _list, address _user) public view returns (AccessRole) {
+        uint8 permissions = activePermissions(_list, _user);
+        if (permissions & ADMIN != 0) {
+            return AccessRole.Admin;
+        }
+        if (permissions & (WRITE | DELETE) != 0) {
+            return AccessRole.Editor;
+        }
+        return permissions != 0 ? AccessRole.Reader : AccessRole.None;
+    }
+
+    /**
+     * @dev Remove a user's grant. The last entry takes its place in the user list.
+     * @param _list Access list of the file
+     * @param _user User address
+     * @return True if the user had a grant
+     */
+    function _remove(List storage _list, address _user) private returns (bool) {
+        uint256 position = _list.positions[_user];
+        if (position == 0) {
+            return false;
+        }
+
+        address last = _list.users[_list.users.length - 1];
+        _list.users[position - 1] = last;
+        _list.positions[last] = position;
+        _list.users.pop();
+        delete _list.positions[_user];
+        delete _list.permissions[_user];
+        delete _list.expiresAt[_user];
+        return true;
+    }
+}
@@ -0,0 +1,190 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IStorageManagerEvents.sol";
+
+/**
+ * @title FileIndex
+ * @dev Enumerable sets of file IDs with paginated reads, used for the owner, shared-with and
+ * tag indexes of DecentralizedStorageManager, plus keeping a file's tag list in sync with the
+ * tag index.
+ */
+library FileIndex {
+
+    struct Set {
+        string[] fileIds;
+        mapping(bytes32 => uint256) positions; // keccak256(fileId) => index + 1
+    }
+
+    /**
+     * @dev Add a file ID to a set
+     * @param _set Index to update
+     * @param _fileId File identifier
+     * @return True if the file ID was not in the set yet
+     */
+    function add(Set storage _set, string memory _fileId) public returns (bool) {
+        bytes32 key = keccak256(bytes(_fileId));
+        if (_set.positions[key] != 0) {
+            return false;
+        }
+
+        _set.fileIds.push(_fileId);
+        _set.positions[key] = _set.fileIds.length;
+        return true;
+    }
+
+    /**
+     * @dev Remove a file ID from a set. The last entry takes its place, so order is not kept.
+     * @param _set Index to update
+     * @param _fileId File identifier
+     * @return True if the file ID was in the set
+     */
+    function remove(Set storage _set, string memory _fileId) public returns (bool) {
+        bytes32 key = keccak256(bytes(_fileId));
+        uint256 position = _set.positions[key];
+        if (position == 0) {
+            return false;
+        }
+
+        uint256 lastIndex = _set.fileIds.length - 1;
+        if (position - 1 != lastIndex) {
+            string memory last = _set.fileIds[lastIndex];
+            _set.fileIds[position - 1] = last;
+            _set.positions[keccak256(bytes(last))] = position;
+        }
+        _set.fileIds.pop();
+        delete _set.positions[key];
+        return true;
+    }
+
+    /**
+     * @dev Move a file ID from one account's set to another's, e.g. on an ownership transfer
+     * @param _index Sets by account
+     * @param _from Account losing the file ID
+     * @param _to Account gaining the file ID
+     * @param _fileId File identifier
+     */
+    function move(
+        mapping(address => Set) storage _index,
+        address _from,
+        address _to,
+        string memory _fileId
+    ) public {
+        remove(_index[_from], _fileId);
+        add(_index[_to], _fileId);
+    }
+
+    /**
+     * @dev Drop a deleted file from every index: its owner's files, its tags and the
+     * shared-with sets of the users it was shared with
+     * @param _owned Files of the owner
+     * @param _tagIndex Files by keccak256(tag)
+     * @param _tags Tag list of the file
+     * @param _sharedIndex Files shared with each user
+     * @param _users Users the file is shared with
+     * @param _fileId File identifier
+     */
+    function removeFile(
+        Set storage _owned,
+        mapping(bytes32 => Set) storage _tagIndex,
+        string[] storage _tags,
+        mapping(address => Set) storage _sharedIndex,
+        address[] storage _users,
+        string memory _fileId
+    ) public {
+        remove(_owned, _fileId);
+        for (uint256 i = 0; i < _tags.length; i++) {
+            remove(_tagIndex[keccak256(bytes(_tags[i]))], _fileId);
+        }
+        for (uint256 i = 0; i < _users.length; i++) {
+            remove(_sharedIndex[_users[i]], _fileId);
+        }
+    }
+
+    /**
+     * @dev Check whether a set contains a file ID
+     * @param _set Index to search
+     * @param _fileId File identifier
+     * @return True if the file ID is in the set
+     */
+    function contains(Set storage _set, string memory _fileId) internal view returns (bool) {
+        return _set.positions[keccak256(bytes(_fileId))] != 0;
+    }
+
+    /**
+     * @dev Read one page of a set
+     * @param _set Index to read
+     * @param _offset Number of entries to skip
+     * @param _limit Maximum number of entries to return
+     * @return fileIds File IDs in the page
+     * @return total Number of entries in the set
+     */
+    function page(
+        Set storage _set,
+        uint256 _offset,
+        uint256 _limit
+    ) public view returns (string[] memory fileIds, uint256 total) {
+        total = _set.fileIds.length;
+        if (_offset >= total) {
+            return (new string[](0), total);
+        }
+
+        uint256 end = _offset + _limit > total ? total : _offset + _limit;
+        fileIds = new string[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            fileIds[i - _offset] = _set.fileIds[i];
+        }
+    }
+
+    /**
+     * @dev Tag a file. Tags the file already has are skipped.
+     * @param _tagIndex Files by keccak256(tag)
+     * @param _tags Tag list of the file
+     * @param _fileId File identifier
+     * @param _newTags Tags to add
+     */
+    function addTags(
+        mapping(bytes32 => Set) storage _tagIndex,
+        string[] storage _tags,
+        string memory _fileId,
+        string[] memory _newTags
+    ) public {
+        for (uint256 i = 0; i < _newTags.length; i++) {
+            require(bytes(_newTags[i]).length > 0, "Tag cannot be empty");
+            if (add(_tagIndex[keccak256(bytes(_newTags[i]))], _fileId)) {
+                _tags.push(_newTags[i]);
+                emit IStorageManagerEvents.FileTagAdded(_fileId, _newTags[i]);
+            }
+        }
+    }
+
+    /**
+     * @dev Remove tags from a file. Tags the file does not have are skipped.
+     * @param _tagIndex Files by keccak256(tag)
+     * @param _tags Tag list of the file
+     * @param _fileId File identifier
+     * @param _oldTags Tags to remove
+     */
+    function removeTags(
+        mapping(bytes32 => Set) storage _tagIndex,
+        string[] storage _tags,
+        string memory _fileId,
+        string[] memory _oldTags
+    ) public {
+        for (uint256 i = 0; i < _oldTags.length; i++) {
+            bytes32 key = keccak256(bytes(_oldTags[i]));
+            if (!remove(_tagIndex[key], _fileId)) {
+                continue;
+            }
+
+            for (uint256 j = 0; j < _tags.length; j++) {
+                if (keccak256(bytes(_tags[j])) == key) {
+                    _tags[j] = _tags[_tags.length - 1];
+                    _tags.pop();
+                    break;
+                }
+            }
+            emit IStorageManagerEvents.FileTagRemoved(_fileId, _oldTags[i]);
+        }
+    }
+}
@@ -1,60 +1,54 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./StorageToken.sol";
+import "./ProviderSelection.sol";
+import "./ProviderRegistry.sol";
+import "./FileIndex.sol";
+import "./FileAccess.sol";
+import "./StorageChallenges.sol";
+import "./FileVersions.sol";
+import "./StorageContracts.sol";
+import "./IStorageManagerEvents.sol";
 
 /**
  * @title DecentralizedStorageManager
  * @dev Comprehensive smart contract for decentralized file storage with incentives
+ *
+ * Deployed behind a transparent proxy and set up with initialize(). Upgrades must keep the
+ * existing state variables in place and only append new ones; the inherited OpenZeppelin
+ * contracts keep their state in namespaced (ERC-7201) storage.
+ *
+ * Provider, storage contract, challenge, version, access and index logic lives in linked
+ * libraries, which keeps the manager under the contract size limit. Its events are declared in
+ * IStorageManagerEvents, which the libraries emit through.
  */
-contract DecentralizedStorageManager is Ownable, ReentrancyGuard {
-
-    // Storage provider structure
-    struct StorageProvider {
-        address providerAddress;
-        uint256 totalStorage; // in bytes
-        uint256 usedStorage;
-        uint256 reputation; // 0-1000 scale
-        uint256 pricePerGB; // in wei per GB per day
-        bool isActive;
-        uint256 stakedAmount;
-        uint256 joinedTimestamp;
-        string nodeId; // IPFS node ID
-        string region;
-    }
+contract DecentralizedStorageManager is IStorageManagerEvents, Initializable, OwnableUpgradeable, ReentrancyGuardUpgradeable {
+    using FileIndex for FileIndex.Set;
+    using FileAccess for FileAccess.List;
+    using StorageChallenges for StorageChallenges.Book;
+    using FileVersions for FileVersion[];
 
     // File metadata structure
     struct FileMetadata {
         string fileId;
         string contentHash; // IPFS hash or content identifier
+        bytes32 merkleRoot; // keccak256 Merkle root over the stored chunks
+        uint256 chunkCount;
         address owner;
         uint256 fileSize;
         uint256 uploadTimestamp;
         uint256 lastAccessTimestamp;
-        string encryptionKey; // encrypted with owner's public key
         bool isPublic;
         uint256 accessCount;
         string[] tags;
-        mapping(address => bool) authorizedUsers;
         address[] storageProviders;
         uint256 replicationFactor;
-    }
-
-    // Storage contract structure
-    struct StorageContract {
-        string fileId;
-        address provider;
-        address client;
-        uint256 duration; // in days
-        uint256 pricePerDay;
-        uint256 startTime;
-        uint256 endTime;
-        bool isActive;
-        uint256 collateral;
-        uint256 lastProofTime;
+        bool isDeleted;
     }
 
     // Incentive pool structure
@@ -67,32 +61,56 @@ contract DecentralizedStorageManager is Ownable, ReentrancyGuard {
 
     // State variables
     mapping(address => StorageProvider) public storageProviders;
-    mapping(string => FileMetadata) public fileMetadata;
+    mapping(string => FileMetadata) private fileMetadata; // read through getFileInfo and getFileVersion
     mapping(bytes32 => StorageContract) public storageContracts;
     mapping(address => uint256) public userBalances;
     mapping(address => uint256) public providerEarnings;
+    mapping(string => bytes32[]) private fileStorageContracts;
+    mapping(string => ProviderPreferences) private filePreferences;
+    mapping(string => FileVersion[]) private fileVersions;
+    mapping(address => bytes) public encryptionPublicKeys; // compressed secp256k1 keys used to wrap file keys
+    mapping(string => mapping(address => string)) private wrappedKeys; // file data key wrapped for each reader
+    mapping(string => FileAccess.List) private fileAccess; // users each file is shared with
+    mapping(address => FileIndex.Set) private ownerFiles;
+    mapping(address => FileIndex.Set) private sharedFiles; // user => files shared with them
+    mapping(bytes32 => FileIndex.Set) private tagFiles; // keccak256(tag) => tagged files
+    mapping(string => address) public pendingFileOwners; // file => account that may accept ownership
+    StorageContracts.ActiveSet private activeContracts;
+    mapping(address => uint256) private activeProviderIndex; // provider => index + 1 in activeProviders
+    StorageChallenges.Book private challengeBook;
     
     address[] public activeProviders;
     string[] public allFiles;
     IncentivePool public incentivePool;
     
-    IERC20 public storageToken; // ERC20 token for payments
+    StorageToken public storageToken; // ERC20 token for payments and provider stake
+    address public disputeModule; // StorageDisputes, allowed to slash alongside the owner and to hold exits
     uint256 public constant MIN_STAKE = 1000 * 10**18; // 1000 tokens
     uint256 public constant PROOF_INTERVAL = 1 days;
-    uint256 public constant MAX_REPUTATION = 1000;
-    
-    // Events
-    event ProviderRegistered(address indexed provider, string nodeId, uint256 stakedAmount);
-    event FileUploaded(string indexed fileId, address indexed owner, uint256 fileSize);
-    event StorageContractCreated(bytes32 indexed contractId, string fileId, address provider, address client);
-    event ProofOfStorageSubmitted(bytes32 indexed contractId, address provider, bool success);
-    event RewardDistributed(address indexed provider, uint256 amount);
-    event PenaltyApplied(address indexed provider, uint256 amount);
-    event FileAccessed(string indexed fileId, address indexed user);
-    event ProviderSlashed(address indexed provider, uint256 amount, string reason);
-
-    constructor(address _storageToken) Ownable(msg.sender) {
-        storageToken = IERC20(_storageToken);
+    uint256 public constant DEFAULT_CONTRACT_DURATION = 365; // in days
+    uint256 public constant UNBONDING_PERIOD = 7 days;
+    // Time a provider has to check a new contract's data against its Merkle root and reject it;
+    // the contract cannot be challenged until it is over
+    uint256 public constant ACCEPTANCE_PERIOD = 1 days;
+
+    uint256 public constant MAX_REPUTATION = ProviderSelection.MAX_REPUTATION;
+    uint256 public constant CHALLENGE_SEED_DELAY = StorageChallenges.SEED_DELAY;
+    uint256 public constant CHALLENGE_RESPONSE_BLOCKS = StorageChallenges.RESPONSE_BLOCKS;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Set up the proxy; the caller becomes the owner
+     * @param _storageToken StorageToken used for payments and provider stake
+     */
+    function initialize(address _storageToken) external initializer {
+        __Ownable_init(msg.sender);
+        __ReentrancyGuard_init();
+
+        storageToken = StorageToken(_storageToken);
         incentivePool = IncentivePool({
             totalRewards: 0,
             distributedRewards: 0,
@@ -102,7 +120,8 @@ contract DecentralizedStorageManager is Ownable, ReentrancyGuard {
     }
 
     /**
-     * @dev Register as a storage provider
+     * @dev Register as a storage provider. MIN_STAKE of the caller's StorageToken stake is
+     * locked as collateral, so it must be staked there first.
      * @param _totalStorage Total storage capacity in bytes
      * @param _pricePerGB Price per GB per day in wei
      * @param _nodeId IPFS node identifier
@@ -114,31 +133,151 @@ contract DecentralizedStorageManager is Ownable, ReentrancyGuard {
         string memory _nodeId,
         string memory _region
     ) external {
-        require(_totalStorage > 0, "Storage capacity must be greater than 0");
-        require(_pricePerGB > 0, "Price must be greater than 0");
-        require(!storageProviders[msg.sender].isActive, "Provider already registered");
-        
-        // Stake tokens
-        require(
-            storageToken.transferFrom(msg.sender, address(this), MIN_STAKE),
-            "Failed to stake tokens"
+        ProviderRegistry.register(
+            storageProviders,
+            activeProviders,
+            activeProviderIndex,
+            storageToken,
+            MIN_STAKE,
+            _totalStorage,
+            _pricePerGB,
+            _nodeId,
+            _region
         );
+    }
 
-        storageProviders[msg.sender] = StorageProvider({
-            providerAddress: msg.sender,
-            totalStorage: _totalStorage,
-            usedStorage: 0,
-            reputation: 500, // Start with medium reputation
-            pricePerGB: _pricePerGB,
-            isActive: true,
-            stakedAmount: MIN_STAKE,
-            joinedTimestamp: block.timestamp,
-            nodeId: _nodeId,
-            region: _region
-        });
+    /**
+     * @dev Update a provider's offer. New prices only apply to future storage contracts.
+     * @param _totalStorage Total storage capacity in bytes (not below used storage)
+     * @param _pricePerGB Price per GB per day in wei
+     * @param _nodeId IPFS node identifier
+     * @param _region Geographic region
+     */
+    function updateProvider(
+        uint256 _totalStorage,
+        uint256 _pricePerGB,
+        string memory _nodeId,
+        string memory _region
+    ) external {
+        ProviderRegistry.update(storageProviders, _totalStorage, _pricePerGB, _nodeId, _region);
+    }
+
+    /**
+     * @dev Lock more of the caller's StorageToken stake on top of the current amount.
+     * A provider deactivated by slashing is reactivated once its stake is back to MIN_STAKE.
+     * @param _amount Amount of staked tokens to lock
+     */
+    function addStake(uint256 _amount) external {
+        ProviderRegistry.addStake(storageProviders, storageToken, _amount, MIN_STAKE);
+    }
+
+    /**
+     * @dev Start leaving the network. The provider stops receiving new files immediately;
+     * its storage contracts are moved to other providers during the unbonding period.
+     */
+    function requestExit() external {
+        if (ProviderRegistry.requestExit(storageProviders, activeProviders, activeProviderIndex, UNBONDING_PERIOD)) {
+            _deactivateProvider(msg.sender);
+        }
+    }
+
+    /**
+     * @dev Finish exiting after the unbonding period and unlock the remaining stake.
+     * Contracts that could not be moved to another provider are closed and refunded.
+     * Blocked while the dispute module has disputes against the provider open or under appeal.
+     */
+    function completeExit() external nonReentrant {
+        StorageProvider storage provider = storageProviders[msg.sender];
+        require(provider.unbondingEnd != 0, "Exit not requested");
+        require(block.timestamp >= provider.unbondingEnd, "Unbonding period not over");
+
+        bytes32[] storage contractIds = activeContracts.contractIds[msg.sender];
+        while (contractIds.length > 0) {
+            _closeStorageContract(contractIds[contractIds.length - 1]);
+        }
+
+        ProviderRegistry.completeExit(storageProviders, storageToken, IDisputeModule(disputeModule));
+    }
+
+    /**
+     * @dev Move a storage contract of an inactive (slashed or exiting) provider to a newly
+     * selected provider (callable by anyone, typically a keeper reacting to ReplicaLost).
+     * The replacement runs until the original end time; the old contract's unspent escrow is
+     * refunded and the replacement is paid from the client's balance.
+     * @param _contractId Storage contract identifier
+     * @return newContractId Identifier of the replacement contract
+     */
+    function replaceStorageContract(bytes32 _contractId) external returns (bytes32 newContractId) {
+        StorageContract storage oldContract = _activeContract(_contractId);
+        require(!storageProviders[oldContract.provider].isActive, "Provider is still active");
+
+        string memory fileId = oldContract.fileId;
+        address client = oldContract.client;
+        uint256 endTime = oldContract.endTime;
+        uint256 version = oldContract.version;
+        require(block.timestamp < endTime, "Contract has ended");
 
-        activeProviders.push(msg.sender);
-        emit ProviderRegistered(msg.sender, _nodeId, MIN_STAKE);
+        address[] memory selected = _selectBestProviders(
+            1,
+            fileVersions[fileId][version].fileSize,
+            filePreferences[fileId],
+            StorageContracts.versionProviders(storageContracts, fileStorageContracts[fileId], version)
+        );
+
+        _closeStorageContract(_contractId);
+        newContractId = _createStorageContract(fileId, version, selected[0], client, endTime);
+
+        emit StorageContractReplaced(_contractId, newContractId, fileId);
+    }
+
+    /**
+     * @dev Take a provider out of selection and flag each of its replicas for repair
+     * @param _provider Provider address
+     */
+    function _deactivateProvider(address _provider) internal {
+        StorageContracts.deactivateProvider(storageContracts, activeContracts, storageProviders, _provider);
+    }
+
+    /**
+     * @dev Deposit tokens to pay for storage
+     * @param _amount Amount to deposit
+     */
+    function deposit(uint256 _amount) external nonReentrant {
+        require(_amount > 0, "Amount must be greater than 0");
+        _receiveTokens(_amount);
+
+        userBalances[msg.sender] = userBalances[msg.sender] + _amount;
+        emit Deposited(msg.sender, _amount);
+    }
+
+    /**
+     * @dev Withdraw deposited tokens that are not locked in escrow
+     * @param _amount Amount to withdraw
+     */
+    function withdraw(uint256 _amount) external nonReentrant {
+        require(_amount > 0, "Amount must be greater than 0");
+        require(userBalances[msg.sender] >= _amount, "Insufficient balance");
+
+        userBalances[msg.sender] = userBalances[msg.sender] - _amount;
+        _sendTokens(_amount);
+
+        emit Withdrawn(msg.sender, _amount);
+    }
+
+    /**
+     * @dev Transfer tokens from the caller to this contract (requires approval)
+     * @param _amount Amount to transfer
+     */
+    function _receiveTokens(uint256 _amount) internal {
+        require(storageToken.transferFrom(msg.sender, address(this), _amount), "Transfer failed");
+    }
+
+    /**
+     * @dev Transfer tokens held by this contract to the caller
+     * @param _amount Amount to transfer
+     */
+    function _sendTokens(uint256 _amount) internal {
+        require(storageToken.transfer(msg.sender, _amount), "Transfer failed");
     }
 
     /**
@@ -146,143 +285,294 @@ contract DecentralizedStorageManager is Ownable, ReentrancyGuard {
      * @param _fileId Unique file identifier
      * @param _contentHash IPFS content hash
      * @param _fileSize File size in bytes
-     * @param _encryptionKey Encrypted encryption key
+     * @param _merkleRoot Merkle root of the stored chunks (see FileIntegrityService)
+     * @param _chunkCount Number of chunks committed to by the Merkle root (see FileVersions.CHUNK_SIZE)
+     * @param _wrappedKey File data key wrapped with the owner's encryption public key (empty if unencrypted)
      * @param _isPublic Whether file is publicly accessible
      * @param _tags File tags for categorization
      * @param _replicationFactor Number of copies to maintain
+     * @param _preferences Price limit and region preferences for provider selection
+     * Storage is paid up front from the caller's deposited balance (see getUploadQuote).
      */
     function uploadFile(
         string memory _fileId,
         string memory _contentHash,
         uint256 _fileSize,
-        string memory _encryptionKey,
+        bytes32 _merkleRoot,
+        uint256 _chunkCount,
+        string memory _wrappedKey,
         bool _isPublic,
         string[] memory _tags,
-        uint256 _replicationFactor
+        uint256 _replicationFactor,
+        ProviderPreferences memory _preferences
     ) external {
         require(bytes(_fileId).length > 0, "File ID cannot be empty");
-        require(bytes(_contentHash).length > 0, "Content hash cannot be empty");
-        require(_fileSize > 0, "File size must be greater than 0");
         require(_replicationFactor > 0 && _replicationFactor <= 10, "Invalid replication factor");
         require(bytes(fileMetadata[_fileId].fileId).length == 0, "File already exists");
 
         FileMetadata storage newFile = fileMetadata[_fileId];
         newFile.fileId = _fileId;
         newFile.contentHash = _contentHash;
+        newFile.merkleRoot = _merkleRoot;
+        newFile.chunkCount = _chunkCount;
         newFile.owner = msg.sender;
         newFile.fileSize = _fileSize;
         newFile.uploadTimestamp = block.timestamp;
         newFile.lastAccessTimestamp = block.timestamp;
-        newFile.encryptionKey = _encryptionKey;
         newFile.isPublic = _isPublic;
         newFile.accessCount = 0;
-        newFile.tags = _tags;
         newFile.replicationFactor = _replicationFactor;
+        filePreferences[_fileId] = _preferences;
+        wrappedKeys[_fileId][msg.sender] = _wrappedKey;
+        fileVersions[_fileId].push(_contentHash, _fileSize, _merkleRoot, _chunkCount, "");
 
         allFiles.push(_fileId);
+        ownerFiles[msg.sender].add(_fileId);
+        FileIndex.addTags(tagFiles, newFile.tags, _fileId, _tags);
         emit FileUploaded(_fileId, msg.sender, _fileSize);
 
         // Automatically create storage contracts with best providers
-        _createStorageContracts(_fileId, _replicationFactor);
+        _createStorageContracts(_fileId, 0, _replicationFactor, _preferences);
+    }
+
+    /**
+     * @dev Add a new version of a file. The new content gets its own storage contracts
+     * (same replication factor and provider preferences as the upload) while the contracts
+     * of earlier versions keep running, so old versions stay restorable.
+     * Callable by the owner and WRITE holders; the caller pays for the new version's storage.
+     * @param _fileId File identifier
+     * @param _contentHash IPFS content hash of the new version
+     * @param _fileSize Size of the new version in bytes
+     * @param _merkleRoot Merkle root of the new version's chunks
+     * @param _chunkCount Number of chunks committed to by the Merkle root
+     * @param _note Short description of the change
+     * @return version Index of the new version
+     */
+    function addFileVersion(
+        string memory _fileId,
+        string memory _contentHash,
+        uint256 _fileSize,
+        bytes32 _merkleRoot,
+        uint256 _chunkCount,
+        string memory _note
+    ) external returns (uint256 version) {
+        FileMetadata storage file = _existingFile(_fileId);
+        require(_hasPermissions(_fileId, msg.sender, FileAccess.WRITE), "Not allowed to add versions");
+
+        version = fileVersions[_fileId].push(_contentHash, _fileSize, _merkleRoot, _chunkCount, _note);
+
+        file.contentHash = _contentHash;
+        file.merkleRoot = _merkleRoot;
+        file.chunkCount = _chunkCount;
+        file.fileSize = _fileSize;
+
+        emit FileVersionAdded(_fileId, version, _contentHash, msg.sender);
+
+        _createStorageContracts(_fileId, version, file.replicationFactor, filePreferences[_fileId]);
+    }
+
+    /**
+     * @dev Get the number of stored versions of a file
+     * @param _account Account reading the history (must be able to read the file)
+     * @param _fileId File identifier
+     * @return Number of versions, including the original upload
+     */
+    function getFileVersionCount(address _account, string memory _fileId) external view returns (uint256) {
+        _existingFile(_fileId);
+        require(_canRead(_fileId, _account), "Access denied");
+        return fileVersions[_fileId].length;
+    }
+
+    /**
+     * @dev Get one version of a file
+     * @param _account Account reading the history (must be able to read the file)
+     * @param _fileId File identifier
+     * @param _version Version index (0 is the original upload)
+     * @return contentHash IPFS content hash of the version
+     * @return timestamp When the version was added
+     * @return fileSize Size of the version in bytes
+     * @return author Account that added the version
+     * @return note Description of the change
+     */
+    function getFileVersion(address _account, string memory _fileId, uint256 _version) external view returns (
+        string memory contentHash,
+        uint256 timestamp,
+        uint256 fileSize,
+        address author,
+        string memory note
+    ) {
+        _existingFile(_fileId);
+        require(_canRead(_fileId, _account), "Access denied");
+        require(_version < fileVersions[_fileId].length, "Version does not exist");
+
+        FileVersion storage fileVersion = fileVersions[_fileId][_version];
+        return (
+            fileVersion.contentHash,
+            fileVersion.timestamp,
+            fileVersion.fileSize,
+            fileVersion.author,
+            fileVersion.note
+        );
     }
 
     /**
      * @dev Create storage contracts with selected providers
      * @param _fileId File identifier
+     * @param _version File version to store
      * @param _replicationFactor Number of providers needed
+     * @param _preferences Provider selection preferences
      */
-    function _createStorageContracts(string memory _fileId, uint256 _replicationFactor) internal {
-        address[] memory selectedProviders = _selectBestProviders(_replicationFactor, fileMetadata[_fileId].fileSize);
+    function _createStorageContracts(
+        string memory _fileId,
+        uint256 _version,
+        uint256 _replicationFactor,
+        ProviderPreferences memory _preferences
+    ) internal {
+        address[] memory selectedProviders = _selectBestProviders(
+            _replicationFactor,
+            fileVersions[_fileId][_version].fileSize,
+            _preferences,
+            new address[](0)
+        );
         
+        uint256 endTime = block.timestamp + DEFAULT_CONTRACT_DURATION * 1 days;
         for (uint256 i = 0; i < selectedProviders.length; i++) {
-            address provider = selectedProviders[i];
-            StorageProvider storage providerData = storageProviders[provider];
-            
-            bytes32 contractId = keccak256(abi.encodePacked(_fileId, provider, block.timestamp));
-            uint256 duration = 365; // 1 year default
-            uint256 pricePerDay = (providerData.pricePerGB * fileMetadata[_fileId].fileSize) / 10**9; // Convert to per day
-            
-            storageContracts[contractId] = StorageContract({
-                fileId: _fileId,
-                provider: provider,
-                client: msg.sender,
-                duration: duration,
-                pricePerDay: pricePerDay,
-                startTime: block.timestamp,
-                endTime: block.timestamp + (duration * 1 days),
-                isActive: true,
-                collateral: pricePerDay * 30, // 30 days collateral
-                lastProofTime: block.timestamp
-            });
-
-            // Update provider's used storage
-            providerData.usedStorage = providerData.usedStorage + fileMetadata[_fileId].fileSize;
-            fileMetadata[_fileId].storageProviders.push(provider);
-
-            emit StorageContractCreated(contractId, _fileId, provider, msg.sender);
+            _createStorageContract(_fileId, _version, selectedProviders[i], msg.sender, endTime);
         }
     }
 
     /**
-     * @dev Select best storage providers based on reputation, price, and availability
+     * @dev Create one storage contract, locking its full price from the client's deposit
+     * @param _fileId File identifier
+     * @param _version File version to store
+     * @param _provider Provider storing the replica
+     * @param _client Client paying for storage
+     * @param _endTime When the contract ends
+     * @return contractId Identifier of the new contract
+     */
+    function _createStorageContract(
+        string memory _fileId,
+        uint256 _version,
+        address _provider,
+        address _client,
+        uint256 _endTime
+    ) internal returns (bytes32 contractId) {
+        return StorageContracts.open(
+            storageContracts,
+            activeContracts,
+            storageProviders,
+            userBalances,
+            fileMetadata[_fileId].storageProviders,
+            fileStorageContracts[_fileId],
+            _fileId,
+            _version,
+            fileVersions[_fileId][_version].fileSize,
+            _provider,
+            _client,
+            _endTime
+        );
+    }
+
+    /**
+     * @dev Total escrow uploadFile would lock for a file with the current provider set
+     * @param _fileSize File size in bytes
+     * @param _replicationFactor Number of copies to maintain
+     * @param _preferences Provider selection preferences
+     * @return Amount that must be available in the caller's deposited balance
+     */
+    function getUploadQuote(
+        uint256 _fileSize,
+        uint256 _replicationFactor,
+        ProviderPreferences memory _preferences
+    ) external view returns (uint256) {
+        address[] memory selectedProviders = _selectBestProviders(
+            _replicationFactor,
+            _fileSize,
+            _preferences,
+            new address[](0)
+        );
+
+        uint256 total = 0;
+        for (uint256 i = 0; i < selectedProviders.length; i++) {
+            uint256 pricePerDay = StorageContracts.pricePerDay(storageProviders[selectedProviders[i]].pricePerGB, _fileSize);
+            total = total + DEFAULT_CONTRACT_DURATION * pricePerDay;
+        }
+        return total;
+    }
+
+    /**
+     * @dev Select storage providers for a file from the active provider list (see ProviderSelection)
      * @param _count Number of providers to select
      * @param _fileSize Size of file to store
+     * @param _preferences Price limit and region preferences
+     * @param _exclude Providers that must not be selected (e.g. current holders of the file)
      * @return Array of selected provider addresses
      */
-    function _selectBestProviders(uint256 _count, uint256 _fileSize) internal view returns (address[] memory) {
-        require(_count <= activeProviders.length, "Not enough active providers");
-        
-        address[] memory availableProviders = new address[](activeProviders.length);
-        uint256 availableCount = 0;
-        
-        // Filter available providers
-        for (uint256 i = 0; i < activeProviders.length; i++) {
-            address provider = activeProviders[i];
-            StorageProvider storage providerData = storageProviders[provider];
-            
-            if (providerData.isActive && 
-                providerData.totalStorage - providerData.usedStorage >= _fileSize) {
-                availableProviders[availableCount] = provider;
-                availableCount++;
-            }
-        }
-        
-        require(availableCount >= _count, "Not enough available storage capacity");
-        
-        // Simple selection based on reputation (in production, use more sophisticated algorithm)
-        address[] memory selected = new address[](_count);
-        for (uint256 i = 0; i < _count && i < availableCount; i++) {
-            selected[i] = availableProviders[i];
-        }
-        
-        return selected;
+    function _selectBestProviders(
+        uint256 _count,
+        uint256 _fileSize,
+        ProviderPreferences memory _preferences,
+        address[] memory _exclude
+    ) internal view returns (address[] memory) {
+        return ProviderSelection.selectBestProviders(
+            storageProviders,
+            activeProviders,
+            _count,
+            _fileSize,
+            _preferences,
+            _exclude
+        );
     }
 
     /**
-     * @dev Submit proof of storage for a file
+     * @dev Issue a proof-of-storage challenge against a storage contract (callable by anyone)
+     * The challenged chunk is derived from the hash of a future block, so neither the provider
+     * nor the challenger can choose it. An expired previous challenge is settled first.
+     * Contracts can be challenged once their acceptance period is over.
      * @param _contractId Storage contract identifier
-     * @param _merkleProof Merkle proof of file possession
-     * @param _challengeResponse Response to storage challenge
+     * @return challengeId Identifier of the new challenge
+     */
+    function issueChallenge(bytes32 _contractId) external returns (uint256 challengeId) {
+        require(block.timestamp >= _activeContract(_contractId).startTime + ACCEPTANCE_PERIOD, "Acceptance period not over");
+
+        uint256 expiredId;
+        (challengeId, expiredId) = challengeBook.issue(_contractId, PROOF_INTERVAL);
+        if (expiredId != 0) {
+            _penalizeExpiredChallenge(expiredId, _contractId);
+        }
+
+        StorageChallenge storage challenge = challengeBook.challenges[challengeId];
+        emit ChallengeIssued(challengeId, _contractId, msg.sender, challenge.seedBlock, challenge.deadlineBlock);
+    }
+
+    /**
+     * @dev Submit proof of storage in response to an open challenge
+     * @param _challengeId Challenge identifier
+     * @param _merkleProof Sibling hashes from the challenged leaf up to the root
+     * @param _chunk Contents of the challenged chunk
      */
     function submitProofOfStorage(
-        bytes32 _contractId,
+        uint256 _challengeId,
         bytes32[] memory _merkleProof,
-        bytes32 _challengeResponse
+        bytes memory _chunk
     ) external {
-        StorageContract storage storageContract = storageContracts[_contractId];
-        require(storageContract.isActive, "Contract is not active");
+        bytes32 contractId = challengeBook.openContract(_challengeId);
+        StorageContract storage storageContract = _activeContract(contractId);
         require(storageContract.provider == msg.sender, "Only provider can submit proof");
-        require(
-            block.timestamp >= storageContract.lastProofTime + PROOF_INTERVAL,
-            "Proof submitted too early"
-        );
 
-        // Verify proof (simplified - in production, implement proper verification)
-        bool proofValid = _verifyStorageProof(_merkleProof, _challengeResponse, storageContract.fileId);
+        FileVersion storage fileVersion = fileVersions[storageContract.fileId][storageContract.version];
+        bool proofValid = challengeBook.respond(
+            _challengeId,
+            _merkleProof,
+            _chunk,
+            fileVersion.merkleRoot,
+            fileVersion.chunkCount
+        );
         
         if (proofValid) {
-            // Reward provider
+            // Reward provider and pay for the storage time proven so far
             _rewardProvider(msg.sender, incentivePool.rewardRate);
+            StorageContracts.releasePayment(storageContracts, providerEarnings, contractId);
             
             // Update reputation
             StorageProvider storage provider = storageProviders[msg.sender];
@@ -291,69 +581,299 @@ contract DecentralizedStorageManager is Ownable, ReentrancyGuard {
             }
             
             storageContract.lastProofTime = block.timestamp;
-            emit ProofOfStorageSubmitted(_contractId, msg.sender, true);
+            emit ProofOfStorageSubmitted(contractId, msg.sender, true);
         } else {
-            // Penalize provider
-            _penalizeProvider(msg.sender, incentivePool.penaltyRate);
-            emit ProofOfStorageSubmitted(_contractId, msg.sender, false);
+            _failChallenge(contractId);
+            emit ProofOfStorageSubmitted(contractId, msg.sender, false);
+        }
+    }
+
+    /**
+     * @dev Penalize the provider of a challenge that was not answered in time (callable by anyone)
+     * @param _challengeId Challenge identifier
+     */
+    function expireChallenge(uint256 _challengeId) external {
+        _penalizeExpiredChallenge(_challengeId, challengeBook.expire(_challengeId));
+    }
+
+    /**
+     * @dev Penalize the provider of an expired challenge
+     * @param _challengeId Challenge identifier
+     * @param _contractId Storage contract the challenge was issued against
+     */
+    function _penalizeExpiredChallenge(uint256 _challengeId, bytes32 _contractId) internal {
+        _failChallenge(_contractId);
+        emit ChallengeExpired(_challengeId, _contractId, storageContracts[_contractId].provider);
+    }
+
+    /**
+     * @dev Penalize the provider of a failed or expired challenge and refund the client for
+     * the storage time it failed to prove
+     * @param _contractId Storage contract the challenge was issued against
+     */
+    function _failChallenge(bytes32 _contractId) internal {
+        _penalizeProvider(storageContracts[_contractId].provider, incentivePool.penaltyRate);
+        StorageContracts.refundPayment(storageContracts, userBalances, _contractId);
+    }
+
+    /**
+     * @dev Chunk index the provider must prove for a challenge.
+     * Only available once the seed block has been mined.
+     * @param _challengeId Challenge identifier
+     * @return Index of the challenged chunk
+     */
+    function getChallengedChunk(uint256 _challengeId) external view returns (uint256) {
+        StorageChallenge storage challenge = challengeBook.challenges[_challengeId];
+        require(challenge.status != ChallengeStatus.None, "Challenge does not exist");
+
+        StorageContract storage storageContract = storageContracts[challenge.contractId];
+        uint256 chunkCount = fileVersions[storageContract.fileId][storageContract.version].chunkCount;
+        return challengeBook.challengedChunk(_challengeId, chunkCount);
+    }
+
+    /**
+     * @dev Get a proof-of-storage challenge
+     * @param _challengeId Challenge identifier
+     * @return Challenge details
+     */
+    function storageChallenges(uint256 _challengeId) external view returns (StorageChallenge memory) {
+        return challengeBook.challenges[_challengeId];
+    }
+
+    /**
+     * @dev Most recent challenge issued against a storage contract
+     * @param _contractId Storage contract identifier
+     * @return Challenge identifier, or 0 if none was issued
+     */
+    function latestChallenge(bytes32 _contractId) external view returns (uint256) {
+        return challengeBook.latest[_contractId];
+    }
+
+    /**
+     * @dev Number of challenges issued so far
+     * @return Challenge count
+     */
+    function challengeCount() external view returns (uint256) {
+        return challengeBook.count;
+    }
+
+    /**
+     * @dev Reject a new storage contract during its acceptance period (its provider only), e.g.
+     * because the stored data does not match the file's Merkle root. The contract is closed
+     * without a penalty and its escrow is refunded to the client.
+     * @param _contractId Storage contract identifier
+     */
+    function rejectStorageContract(bytes32 _contractId) external {
+        StorageContract storage storageContract = _activeContract(_contractId);
+        require(storageContract.provider == msg.sender, "Only provider can reject");
+        require(block.timestamp < storageContract.startTime + ACCEPTANCE_PERIOD, "Acceptance period is over");
+
+        _closeStorageContract(_contractId);
+        emit StorageContractRejected(_contractId, msg.sender);
+    }
+
+    /**
+     * @dev Close a storage contract that has reached its end time (callable by anyone)
+     * Escrow left over from unproven storage time is refunded to the client.
+     * @param _contractId Storage contract identifier
+     */
+    function closeExpiredContract(bytes32 _contractId) external {
+        StorageContract storage storageContract = _activeContract(_contractId);
+        require(block.timestamp >= storageContract.endTime, "Contract has not ended");
+
+        _closeStorageContract(_contractId);
+    }
+
+    /**
+     * @dev Delete a file and end all of its storage contracts (owner or DELETE holders)
+     * Providers' space is freed and unspent escrow is returned to the paying clients' balances.
+     * The file leaves the owner, tag and shared-with indexes and a pending transfer is cancelled.
+     * @param _fileId File identifier
+     */
+    function deleteFile(string memory _fileId) external {
+        FileMetadata storage file = _existingFile(_fileId);
+        require(_hasPermissions(_fileId, msg.sender, FileAccess.DELETE), "Not allowed to delete file");
+
+        file.isDeleted = true;
+
+        bytes32[] storage contractIds = fileStorageContracts[_fileId];
+        for (uint256 i = 0; i < contractIds.length; i++) {
+            if (storageContracts[contractIds[i]].isActive) {
+                _closeStorageContract(contractIds[i]);
+            }
         }
+        delete file.storageProviders;
+        delete pendingFileOwners[_fileId];
+
+        FileIndex.removeFile(
+            ownerFiles[file.owner],
+            tagFiles,
+            file.tags,
+            sharedFiles,
+            fileAccess[_fileId].users,
+            _fileId
+        );
+
+        emit FileDeleted(_fileId, file.owner);
     }
 
     /**
-     * @dev Verify storage proof (simplified implementation)
-     * @param _merkleProof Merkle proof
-     * @param _challengeResponse Challenge response
+     * @dev Make a file public or private (owner only)
      * @param _fileId File identifier
-     * @return True if proof is valid
+     * @param _isPublic Whether anyone may read the file
      */
-    function _verifyStorageProof(
-        bytes32[] memory _merkleProof,
-        bytes32 _challengeResponse,
-        string memory _fileId
-    ) internal pure returns (bool) {
-        // Simplified verification - in production, implement proper Merkle tree verification
-        return _merkleProof.length > 0 && _challengeResponse != bytes32(0) && bytes(_fileId).length > 0;
+    function setFileVisibility(string memory _fileId, bool _isPublic) external {
+        _ownedFile(_fileId).isPublic = _isPublic;
+        emit FileVisibilityChanged(_fileId, _isPublic);
+    }
+
+    /**
+     * @dev Add tags to a file and the tag index (owner only)
+     * @param _fileId File identifier
+     * @param _tags Tags to add; tags the file already has are skipped
+     */
+    function addTags(string memory _fileId, string[] memory _tags) external {
+        FileIndex.addTags(tagFiles, _ownedFile(_fileId).tags, _fileId, _tags);
+    }
+
+    /**
+     * @dev Remove tags from a file and the tag index (owner only)
+     * @param _fileId File identifier
+     * @param _tags Tags to remove; tags the file does not have are skipped
+     */
+    function removeTags(string memory _fileId, string[] memory _tags) external {
+        FileIndex.removeTags(tagFiles, _ownedFile(_fileId).tags, _fileId, _tags);
+    }
+
+    /**
+     * @dev Start handing a file to a new owner (owner only); the new owner has to accept.
+     * Passing the zero address cancels a pending transfer. For encrypted files the client
+     * grants the new owner a wrapped key with grantFileAccess first.
+     * @param _fileId File identifier
+     * @param _newOwner Account that may accept ownership
+     */
+    function transferFileOwnership(string memory _fileId, address _newOwner) external {
+        _ownedFile(_fileId);
+        require(_newOwner != msg.sender, "Already the file owner");
+
+        pendingFileOwners[_fileId] = _newOwner;
+        emit FileOwnershipTransferStarted(_fileId, msg.sender, _newOwner);
+    }
+
+    /**
+     * @dev Accept a pending file transfer. An access grant the caller held is folded into
+     * ownership (its wrapped key is kept) and the previous owner loses access. Active storage
+     * contracts the previous owner paid for are billed to the caller from now on, so unspent
+     * escrow is refunded to the caller.
+     * @param _fileId File identifier
+     */
+    function acceptFileOwnership(string memory _fileId) external {
+        FileMetadata storage file = _existingFile(_fileId);
+        require(pendingFileOwners[_fileId] == msg.sender, "Not the pending owner");
+
+        address previousOwner = file.owner;
+        delete pendingFileOwners[_fileId];
+        file.owner = msg.sender;
+
+        delete wrappedKeys[_fileId][previousOwner];
+        if (fileAccess[_fileId].revoke(_fileId, msg.sender, msg.sender)) {
+            sharedFiles[msg.sender].remove(_fileId);
+        }
+        FileIndex.move(ownerFiles, previousOwner, msg.sender, _fileId);
+
+        bytes32[] storage contractIds = fileStorageContracts[_fileId];
+        for (uint256 i = 0; i < contractIds.length; i++) {
+            StorageContract storage storageContract = storageContracts[contractIds[i]];
+            if (storageContract.isActive && storageContract.client == previousOwner) {
+                storageContract.client = msg.sender;
+            }
+        }
+
+        emit FileOwnershipTransferred(_fileId, previousOwner, msg.sender);
+    }
+
+    /**
+     * @dev Look up a file that has been uploaded and not deleted
+     * @param _fileId File identifier
+     * @return file Metadata of the file
+     */
+    function _existingFile(string memory _fileId) internal view returns (FileMetadata storage file) {
+        file = fileMetadata[_fileId];
+        require(bytes(file.fileId).length > 0 && !file.isDeleted, "File does not exist");
+    }
+
+    /**
+     * @dev Look up a file that the caller owns and that has not been deleted
+     * @param _fileId File identifier
+     * @return file Metadata of the file
+     */
+    function _ownedFile(string memory _fileId) internal view returns (FileMetadata storage file) {
+        file = _existingFile(_fileId);
+        require(file.owner == msg.sender, "Only owner can update file");
+    }
+
+    /**
+     * @dev Look up a storage contract that is still active
+     * @param _contractId Storage contract identifier
+     * @return storageContract The storage contract
+     */
+    function _activeContract(bytes32 _contractId) internal view returns (StorageContract storage storageContract) {
+        storageContract = storageContracts[_contractId];
+        require(storageContract.isActive, "Contract is not active");
+    }
+
+    /**
+     * @dev Deactivate a storage contract, free the provider's space and refund unused escrow
+     * @param _contractId Storage contract identifier
+     */
+    function _closeStorageContract(bytes32 _contractId) internal {
+        StorageContract storage storageContract = storageContracts[_contractId];
+        StorageContracts.close(
+            storageContracts,
+            activeContracts,
+            storageProviders,
+            userBalances,
+            fileMetadata[storageContract.fileId].storageProviders,
+            challengeBook,
+            _contractId,
+            fileVersions[storageContract.fileId][storageContract.version].fileSize
+        );
     }
 
     /**
-     * @dev Reward storage provider
+     * @dev Reward storage provider. The reward is capped at what is left in the incentive pool
+     * and skipped once the pool is empty, so proofs still count when it runs dry.
      * @param _provider Provider address
      * @param _amount Reward amount
      */
     function _rewardProvider(address _provider, uint256 _amount) internal {
-        require(incentivePool.totalRewards >= incentivePool.distributedRewards + _amount, "Insufficient reward pool");
-        
-        providerEarnings[_provider] = providerEarnings[_provider] + _amount;
-        incentivePool.distributedRewards = incentivePool.distributedRewards + _amount;
-        
-        emit RewardDistributed(_provider, _amount);
+        uint256 reward = Math.min(_amount, incentivePool.totalRewards - incentivePool.distributedRewards);
+        if (reward == 0) return;
+
+        providerEarnings[_provider] = providerEarnings[_provider] + reward;
+        incentivePool.distributedRewards = incentivePool.distributedRewards + reward;
+
+        emit RewardDistributed(_provider, reward);
     }
 
     /**
-     * @dev Penalize storage provider
+     * @dev Penalize storage provider. The penalty is slashed from its locked stake into the
+     * incentive pool.
      * @param _provider Provider address
      * @param _amount Penalty amount
      */
     function _penalizeProvider(address _provider, uint256 _amount) internal {
         StorageProvider storage provider = storageProviders[_provider];
         
-        if (provider.stakedAmount >= _amount) {
-            provider.stakedAmount = provider.stakedAmount - _amount;
-        } else {
-            provider.stakedAmount = 0;
-        }
-        
+        uint256 slashed = _slashStake(_provider, _amount, address(this));
+
         // Decrease reputation
-        if (provider.reputation >= 10) {
-            provider.reputation = provider.reputation >= 10 ? provider.reputation - 10 : 0;
-        } else {
-            provider.reputation = 0;
-        }
+        provider.reputation = provider.reputation >= 10 ? provider.reputation - 10 : 0;
         
         // Add to incentive pool
-        incentivePool.totalRewards = incentivePool.totalRewards + _amount;
+        incentivePool.totalRewards = incentivePool.totalRewards + slashed;
         
-        emit PenaltyApplied(_provider, _amount);
+        emit PenaltyApplied(_provider, slashed);
     }
 
     /**
@@ -361,12 +881,8 @@ contract DecentralizedStorageManager is Ownable, ReentrancyGuard {
      * @param _fileId File identifier
      */
     function accessFile(string memory _fileId) external {
-        FileMetadata storage file = fileMetadata[_fileId];
-        require(bytes(file.fileId).length > 0, "File does not exist");
-        require(
-            file.isPublic || file.owner == msg.sender || file.authorizedUsers[msg.sender],
-            "Access denied"
-        );
+        FileMetadata storage file = _existingFile(_fileId);
+        require(_canRead(_fileId, msg.sender), "Access denied");
 
         file.lastAccessTimestamp = block.timestamp;
         file.accessCount = file.accessCount + 1;
@@ -375,27 +891,140 @@ contract DecentralizedStorageManager is Ownable, ReentrancyGuard {
     }
 
     /**
-     * @dev Grant access to a user for a specific file
+     * @dev Check whether an account may read a file
+     * @param _fileId File identifier
+     * @param _account Account to check
+     * @return True if the file is public, owned by the account or shared with it with READ
+     */
+    function _canRead(string memory _fileId, address _account) internal view returns (bool) {
+        return fileMetadata[_fileId].isPublic || _hasPermissions(_fileId, _account, FileAccess.READ);
+    }
+
+    /**
+     * @dev Check whether an account holds permissions on a file
+     * @param _fileId File identifier
+     * @param _account Account to check
+     * @param _permissions FileAccess permission bits
+     * @return True if the account owns the file or was granted every requested permission
+     */
+    function _hasPermissions(string memory _fileId, address _account, uint8 _permissions) internal view returns (bool) {
+        return fileMetadata[_fileId].owner == _account || fileAccess[_fileId].hasPermissions(_account, _permissions);
+    }
+
+    /**
+     * @dev Register the public key others use to wrap file keys for the caller
+     * @param _publicKey Compressed secp256k1 public key (33 bytes)
+     */
+    function setEncryptionPublicKey(bytes calldata _publicKey) external {
+        require(_publicKey.length == 33, "Invalid public key");
+
+        encryptionPublicKeys[msg.sender] = _publicKey;
+        emit EncryptionKeyRegistered(msg.sender, _publicKey);
+    }
+
+    /**
+     * @dev Grant a user permissions on a file, replacing any earlier grant.
+     * Callable by the owner and ADMIN holders; SHARE holders can re-share the file with users
+     * whose grant is missing or expired, passing on a subset of their own permissions. Grants
+     * from anyone but the owner cannot outlast the granter's own grant.
      * @param _fileId File identifier
      * @param _user User address to grant access
+     * @param _permissions FileAccess permission bits (READ 1, WRITE 2, DELETE 4, SHARE 8, ADMIN 16)
+     * @param _expiresAt Timestamp after which the grant holds no permissions, or 0 for no expiry
+     * @param _wrappedKey File data key wrapped with the user's encryption public key
      */
-    function grantFileAccess(string memory _fileId, address _user) external {
-        FileMetadata storage file = fileMetadata[_fileId];
-        require(file.owner == msg.sender, "Only owner can grant access");
-        
-        file.authorizedUsers[_user] = true;
+    function grantFileAccess(
+        string memory _fileId,
+        address _user,
+        uint8 _permissions,
+        uint256 _expiresAt,
+        string memory _wrappedKey
+    ) external {
+        fileAccess[_fileId].grant(_fileId, _existingFile(_fileId).owner, _user, _permissions, _expiresAt);
+        wrappedKeys[_fileId][_user] = _wrappedKey;
+        sharedFiles[_user].add(_fileId);
+    }
+
+    /**
+     * @dev Get the file data key wrapped for an account
+     * @param _fileId File identifier
+     * @param _account Owner or user the file is shared with
+     * @return Wrapped data key (empty for unencrypted files)
+     */
+    function getWrappedKey(string memory _fileId, address _account) external view returns (string memory) {
+        _existingFile(_fileId);
+        require(_hasPermissions(_fileId, _account, FileAccess.READ), "Access denied");
+        return wrappedKeys[_fileId][_account];
+    }
+
+    /**
+     * @dev Get the users a file is currently shared with (the owner is not included)
+     * @param _fileId File identifier
+     * @return Addresses of the authorized users
+     */
+    function getAuthorizedUsers(string memory _fileId) external view returns (address[] memory) {
+        return fileAccess[_fileId].users;
     }
 
     /**
-     * @dev Revoke access from a user for a specific file
+     * @dev Get the permissions an account holds on a file
+     * @param _fileId File identifier
+     * @param _user Account to check
+     * @return FileAccess permission bits (all of them for the owner, none once a grant expired)
+     */
+    function getFilePermissions(string memory _fileId, address _user) external view returns (uint8) {
+        if (fileMetadata[_fileId].owner == _user) {
+            return FileAccess.ALL;
+        }
+        return fileAccess[_fileId].activePermissions(_user);
+    }
+
+    /**
+     * @dev Get a user's grant as stored, including expired grants
+     * @param _fileId File identifier
+     * @param _user User the file is shared with
+     * @return permissions Granted FileAccess permission bits
+     * @return expiresAt Expiry timestamp, or 0 for no expiry
+     */
+    function getFileGrant(string memory _fileId, address _user) external view returns (uint8 permissions, uint256 expiresAt) {
+        FileAccess.List storage list = fileAccess[_fileId];
+        return (list.permissions[_user], list.expiresAt[_user]);
+    }
+
+    /**
+     * @dev Get an account's role on a file
+     * @param _fileId File identifier
+     * @param _user Account to check
+     * @return Owner, Admin, Editor or Reader depending on the account's grant, otherwise None
+     */
+    function getFileAccessRole(string memory _fileId, address _user) external view returns (AccessRole) {
+        if (fileMetadata[_fileId].owner == _user) {
+            return AccessRole.Owner;
+        }
+        return fileAccess[_fileId].roleOf(_user);
+    }
+
+    /**
+     * @dev Revoke a user's access to a file (owner or ADMIN holders)
      * @param _fileId File identifier
      * @param _user User address to revoke access
      */
     function revokeFileAccess(string memory _fileId, address _user) external {
-        FileMetadata storage file = fileMetadata[_fileId];
-        require(file.owner == msg.sender, "Only owner can revoke access");
-        
-        file.authorizedUsers[_user] = false;
+        fileAccess[_fileId].revoke(_fileId, _existingFile(_fileId).owner, _user);
+        delete wrappedKeys[_fileId][_user];
+        sharedFiles[_user].remove(_fileId);
+    }
+
+    /**
+     * @dev Clear an expired grant, dropping the user's wrapped key and shared-with entry.
+     * Anyone may call this once the grant has expired.
+     * @param _fileId File identifier
+     * @param _user User whose grant expired
+     */
+    function expireFileAccess(string memory _fileId, address _user) external {
+        fileAccess[_fileId].expire(_fileId, _user);
+        delete wrappedKeys[_fileId][_user];
+        sharedFiles[_user].remove(_fileId);
     }
 
     /**
@@ -406,7 +1035,7 @@ contract DecentralizedStorageManager is Ownable, ReentrancyGuard {
         require(earnings > 0, "No earnings to withdraw");
         
         providerEarnings[msg.sender] = 0;
-        require(storageToken.transfer(msg.sender, earnings), "Transfer failed");
+        _sendTokens(earnings);
     }
 
     /**
@@ -414,36 +1043,63 @@ contract DecentralizedStorageManager is Ownable, ReentrancyGuard {
      * @param _amount Amount to add
      */
     function addToIncentivePool(uint256 _amount) external onlyOwner {
-        require(
-            storageToken.transferFrom(msg.sender, address(this), _amount),
-            "Transfer failed"
-        );
+        _receiveTokens(_amount);
         
         incentivePool.totalRewards = incentivePool.totalRewards + _amount;
     }
 
     /**
-     * @dev Slash provider for misbehavior (only owner)
+     * @dev Update the proof reward and failed-proof penalty (only owner)
+     * @param _rewardRate Reward per successful proof
+     * @param _penaltyRate Penalty per failed or missed proof
+     */
+    function updateIncentiveRates(uint256 _rewardRate, uint256 _penaltyRate) external onlyOwner {
+        incentivePool.rewardRate = _rewardRate;
+        incentivePool.penaltyRate = _penaltyRate;
+        emit IncentiveRatesUpdated(_rewardRate, _penaltyRate);
+    }
+
+    /**
+     * @dev Set the dispute module allowed to slash providers (only owner)
+     * @param _disputeModule StorageDisputes address, or the zero address to disable it
+     */
+    function setDisputeModule(address _disputeModule) external onlyOwner {
+        disputeModule = _disputeModule;
+        emit DisputeModuleUpdated(_disputeModule);
+    }
+
+    /**
+     * @dev Slash provider for misbehavior (owner or dispute module). The slashed stake is burned.
+     * Providers that are deactivated or unbonding can still be slashed until they exit.
      * @param _provider Provider address
      * @param _amount Amount to slash
      * @param _reason Reason for slashing
      */
-    function slashProvider(address _provider, uint256 _amount, string memory _reason) external onlyOwner {
-        StorageProvider storage provider = storageProviders[_provider];
-        require(provider.isActive, "Provider is not active");
+    function slashProvider(address _provider, uint256 _amount, string memory _reason) external {
+        require(msg.sender == owner() || msg.sender == disputeModule, "Not allowed to slash");
+        require(storageProviders[_provider].providerAddress != address(0), "Provider not registered");
         
-        if (provider.stakedAmount >= _amount) {
-            provider.stakedAmount = provider.stakedAmount - _amount;
-        } else {
-            provider.stakedAmount = 0;
-        }
+        uint256 slashed = _slashStake(_provider, _amount, address(0));
         
-        // If stake falls below minimum, deactivate provider
-        if (provider.stakedAmount < MIN_STAKE) {
-            provider.isActive = false;
+        emit ProviderSlashed(_provider, slashed, _reason);
+    }
+
+    /**
+     * @dev Slash a provider's locked stake in StorageToken and reduce its recorded stake.
+     * If the stake falls below MIN_STAKE, the provider is deactivated and its files re-replicated.
+     * @param _provider Provider address
+     * @param _amount Amount to slash; capped at the provider's stake
+     * @param _recipient Address receiving the slashed tokens, or the zero address to burn them
+     * @return slashed Amount actually slashed
+     */
+    function _slashStake(address _provider, uint256 _amount, address _recipient) internal returns (uint256 slashed) {
+        StorageProvider storage provider = storageProviders[_provider];
+
+        slashed = storageToken.slash(_provider, Math.min(_amount, provider.stakedAmount), _recipient);
+        provider.stakedAmount = provider.stakedAmount - slashed;
+        if (provider.isActive && provider.stakedAmount < MIN_STAKE) {
+            _deactivateProvider(_provider);
         }
-        
-        emit ProviderSlashed(_provider, _amount, _reason);
     }
 
     /**
@@ -456,6 +1112,7 @@ contract DecentralizedStorageManager is Ownable, ReentrancyGuard {
      * @return uploadTimestamp When the file was uploaded
      * @return isPublic Whether the file is public
      * @return accessCount Number of times accessed
+     * @return isDeleted Whether the owner has deleted the file
      */
     function getFileInfo(string memory _fileId) external view returns (
         string memory fileId,
@@ -464,7 +1121,8 @@ contract DecentralizedStorageManager is Ownable, ReentrancyGuard {
         uint256 fileSize,
         uint256 uploadTimestamp,
         bool isPublic,
-        uint256 accessCount
+        uint256 accessCount,
+        bool isDeleted
     ) {
         FileMetadata storage file = fileMetadata[_fileId];
         return (
@@ -474,10 +1132,60 @@ contract DecentralizedStorageManager is Ownable, ReentrancyGuard {
             file.fileSize,
             file.uploadTimestamp,
             file.isPublic,
-            file.accessCount
+            file.accessCount,
+            file.isDeleted
         );
     }
 
+    /**
+     * @dev Get the tags of a file
+     * @param _fileId File identifier
+     * @return Tags, in no particular order
+     */
+    function getFileTags(string memory _fileId) external view returns (string[] memory) {
+        return fileMetadata[_fileId].tags;
+    }
+
+    /**
+     * @dev Get the storage contracts ever created for a file
+     * @param _fileId File identifier
+     * @return Storage contract identifiers, including closed ones
+     */
+    function getFileStorageContracts(string memory _fileId) external view returns (bytes32[] memory) {
+        return fileStorageContracts[_fileId];
+    }
+
+    /**
+     * @dev Replication health of a file's latest version. A replica is healthy when its
+     * contract is active and its provider has not been deactivated; fewer healthy replicas
+     * than required means the file is being repaired.
+     * @param _fileId File identifier
+     * @return required Replication factor requested at upload
+     * @return healthy Number of healthy replicas
+     */
+    function getReplicationStatus(string memory _fileId) external view returns (uint256 required, uint256 healthy) {
+        if (fileVersions[_fileId].length == 0) {
+            return (0, 0);
+        }
+
+        healthy = StorageContracts.healthyReplicas(
+            storageContracts,
+            storageProviders,
+            fileStorageContracts[_fileId],
+            fileVersions[_fileId].length - 1
+        );
+        required = fileMetadata[_fileId].isDeleted ? 0 : fileMetadata[_fileId].replicationFactor;
+    }
+
+    /**
+     * @dev Get a provider's active storage contracts
+     * @param _provider Provider address
+     * @return Active storage contract identifiers
+     */
+    function getProviderContracts(address _provider) external view returns (bytes32[] memory) {
+        return activeContracts.contractIds[_provider];
+    }
+
     /**
      * @dev Get provider information
      * @param _provider Provider address
@@ -507,6 +1215,51 @@ contract DecentralizedStorageManager is Ownable, ReentrancyGuard {
         );
     }
 
+    /**
+     * @dev Get a page of the files owned by an account
+     * @param _owner Owner address
+     * @param _offset Number of files to skip
+     * @param _limit Maximum number of files to return
+     * @return fileIds File identifiers in the page
+     * @return total Number of files owned
+     */
+    function getFilesByOwner(address _owner, uint256 _offset, uint256 _limit) external view returns (
+        string[] memory fileIds,
+        uint256 total
+    ) {
+        return ownerFiles[_owner].page(_offset, _limit);
+    }
+
+    /**
+     * @dev Get a page of the files shared with an account
+     * @param _user User address
+     * @param _offset Number of files to skip
+     * @param _limit Maximum number of files to return
+     * @return fileIds File identifiers in the page
+     * @return total Number of files shared with the user
+     */
+    function getFilesSharedWith(address _user, uint256 _offset, uint256 _limit) external view returns (
+        string[] memory fileIds,
+        uint256 total
+    ) {
+        return sharedFiles[_user].page(_offset, _limit);
+    }
+
+    /**
+     * @dev Get a page of the files carrying a tag
+     * @param _tag Tag name
+     * @param _offset Number of files to skip
+     * @param _limit Maximum number of files to return
+     * @return fileIds File identifiers in the page
+     * @return total Number of files with the tag
+     */
+    function getFilesByTag(string memory _tag, uint256 _offset, uint256 _limit) external view returns (
+        string[] memory fileIds,
+        uint256 total
+    ) {
+        return tagFiles[keccak256(bytes(_tag))].page(_offset, _limit);
+    }
+
     /**
      * @dev Get total number of files
      * @return Number of files
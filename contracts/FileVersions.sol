@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+// One entry in a file's version history; version 0 is the original upload
+struct FileVersion {
+    string contentHash;
+    bytes32 merkleRoot;
+    uint256 chunkCount;
+    uint256 fileSize;
+    uint256 timestamp;
+    address author;
+    string note;
+}
+
+/**
+ * @title FileVersions
+ * @dev Validates and records file versions for DecentralizedStorageManager. Storage contracts
+ * and events stay with the manager.
+ */
+library FileVersions {
+
+    // Bytes per Merkle leaf (STORAGE_CHUNK_SIZE in FileIntegrityService); the last chunk may be shorter
+    uint256 internal constant CHUNK_SIZE = 256 * 1024;
+
+    /**
+     * @dev Append a version to a file's history, authored by the caller
+     * @param _versions Version history of the file
+     * @param _contentHash IPFS content hash of the version
+     * @param _fileSize Size of the version in bytes
+     * @param _merkleRoot Merkle root of the version's chunks
+     * @param _chunkCount Number of chunks committed to by the Merkle root; must be the number of
+     * CHUNK_SIZE chunks the file splits into
+     * @param _note Short description of the change
+     * @return version Index of the new version
+     */
+    function push(
+        FileVersion[] storage _versions,
+        string memory _contentHash,
+        uint256 _fileSize,
+        bytes32 _merkleRoot,
+        uint256 _chunkCount,
+        string memory _note
+    ) public returns (uint256 version) {
+        require(bytes(_contentHash).length > 0, "Content hash cannot be empty");
+        require(_fileSize > 0, "File size must be greater than 0");
+        require(_merkleRoot != bytes32(0), "Merkle root cannot be empty");
+        require(_chunkCount == Math.ceilDiv(_fileSize, CHUNK_SIZE), "Chunk count does not match file size");
+
+        version = _versions.length;
+        _versions.push(FileVersion({
+            contentHash: _contentHash,
+            merkleRoot: _merkleRoot,
+            chunkCount: _chunkCount,
+            fileSize: _fileSize,
+            timestamp: block.timestamp,
+            author: msg.sender,
+            note: _note
+        }));
+    }
+}
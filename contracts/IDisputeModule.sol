@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IDisputeModule
+ * @dev What DecentralizedStorageManager asks of the dispute module it lets slash providers
+ * (see StorageDisputes)
+ */
+interface IDisputeModule {
+    /**
+     * @dev Number of disputes against a provider that are open or under appeal. The provider
+     * cannot complete its exit while any are left, so it stays slashable until they are settled.
+     * @param _provider Provider address
+     */
+    function openDisputes(address _provider) external view returns (uint256);
+}
@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IStorageManagerEvents
+ * @dev Events of DecentralizedStorageManager. The manager inherits them, so they are part of its
+ * ABI, and its linked libraries emit them by name (emit IStorageManagerEvents.FileTagAdded(...)).
+ */
+interface IStorageManagerEvents {
+    event ProviderRegistered(address indexed provider, string nodeId, uint256 stakedAmount);
+    event FileUploaded(string indexed fileId, address indexed owner, uint256 fileSize);
+    event StorageContractCreated(bytes32 indexed contractId, string fileId, address provider, address client);
+    event ProofOfStorageSubmitted(bytes32 indexed contractId, address provider, bool success);
+    event ChallengeIssued(uint256 indexed challengeId, bytes32 indexed contractId, address challenger, uint256 seedBlock, uint256 deadlineBlock);
+    event ChallengeExpired(uint256 indexed challengeId, bytes32 indexed contractId, address indexed provider);
+    event RewardDistributed(address indexed provider, uint256 amount);
+    event PenaltyApplied(address indexed provider, uint256 amount);
+    event FileAccessed(string indexed fileId, address indexed user);
+    event ProviderSlashed(address indexed provider, uint256 amount, string reason);
+    event Deposited(address indexed user, uint256 amount);
+    event Withdrawn(address indexed user, uint256 amount);
+    event EscrowLocked(bytes32 indexed contractId, address indexed client, uint256 amount);
+    event PaymentReleased(bytes32 indexed contractId, address indexed provider, uint256 amount);
+    event EscrowRefunded(bytes32 indexed contractId, address indexed client, uint256 amount);
+    event StorageContractClosed(bytes32 indexed contractId, string fileId, address provider);
+    event StorageContractRejected(bytes32 indexed contractId, address indexed provider);
+    event FileDeleted(string indexed fileId, address indexed owner);
+    event ProviderUpdated(address indexed provider, uint256 totalStorage, uint256 pricePerGB, string nodeId, string region);
+    event StakeAdded(address indexed provider, uint256 amount, uint256 totalStaked);
+    event ProviderExitRequested(address indexed provider, uint256 unbondingEnd);
+    event ProviderExited(address indexed provider, uint256 stakeReturned);
+    event StorageContractReplaced(bytes32 indexed oldContractId, bytes32 indexed newContractId, string fileId);
+    event ProviderDeactivated(address indexed provider, uint256 activeContracts);
+    event ReplicaLost(bytes32 indexed contractId, string fileId, address indexed provider);
+    event FileVersionAdded(string indexed fileId, uint256 indexed version, string contentHash, address indexed author);
+    event EncryptionKeyRegistered(address indexed account, bytes publicKey);
+    event AccessGranted(string indexed fileId, address indexed user, address indexed grantedBy, uint8 permissions, uint256 expiresAt);
+    event AccessRevoked(string indexed fileId, address indexed user, address indexed revokedBy);
+    event AccessExpired(string indexed fileId, address indexed user, uint256 expiresAt);
+    event FileVisibilityChanged(string indexed fileId, bool isPublic);
+    event FileTagAdded(string indexed fileId, string tag);
+    event FileTagRemoved(string indexed fileId, string tag);
+    event FileOwnershipTransferStarted(string indexed fileId, address indexed previousOwner, address indexed newOwner);
+    event FileOwnershipTransferred(string indexed fileId, address indexed previousOwner, address indexed newOwner);
+    event IncentiveRatesUpdated(uint256 rewardRate, uint256 penaltyRate);
+    event DisputeModuleUpdated(address disputeModule);
+}
@@ -0,0 +1,195 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./ProviderSelection.sol";
+import "./StorageToken.sol";
+import "./IStorageManagerEvents.sol";
+import "./IDisputeModule.sol";
+
+/**
+ * @title ProviderRegistry
+ * @dev Registration, offer updates, staking and exits of storage providers.
+ * Runs against DecentralizedStorageManager's provider state (external library calls are
+ * delegatecalls, so msg.sender stays the provider and the manager acts as the slasher).
+ * Provider stake is collateral locked in the provider's StorageToken staking position.
+ */
+library ProviderRegistry {
+
+    /**
+     * @dev Register the caller as a storage provider and lock its initial stake
+     * @param _providers Registered providers by address
+     * @param _activeProviders Addresses eligible for selection
+     * @param _activeIndex Provider => index + 1 in _activeProviders
+     * @param _token Token the caller has staked in
+     * @param _stake Initial stake to lock
+     * @param _totalStorage Total storage capacity in bytes
+     * @param _pricePerGB Price per GB per day in wei
+     * @param _nodeId IPFS node identifier
+     * @param _region Geographic region
+     */
+    function register(
+        mapping(address => StorageProvider) storage _providers,
+        address[] storage _activeProviders,
+        mapping(address => uint256) storage _activeIndex,
+        StorageToken _token,
+        uint256 _stake,
+        uint256 _totalStorage,
+        uint256 _pricePerGB,
+        string memory _nodeId,
+        string memory _region
+    ) public {
+        require(_totalStorage > 0, "Storage capacity must be greater than 0");
+        require(_pricePerGB > 0, "Price must be greater than 0");
+        require(_providers[msg.sender].providerAddress == address(0), "Provider already registered");
+
+        // Lock part of the caller's staking position as collateral
+        _token.lockStake(msg.sender, _stake);
+
+        _providers[msg.sender] = StorageProvider({
+            providerAddress: msg.sender,
+            totalStorage: _totalStorage,
+            usedStorage: 0,
+            reputation: 500, // Start with medium reputation
+            pricePerGB: _pricePerGB,
+            isActive: true,
+            stakedAmount: _stake,
+            joinedTimestamp: block.timestamp,
+            nodeId: _nodeId,
+            region: _region,
+            unbondingEnd: 0
+        });
+
+        _activeProviders.push(msg.sender);
+        _activeIndex[msg.sender] = _activeProviders.length;
+        emit IStorageManagerEvents.ProviderRegistered(msg.sender, _nodeId, _stake);
+    }
+
+    /**
+     * @dev Update the caller's offer. New prices only apply to future storage contracts.
+     * @param _providers Registered providers by address
+     * @param _totalStorage Total storage capacity in bytes (not below used storage)
+     * @param _pricePerGB Price per GB per day in wei
+     * @param _nodeId IPFS node identifier
+     * @param _region Geographic region
+     */
+    function update(
+        mapping(address => StorageProvider) storage _providers,
+        uint256 _totalStorage,
+        uint256 _pricePerGB,
+        string memory _nodeId,
+        string memory _region
+    ) public {
+        StorageProvider storage provider = _providers[msg.sender];
+        require(provider.providerAddress != address(0), "Provider not registered");
+        require(provider.unbondingEnd == 0, "Provider is exiting");
+        require(_totalStorage >= provider.usedStorage, "Capacity below used storage");
+        require(_pricePerGB > 0, "Price must be greater than 0");
+
+        provider.totalStorage = _totalStorage;
+        provider.pricePerGB = _pricePerGB;
+        provider.nodeId = _nodeId;
+        provider.region = _region;
+
+        emit IStorageManagerEvents.ProviderUpdated(msg.sender, _totalStorage, _pricePerGB, _nodeId, _region);
+    }
+
+    /**
+     * @dev Lock more of the caller's staking position on top of its current stake.
+     * A provider deactivated by slashing is reactivated once its stake is back to the minimum.
+     * @param _providers Registered providers by address
+     * @param _token Token the caller has staked in
+     * @param _amount Amount of staked tokens to lock
+     * @param _minStake Stake required to be active
+     */
+    function addStake(
+        mapping(address => StorageProvider) storage _providers,
+        StorageToken _token,
+        uint256 _amount,
+        uint256 _minStake
+    ) public {
+        StorageProvider storage provider = _providers[msg.sender];
+        require(provider.providerAddress != address(0), "Provider not registered");
+        require(provider.unbondingEnd == 0, "Provider is exiting");
+        require(_amount > 0, "Amount must be greater than 0");
+        _token.lockStake(msg.sender, _amount);
+
+        provider.stakedAmount = provider.stakedAmount + _amount;
+        if (!provider.isActive && provider.stakedAmount >= _minStake) {
+            provider.isActive = true;
+        }
+
+        emit IStorageManagerEvents.StakeAdded(msg.sender, _amount, provider.stakedAmount);
+    }
+
+    /**
+     * @dev Start the caller's unbonding period and take it out of provider selection
+     * @param _providers Registered providers by address
+     * @param _activeProviders Addresses eligible for selection
+     * @param _activeIndex Provider => index + 1 in _activeProviders
+     * @param _unbondingPeriod Time until the stake can be withdrawn
+     * @return wasActive True if the provider was active, so its replicas need repair
+     */
+    function requestExit(
+        mapping(address => StorageProvider) storage _providers,
+        address[] storage _activeProviders,
+        mapping(address => uint256) storage _activeIndex,
+        uint256 _unbondingPeriod
+    ) public returns (bool wasActive) {
+        StorageProvider storage provider = _providers[msg.sender];
+        require(provider.providerAddress != address(0), "Provider not registered");
+        require(provider.unbondingEnd == 0, "Exit already requested");
+
+        provider.unbondingEnd = block.timestamp + _unbondingPeriod;
+        _removeActiveProvider(_activeProviders, _activeIndex, msg.sender);
+
+        emit IStorageManagerEvents.ProviderExitRequested(msg.sender, provider.unbondingEnd);
+        return provider.isActive;
+    }
+
+    /**
+     * @dev Remove the caller after its unbonding period and unlock its remaining stake.
+     * Its storage contracts must be closed first, and it must have no disputes left open.
+     * @param _providers Registered providers by address
+     * @param _token Token the caller has staked in
+     * @param _disputes Dispute module that may still slash the caller, or the zero address
+     */
+    function completeExit(
+        mapping(address => StorageProvider) storage _providers,
+        StorageToken _token,
+        IDisputeModule _disputes
+    ) public {
+        require(
+            address(_disputes) == address(0) || _disputes.openDisputes(msg.sender) == 0,
+            "Provider has open disputes"
+        );
+
+        uint256 stake = _providers[msg.sender].stakedAmount;
+        delete _providers[msg.sender];
+        if (stake > 0) {
+            _token.unlockStake(msg.sender, stake);
+        }
+
+        emit IStorageManagerEvents.ProviderExited(msg.sender, stake);
+    }
+
+    /**
+     * @dev Remove a provider from the active provider list
+     * @param _activeProviders Addresses eligible for selection
+     * @param _activeIndex Provider => index + 1 in _activeProviders
+     * @param _provider Provider address
+     */
+    function _removeActiveProvider(
+        address[] storage _activeProviders,
+        mapping(address => uint256) storage _activeIndex,
+        address _provider
+    ) private {
+        uint256 index = _activeIndex[_provider];
+        if (index == 0) return;
+
+        address last = _activeProviders[_activeProviders.length - 1];
+        _activeProviders[index - 1] = last;
+        _activeIndex[last] = index;
+        _activeProviders.pop();
+        delete _activeIndex[_provider];
+    }
+}
@@ -0,0 +1,184 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+// Storage provider structure
+struct StorageProvider {
+    address providerAddress;
+    uint256 totalStorage; // in bytes
+    uint256 usedStorage;
+    uint256 reputation; // 0-1000 scale
+    uint256 pricePerGB; // in wei per GB per day
+    bool isActive;
+    uint256 stakedAmount;
+    uint256 joinedTimestamp;
+    string nodeId; // IPFS node ID
+    string region;
+    uint256 unbondingEnd; // set while the provider is exiting
+}
+
+// Client constraints for choosing storage providers
+struct ProviderPreferences {
+    uint256 maxPricePerGB; // 0 for no limit
+    string[] preferredRegions;
+    string[] excludedRegions;
+}
+
+/**
+ * @title ProviderSelection
+ * @dev Scores and selects storage providers for new storage contracts of
+ * DecentralizedStorageManager.
+ */
+library ProviderSelection {
+
+    uint256 internal constant MAX_REPUTATION = 1000;
+
+    // Provider selection score weights, in basis points
+    uint256 internal constant REPUTATION_WEIGHT = 5000;
+    uint256 internal constant PRICE_WEIGHT = 3000;
+    uint256 internal constant CAPACITY_WEIGHT = 2000;
+    uint256 internal constant PREFERRED_REGION_BONUS = 2500;
+    uint256 internal constant SAME_REGION_PENALTY = 3000;
+
+    /**
+     * @dev Select best storage providers based on reputation, price, and availability
+     * Each provider is scored on reputation, price relative to the cheapest candidate and free
+     * capacity, plus a bonus for preferred regions. Providers are then picked greedily, with a
+     * penalty for regions already chosen so replicas spread across regions.
+     * @param _providers Registered providers by address
+     * @param _activeProviders Addresses eligible for selection
+     * @param _count Number of providers to select
+     * @param _fileSize Size of file to store
+     * @param _preferences Price limit and region preferences
+     * @param _exclude Providers that must not be selected (e.g. current holders of the file)
+     * @return Array of selected provider addresses
+     */
+    function selectBestProviders(
+        mapping(address => StorageProvider) storage _providers,
+        address[] storage _activeProviders,
+        uint256 _count,
+        uint256 _fileSize,
+        ProviderPreferences memory _preferences,
+        address[] memory _exclude
+    ) public view returns (address[] memory) {
+        require(_count <= _activeProviders.length, "Not enough active providers");
+        
+        address[] memory candidates = new address[](_activeProviders.length);
+        bytes32[] memory regions = new bytes32[](_activeProviders.length);
+        uint256 candidateCount = 0;
+        uint256 lowestPrice = type(uint256).max;
+        
+        // Filter available providers
+        for (uint256 i = 0; i < _activeProviders.length; i++) {
+            address provider = _activeProviders[i];
+            StorageProvider storage providerData = _providers[provider];
+            bytes32 region = keccak256(bytes(providerData.region));
+            
+            if (!providerData.isActive ||
+                providerData.totalStorage - providerData.usedStorage < _fileSize ||
+                (_preferences.maxPricePerGB != 0 && providerData.pricePerGB > _preferences.maxPricePerGB) ||
+                containsRegion(_preferences.excludedRegions, region) ||
+                containsAddress(_exclude, provider)) {
+                continue;
+            }
+
+            candidates[candidateCount] = provider;
+            regions[candidateCount] = region;
+            candidateCount++;
+            lowestPrice = Math.min(lowestPrice, providerData.pricePerGB);
+        }
+        
+        require(candidateCount >= _count, "Not enough available storage capacity");
+
+        uint256[] memory scores = new uint256[](candidateCount);
+        for (uint256 i = 0; i < candidateCount; i++) {
+            scores[i] = providerScore(_providers[candidates[i]], lowestPrice, _fileSize);
+            if (containsRegion(_preferences.preferredRegions, regions[i])) {
+                scores[i] = scores[i] + PREFERRED_REGION_BONUS;
+            }
+        }
+        
+        address[] memory selected = new address[](_count);
+        bytes32[] memory selectedRegions = new bytes32[](_count);
+        bool[] memory taken = new bool[](candidateCount);
+        for (uint256 n = 0; n < _count; n++) {
+            uint256 bestIndex = 0;
+            uint256 bestScore = 0;
+            bool found = false;
+
+            for (uint256 i = 0; i < candidateCount; i++) {
+                if (taken[i]) continue;
+
+                uint256 score = scores[i];
+                for (uint256 j = 0; j < n; j++) {
+                    if (selectedRegions[j] == regions[i]) {
+                        score = score > SAME_REGION_PENALTY ? score - SAME_REGION_PENALTY : 0;
+                        break;
+                    }
+                }
+
+                if (!found || score > bestScore) {
+                    bestIndex = i;
+                    bestScore = score;
+                    found = true;
+                }
+            }
+
+            taken[bestIndex] = true;
+            selected[n] = candidates[bestIndex];
+            selectedRegions[n] = regions[bestIndex];
+        }
+        
+        return selected;
+    }
+
+    /**
+     * @dev Selection score of a provider, in basis points
+     * @param _provider Provider data
+     * @param _lowestPrice Lowest price among the candidates
+     * @param _fileSize Size of file to store
+     * @return Weighted score of reputation, relative price and remaining free capacity
+     */
+    function providerScore(
+        StorageProvider storage _provider,
+        uint256 _lowestPrice,
+        uint256 _fileSize
+    ) internal view returns (uint256) {
+        uint256 freeAfter = _provider.totalStorage - _provider.usedStorage - _fileSize;
+
+        return (_provider.reputation * REPUTATION_WEIGHT) / MAX_REPUTATION
+            + (_lowestPrice * PRICE_WEIGHT) / _provider.pricePerGB
+            + (freeAfter * CAPACITY_WEIGHT) / _provider.totalStorage;
+    }
+
+    /**
+     * @dev Check whether an address is in a list
+     * @param _list Addresses to search
+     * @param _value Address to look for
+     * @return True if the address is listed
+     */
+    function containsAddress(address[] memory _list, address _value) internal pure returns (bool) {
+        for (uint256 i = 0; i < _list.length; i++) {
+            if (_list[i] == _value) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Check whether a region hash is in a list of region names
+     * @param _regions Region names
+     * @param _regionHash keccak256 of the region to look for
+     * @return True if the region is listed
+     */
+    function containsRegion(string[] memory _regions, bytes32 _regionHash) internal pure returns (bool) {
+        for (uint256 i = 0; i < _regions.length; i++) {
+            if (keccak256(bytes(_regions[i])) == _regionHash) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
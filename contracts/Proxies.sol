@@ -0,0 +1,7 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// Compiles OpenZeppelin's transparent proxy so Ignition modules can deploy StorageToken and
+// DecentralizedStorageManager behind it. Each proxy deploys its own ProxyAdmin.
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+import "@openzeppelin/contracts/proxy/transparent/ProxyAdmin.sol";
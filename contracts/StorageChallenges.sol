@@ -0,0 +1,201 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+enum ChallengeStatus { None, Open, Passed, Failed, Expired, Cancelled }
+
+// Proof-of-storage challenge structure
+struct StorageChallenge {
+    bytes32 contractId;
+    address challenger;
+    uint256 seedBlock; // block whose hash selects the challenged chunk
+    uint256 deadlineBlock; // last block in which the provider may respond
+    uint256 issuedAt;
+    ChallengeStatus status;
+}
+
+/**
+ * @title StorageChallenges
+ * @dev Issues proof-of-storage challenges and checks Merkle proofs against them. Rewards and
+ * penalties stay with DecentralizedStorageManager; this library only tracks challenge state.
+ */
+library StorageChallenges {
+
+    uint256 internal constant SEED_DELAY = 2; // blocks until the seed block hash is known
+    uint256 internal constant RESPONSE_BLOCKS = 200; // must stay below the 256-block blockhash window
+
+    struct Book {
+        mapping(uint256 => StorageChallenge) challenges;
+        mapping(bytes32 => uint256) latest; // contractId => challengeId
+        uint256 count;
+    }
+
+    /**
+     * @dev Open a challenge against a storage contract. An open challenge past its deadline
+     * is marked expired first; the caller is expected to penalize its provider.
+     * @param _book Challenge state
+     * @param _contractId Storage contract identifier
+     * @param _interval Minimum time between two challenges of the same contract
+     * @return challengeId Identifier of the new challenge
+     * @return expiredId Identifier of the challenge that was expired, or 0
+     */
+    function issue(
+        Book storage _book,
+        bytes32 _contractId,
+        uint256 _interval
+    ) public returns (uint256 challengeId, uint256 expiredId) {
+        uint256 previousId = _book.latest[_contractId];
+        if (previousId != 0) {
+            StorageChallenge storage previous = _book.challenges[previousId];
+            if (previous.status == ChallengeStatus.Open) {
+                require(block.number > previous.deadlineBlock, "Challenge already open");
+                previous.status = ChallengeStatus.Expired;
+                expiredId = previousId;
+            }
+            require(block.timestamp >= previous.issuedAt + _interval, "Challenge issued too early");
+        }
+
+        _book.count = _book.count + 1;
+        challengeId = _book.count;
+
+        uint256 seedBlock = block.number + SEED_DELAY;
+        _book.challenges[challengeId] = StorageChallenge({
+            contractId: _contractId,
+            challenger: msg.sender,
+            seedBlock: seedBlock,
+            deadlineBlock: seedBlock + RESPONSE_BLOCKS,
+            issuedAt: block.timestamp,
+            status: ChallengeStatus.Open
+        });
+        _book.latest[_contractId] = challengeId;
+    }
+
+    /**
+     * @dev Storage contract of a challenge that can still be answered
+     * @param _book Challenge state
+     * @param _challengeId Challenge identifier
+     * @return Storage contract identifier
+     */
+    function openContract(Book storage _book, uint256 _challengeId) internal view returns (bytes32) {
+        StorageChallenge storage challenge = _book.challenges[_challengeId];
+        require(challenge.status == ChallengeStatus.Open, "Challenge is not open");
+        require(block.number <= challenge.deadlineBlock, "Challenge deadline passed");
+        return challenge.contractId;
+    }
+
+    /**
+     * @dev Check a proof for the challenged chunk and record the outcome
+     * @param _book Challenge state
+     * @param _challengeId Challenge identifier, already checked to be open
+     * @param _merkleProof Sibling hashes from the challenged leaf up to the root
+     * @param _chunk Contents of the challenged chunk
+     * @param _merkleRoot Root of the stored file version
+     * @param _chunkCount Number of chunks in the stored file version
+     * @return valid True if the proof matched
+     */
+    function respond(
+        Book storage _book,
+        uint256 _challengeId,
+        bytes32[] memory _merkleProof,
+        bytes memory _chunk,
+        bytes32 _merkleRoot,
+        uint256 _chunkCount
+    ) public returns (bool valid) {
+        valid = verifyProof(
+            _merkleProof,
+            _chunk,
+            _merkleRoot,
+            _chunkCount,
+            challengedChunk(_book, _challengeId, _chunkCount)
+        );
+        _book.challenges[_challengeId].status = valid ? ChallengeStatus.Passed : ChallengeStatus.Failed;
+    }
+
+    /**
+     * @dev Mark an unanswered challenge as expired
+     * @param _book Challenge state
+     * @param _challengeId Challenge identifier
+     * @return Storage contract identifier of the challenge
+     */
+    function expire(Book storage _book, uint256 _challengeId) public returns (bytes32) {
+        StorageChallenge storage challenge = _book.challenges[_challengeId];
+        require(challenge.status == ChallengeStatus.Open, "Challenge is not open");
+        require(block.number > challenge.deadlineBlock, "Challenge deadline not reached");
+
+        challenge.status = ChallengeStatus.Expired;
+        return challenge.contractId;
+    }
+
+    /**
+     * @dev Cancel the open challenge of a storage contract, if any.
+     * Used when a contract closes, since the challenge can no longer be met.
+     * @param _book Challenge state
+     * @param _contractId Storage contract identifier
+     */
+    function cancel(Book storage _book, bytes32 _contractId) internal {
+        StorageChallenge storage challenge = _book.challenges[_book.latest[_contractId]];
+        if (challenge.status == ChallengeStatus.Open) {
+            challenge.status = ChallengeStatus.Cancelled;
+        }
+    }
+
+    /**
+     * @dev Chunk index the provider must prove for a challenge.
+     * Only available once the seed block has been mined.
+     * @param _book Challenge state
+     * @param _challengeId Challenge identifier
+     * @param _chunkCount Number of chunks in the stored file version
+     * @return Index of the challenged chunk
+     */
+    function challengedChunk(
+        Book storage _book,
+        uint256 _challengeId,
+        uint256 _chunkCount
+    ) public view returns (uint256) {
+        StorageChallenge storage challenge = _book.challenges[_challengeId];
+        require(block.number > challenge.seedBlock, "Challenge seed not yet available");
+
+        bytes32 seed = blockhash(challenge.seedBlock);
+        require(seed != bytes32(0), "Challenge seed no longer available");
+
+        return uint256(keccak256(abi.encodePacked(seed, _challengeId))) % _chunkCount;
+    }
+
+    /**
+     * @dev Verify a Merkle proof for one chunk against the stored root of a file version.
+     * The leaf is hashed from the chunk itself, so only a provider holding the data can answer.
+     * Nodes are hashed as keccak256(left ++ right) and the chunk index decides the order at each
+     * level, matching FileIntegrityService's keccak trees (odd nodes are paired with themselves).
+     * @param _merkleProof Sibling hashes from leaf to root
+     * @param _chunk Contents of the chunk
+     * @param _merkleRoot Root of the stored file version
+     * @param _chunkCount Number of chunks in the stored file version
+     * @param _chunkIndex Index of the chunk being proven
+     * @return True if proof is valid
+     */
+    function verifyProof(
+        bytes32[] memory _merkleProof,
+        bytes memory _chunk,
+        bytes32 _merkleRoot,
+        uint256 _chunkCount,
+        uint256 _chunkIndex
+    ) internal pure returns (bool) {
+        if (_merkleProof.length != Math.log2(_chunkCount, Math.Rounding.Ceil)) {
+            return false;
+        }
+
+        bytes32 computedHash = keccak256(_chunk);
+        uint256 index = _chunkIndex;
+        for (uint256 i = 0; i < _merkleProof.length; i++) {
+            if (index % 2 == 0) {
+                computedHash = keccak256(abi.encodePacked(computedHash, _merkleProof[i]));
+            } else {
+                computedHash = keccak256(abi.encodePacked(_merkleProof[i], computedHash));
+            }
+            index = index / 2;
+        }
+
+        return computedHash == _merkleRoot;
+    }
+}
@@ -0,0 +1,330 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./ProviderSelection.sol";
+import "./StorageChallenges.sol";
+import "./IStorageManagerEvents.sol";
+
+// Storage contract structure
+struct StorageContract {
+    string fileId;
+    address provider;
+    address client;
+    uint256 duration; // in days
+    uint256 pricePerDay;
+    uint256 startTime;
+    uint256 endTime;
+    bool isActive;
+    uint256 collateral;
+    uint256 lastProofTime;
+    uint256 escrowBalance; // client payment not yet released to the provider
+    uint256 lastPaymentTime;
+    uint256 version; // index of the stored file version
+}
+
+/**
+ * @title StorageContracts
+ * @dev Opens and closes storage contracts for DecentralizedStorageManager and settles their
+ * escrow against the clients' deposited balances and the providers' earnings.
+ */
+library StorageContracts {
+
+    // Active contracts of each provider
+    struct ActiveSet {
+        mapping(address => bytes32[]) contractIds;
+        mapping(bytes32 => uint256) positions; // contractId => index + 1 in its provider's list
+    }
+
+    /**
+     * @dev Open a storage contract, locking its full price from the client's deposit
+     * @param _contracts Storage contracts by identifier
+     * @param _active Active contracts of each provider
+     * @param _providers Registered providers by address
+     * @param _balances Deposited balances of the clients
+     * @param _fileProviders Providers holding replicas of the file
+     * @param _fileContracts Storage contracts ever created for the file
+     * @param _fileId File identifier
+     * @param _version File version to store
+     * @param _fileSize Size of that version in bytes
+     * @param _provider Provider storing the replica
+     * @param _client Client paying for storage
+     * @param _endTime When the contract ends
+     * @return contractId Identifier of the new contract
+     */
+    function open(
+        mapping(bytes32 => StorageContract) storage _contracts,
+        ActiveSet storage _active,
+        mapping(address => StorageProvider) storage _providers,
+        mapping(address => uint256) storage _balances,
+        address[] storage _fileProviders,
+        bytes32[] storage _fileContracts,
+        string memory _fileId,
+        uint256 _version,
+        uint256 _fileSize,
+        address _provider,
+        address _client,
+        uint256 _endTime
+    ) public returns (bytes32 contractId) {
+        StorageProvider storage providerData = _providers[_provider];
+
+        contractId = keccak256(abi.encodePacked(_fileId, _version, _provider, block.timestamp));
+        uint256 dailyPrice = pricePerDay(providerData.pricePerGB, _fileSize);
+        uint256 escrowAmount = (dailyPrice * (_endTime - block.timestamp)) / 1 days;
+
+        require(_balances[_client] >= escrowAmount, "Insufficient balance for escrow");
+        _balances[_client] = _balances[_client] - escrowAmount;
+
+        _contracts[contractId] = StorageContract({
+            fileId: _fileId,
+            provider: _provider,
+            client: _client,
+            duration: (_endTime - block.timestamp) / 1 days,
+            pricePerDay: dailyPrice,
+            startTime: block.timestamp,
+            endTime: _endTime,
+            isActive: true,
+            collateral: dailyPrice * 30, // 30 days collateral
+            lastProofTime: block.timestamp,
+            escrowBalance: escrowAmount,
+            lastPaymentTime: block.timestamp,
+            version: _version
+        });
+
+        // Update provider's used storage
+        providerData.usedStorage = providerData.usedStorage + _fileSize;
+        _fileProviders.push(_provider);
+        _fileContracts.push(contractId);
+        _active.contractIds[_provider].push(contractId);
+        _active.positions[contractId] = _active.contractIds[_provider].length;
+
+        emit IStorageManagerEvents.StorageContractCreated(contractId, _fileId, _provider, _client);
+        emit IStorageManagerEvents.EscrowLocked(contractId, _client, escrowAmount);
+    }
+
+    /**
+     * @dev Deactivate a storage contract, free the provider's space and refund unused escrow
+     * @param _contracts Storage contracts by identifier
+     * @param _active Active contracts of each provider
+     * @param _providers Registered providers by address
+     * @param _balances Deposited balances of the clients
+     * @param _fileProviders Providers holding replicas of the contract's file
+     * @param _challenges Challenge state, to cancel the contract's open challenge
+     * @param _contractId Storage contract identifier
+     * @param _fileSize Size of the stored file version in bytes
+     */
+    function close(
+        mapping(bytes32 => StorageContract) storage _contracts,
+        ActiveSet storage _active,
+        mapping(address => StorageProvider) storage _providers,
+        mapping(address => uint256) storage _balances,
+        address[] storage _fileProviders,
+        StorageChallenges.Book storage _challenges,
+        bytes32 _contractId,
+        uint256 _fileSize
+    ) public {
+        StorageContract storage storageContract = _contracts[_contractId];
+        storageContract.isActive = false;
+
+        // An unanswered challenge can no longer be met, so it must not count against the provider
+        StorageChallenges.cancel(_challenges, _contractId);
+
+        StorageProvider storage provider = _providers[storageContract.provider];
+        provider.usedStorage = provider.usedStorage - _fileSize;
+        _removeFileProvider(_fileProviders, storageContract.provider);
+        _removeActiveContract(_active, storageContract.provider, _contractId);
+
+        uint256 refund = storageContract.escrowBalance;
+        if (refund > 0) {
+            storageContract.escrowBalance = 0;
+            _balances[storageContract.client] = _balances[storageContract.client] + refund;
+            emit IStorageManagerEvents.EscrowRefunded(_contractId, storageContract.client, refund);
+        }
+
+        emit IStorageManagerEvents.StorageContractClosed(_contractId, storageContract.fileId, storageContract.provider);
+    }
+
+    /**
+     * @dev Release escrowed payment for the days elapsed since the last payment
+     * @param _contracts Storage contracts by identifier
+     * @param _earnings Providers' withdrawable earnings
+     * @param _contractId Storage contract identifier
+     */
+    function releasePayment(
+        mapping(bytes32 => StorageContract) storage _contracts,
+        mapping(address => uint256) storage _earnings,
+        bytes32 _contractId
+    ) public {
+        StorageContract storage storageContract = _contracts[_contractId];
+        uint256 amount = _settleElapsed(storageContract);
+
+        if (amount > 0) {
+            _earnings[storageContract.provider] = _earnings[storageContract.provider] + amount;
+            emit IStorageManagerEvents.PaymentReleased(_contractId, storageContract.provider, amount);
+        }
+    }
+
+    /**
+     * @dev Refund the escrow for the days elapsed since the last payment to the client, for a
+     * period the provider failed to prove. Payment resumes from now with the next valid proof.
+     * @param _contracts Storage contracts by identifier
+     * @param _balances Deposited balances of the clients
+     * @param _contractId Storage contract identifier
+     */
+    function refundPayment(
+        mapping(bytes32 => StorageContract) storage _contracts,
+        mapping(address => uint256) storage _balances,
+        bytes32 _contractId
+    ) public {
+        StorageContract storage storageContract = _contracts[_contractId];
+        uint256 amount = _settleElapsed(storageContract);
+
+        if (amount > 0) {
+            _balances[storageContract.client] = _balances[storageContract.client] + amount;
+            emit IStorageManagerEvents.EscrowRefunded(_contractId, storageContract.client, amount);
+        }
+    }
+
+    /**
+     * @dev Take the escrow owed for the days elapsed since the last payment out of the contract
+     * and move its last payment time to now (or its end)
+     * @param _storageContract Storage contract to settle
+     * @return amount Escrow taken out of the contract
+     */
+    function _settleElapsed(StorageContract storage _storageContract) private returns (uint256 amount) {
+        uint256 paidUntil = Math.min(block.timestamp, _storageContract.endTime);
+        amount = Math.min(
+            (_storageContract.pricePerDay * (paidUntil - _storageContract.lastPaymentTime)) / 1 days,
+            _storageContract.escrowBalance
+        );
+        _storageContract.lastPaymentTime = paidUntil;
+        _storageContract.escrowBalance = _storageContract.escrowBalance - amount;
+    }
+
+    /**
+     * @dev Take a provider out of selection and flag each of its replicas for repair
+     * @param _contracts Storage contracts by identifier
+     * @param _active Active contracts of each provider
+     * @param _providers Registered providers by address
+     * @param _provider Provider address
+     */
+    function deactivateProvider(
+        mapping(bytes32 => StorageContract) storage _contracts,
+        ActiveSet storage _active,
+        mapping(address => StorageProvider) storage _providers,
+        address _provider
+    ) public {
+        _providers[_provider].isActive = false;
+
+        bytes32[] storage contractIds = _active.contractIds[_provider];
+        for (uint256 i = 0; i < contractIds.length; i++) {
+            emit IStorageManagerEvents.ReplicaLost(contractIds[i], _contracts[contractIds[i]].fileId, _provider);
+        }
+
+        emit IStorageManagerEvents.ProviderDeactivated(_provider, contractIds.length);
+    }
+
+    /**
+     * @dev Providers holding active contracts for one version of a file
+     * @param _contracts Storage contracts by identifier
+     * @param _fileContracts Storage contracts ever created for the file
+     * @param _version File version
+     * @return providers Provider addresses
+     */
+    function versionProviders(
+        mapping(bytes32 => StorageContract) storage _contracts,
+        bytes32[] storage _fileContracts,
+        uint256 _version
+    ) public view returns (address[] memory providers) {
+        uint256 count = 0;
+        for (uint256 i = 0; i < _fileContracts.length; i++) {
+            if (holdsVersion(_contracts[_fileContracts[i]], _version)) {
+                count++;
+            }
+        }
+
+        providers = new address[](count);
+        uint256 index = 0;
+        for (uint256 i = 0; i < _fileContracts.length; i++) {
+            StorageContract storage storageContract = _contracts[_fileContracts[i]];
+            if (holdsVersion(storageContract, _version)) {
+                providers[index++] = storageContract.provider;
+            }
+        }
+    }
+
+    /**
+     * @dev Count the healthy replicas of one version of a file: active contracts whose
+     * provider has not been deactivated
+     * @param _contracts Storage contracts by identifier
+     * @param _providers Registered providers by address
+     * @param _fileContracts Storage contracts ever created for the file
+     * @param _version File version
+     * @return healthy Number of healthy replicas
+     */
+    function healthyReplicas(
+        mapping(bytes32 => StorageContract) storage _contracts,
+        mapping(address => StorageProvider) storage _providers,
+        bytes32[] storage _fileContracts,
+        uint256 _version
+    ) public view returns (uint256 healthy) {
+        for (uint256 i = 0; i < _fileContracts.length; i++) {
+            StorageContract storage storageContract = _contracts[_fileContracts[i]];
+            if (holdsVersion(storageContract, _version) && _providers[storageContract.provider].isActive) {
+                healthy++;
+            }
+        }
+    }
+
+    /**
+     * @dev Check whether a storage contract is an active replica of a file version
+     * @param _storageContract Storage contract
+     * @param _version File version
+     * @return True if the contract is active and stores that version
+     */
+    function holdsVersion(StorageContract storage _storageContract, uint256 _version) internal view returns (bool) {
+        return _storageContract.isActive && _storageContract.version == _version;
+    }
+
+    /**
+     * @dev Daily storage price for a file at a provider's rate
+     * @param _pricePerGB Provider price per GB per day
+     * @param _fileSize File size in bytes
+     * @return Price per day
+     */
+    function pricePerDay(uint256 _pricePerGB, uint256 _fileSize) internal pure returns (uint256) {
+        return (_pricePerGB * _fileSize) / 10**9;
+    }
+
+    /**
+     * @dev Remove one replica holder from a file's provider list
+     * @param _fileProviders Providers holding replicas of the file
+     * @param _provider Provider address
+     */
+    function _removeFileProvider(address[] storage _fileProviders, address _provider) private {
+        for (uint256 i = 0; i < _fileProviders.length; i++) {
+            if (_fileProviders[i] == _provider) {
+                _fileProviders[i] = _fileProviders[_fileProviders.length - 1];
+                _fileProviders.pop();
+                return;
+            }
+        }
+    }
+
+    /**
+     * @dev Remove a contract from its provider's active contract list
+     * @param _active Active contracts of each provider
+     * @param _provider Provider address
+     * @param _contractId Storage contract identifier
+     */
+    function _removeActiveContract(ActiveSet storage _active, address _provider, bytes32 _contractId) private {
+        bytes32[] storage contractIds = _active.contractIds[_provider];
+        uint256 index = _active.positions[_contractId];
+
+        bytes32 last = contractIds[contractIds.length - 1];
+        contractIds[index - 1] = last;
+        _active.positions[last] = index;
+        contractIds.pop();
+        delete _active.positions[_contractId];
+    }
+}
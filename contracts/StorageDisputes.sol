@@ -0,0 +1,291 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./FileManager.sol";
+import "./IDisputeModule.sol";
+
+enum DisputeStatus { None, Open, Upheld, Dismissed, Appealed, Closed }
+
+// Client complaint against the provider of a storage contract
+struct Dispute {
+    bytes32 contractId;
+    address client;
+    address provider;
+    uint256 challengeId; // failed or expired challenge offered as evidence, or 0
+    string evidence; // e.g. an IPFS hash of the client's report
+    string response; // provider's answer
+    uint256 bond; // client bond, returned if upheld and paid to the provider if dismissed
+    uint256 slashAmount; // stake to slash if upheld
+    uint256 responseDeadline;
+    uint256 appealDeadline;
+    address appellant;
+    uint256 appealBond;
+    DisputeStatus status;
+}
+
+/**
+ * @title StorageDisputes
+ * @dev Dispute and appeal process for slashing storage providers of
+ * DecentralizedStorageManager, which must have this contract set as its dispute module.
+ *
+ * A client bonds STOR to open a dispute against one of its storage contracts. The provider
+ * may respond until the response deadline; the arbiter or the owner (governance) then
+ * upholds the dispute with a slash amount or dismisses it. Either outcome can be appealed
+ * by the losing side with an appeal bond until the appeal deadline, and the owner decides
+ * appeals. Once final, an upheld dispute slashes the provider and returns the client's bond,
+ * a dismissed one pays the bond to the provider. The losing side of an appeal forfeits the
+ * appeal bond to the other side.
+ *
+ * The manager does not let a provider complete its exit while it has disputes open or under
+ * appeal here (openDisputes), so a provider cannot unlock its stake ahead of a slash however
+ * long the arbiter or the owner takes to decide.
+ */
+contract StorageDisputes is Ownable, IDisputeModule {
+
+    DecentralizedStorageManager public immutable manager;
+    StorageToken public immutable storageToken;
+
+    address public arbiter; // resolves disputes alongside the owner
+    uint256 public disputeBond = 100 * 10**18;
+    uint256 public appealBond = 200 * 10**18;
+    uint256 public responseWindow = 2 days;
+    uint256 public appealWindow = 2 days;
+
+    mapping(uint256 => Dispute) public disputes;
+    uint256 public disputeCount;
+    mapping(address => uint256) public openDisputes; // provider => disputes not yet settled
+
+    event DisputeOpened(uint256 indexed disputeId, bytes32 indexed contractId, address indexed client, address provider, uint256 challengeId);
+    event DisputeResponded(uint256 indexed disputeId, address indexed provider, string response);
+    event DisputeResolved(uint256 indexed disputeId, bool upheld, uint256 slashAmount, address resolvedBy);
+    event DisputeAppealed(uint256 indexed disputeId, address indexed appellant);
+    event DisputeClosed(uint256 indexed disputeId, bool upheld, uint256 slashAmount);
+    event ArbiterUpdated(address arbiter);
+    event DisputeSettingsUpdated(uint256 disputeBond, uint256 appealBond, uint256 responseWindow, uint256 appealWindow);
+
+    /**
+     * @param _manager Storage manager whose providers are disputed
+     * @param _arbiter Account resolving disputes alongside the owner, or the zero address
+     */
+    constructor(DecentralizedStorageManager _manager, address _arbiter) Ownable(msg.sender) {
+        manager = _manager;
+        storageToken = _manager.storageToken();
+        arbiter = _arbiter;
+    }
+
+    /**
+     * @dev Open a dispute against the provider of one of the caller's storage contracts,
+     * bonding disputeBond
+     * @param _contractId Storage contract identifier
+     * @param _challengeId Failed or expired challenge of that contract offered as evidence, or 0
+     * @param _evidence Description of or pointer to further evidence
+     * @return disputeId Identifier of the new dispute
+     */
+    function openDispute(
+        bytes32 _contractId,
+        uint256 _challengeId,
+        string memory _evidence
+    ) external returns (uint256 disputeId) {
+        (, address provider, address client, , , , , , , , , , ) = manager.storageContracts(_contractId);
+        require(client != address(0), "Storage contract does not exist");
+        require(client == msg.sender, "Only the client can open a dispute");
+
+        if (_challengeId != 0) {
+            StorageChallenge memory challenge = manager.storageChallenges(_challengeId);
+            require(
+                challenge.contractId == _contractId &&
+                    (challenge.status == ChallengeStatus.Failed || challenge.status == ChallengeStatus.Expired),
+                "Challenge is not evidence against this contract"
+            );
+        }
+
+        require(storageToken.transferFrom(msg.sender, address(this), disputeBond), "Transfer failed");
+
+        disputeId = ++disputeCount;
+        Dispute storage dispute = disputes[disputeId];
+        dispute.contractId = _contractId;
+        dispute.client = msg.sender;
+        dispute.provider = provider;
+        dispute.challengeId = _challengeId;
+        dispute.evidence = _evidence;
+        dispute.bond = disputeBond;
+        dispute.responseDeadline = block.timestamp + responseWindow;
+        dispute.status = DisputeStatus.Open;
+        openDisputes[provider]++;
+
+        emit DisputeOpened(disputeId, _contractId, msg.sender, provider, _challengeId);
+    }
+
+    /**
+     * @dev Answer a dispute before its response deadline (disputed provider only)
+     * @param _disputeId Dispute identifier
+     * @param _response Answer, or a pointer to it
+     */
+    function respond(uint256 _disputeId, string memory _response) external {
+        Dispute storage dispute = disputes[_disputeId];
+        require(dispute.status == DisputeStatus.Open, "Dispute is not open");
+        require(msg.sender == dispute.provider, "Only the provider can respond");
+        require(block.timestamp <= dispute.responseDeadline, "Response window has closed");
+
+        dispute.response = _response;
+        emit DisputeResponded(_disputeId, msg.sender, _response);
+    }
+
+    /**
+     * @dev Uphold or dismiss an open dispute (arbiter or owner). Can be done once the provider
+     * has responded or its response window has passed; the outcome can be appealed until the
+     * appeal deadline.
+     * @param _disputeId Dispute identifier
+     * @param _uphold Whether the provider is found at fault
+     * @param _slashAmount Stake to slash if upheld
+     */
+    function resolve(uint256 _disputeId, bool _uphold, uint256 _slashAmount) external {
+        require(msg.sender == arbiter || msg.sender == owner(), "Not allowed to resolve disputes");
+        Dispute storage dispute = disputes[_disputeId];
+        require(dispute.status == DisputeStatus.Open, "Dispute is not open");
+        require(
+            bytes(dispute.response).length > 0 || block.timestamp > dispute.responseDeadline,
+            "Response window still open"
+        );
+
+        _setOutcome(dispute, _uphold, _slashAmount);
+        dispute.appealDeadline = block.timestamp + appealWindow;
+
+        emit DisputeResolved(_disputeId, _uphold, dispute.slashAmount, msg.sender);
+    }
+
+    /**
+     * @dev Appeal a resolved dispute before its appeal deadline, bonding appealBond.
+     * The provider may appeal an upheld dispute, the client a dismissed one.
+     * @param _disputeId Dispute identifier
+     */
+    function appeal(uint256 _disputeId) external {
+        Dispute storage dispute = disputes[_disputeId];
+        require(
+            dispute.status == DisputeStatus.Upheld || dispute.status == DisputeStatus.Dismissed,
+            "Dispute is not resolved"
+        );
+        require(block.timestamp <= dispute.appealDeadline, "Appeal window has closed");
+        require(
+            msg.sender == (dispute.status == DisputeStatus.Upheld ? dispute.provider : dispute.client),
+            "Only the losing party can appeal"
+        );
+
+        require(storageToken.transferFrom(msg.sender, address(this), appealBond), "Transfer failed");
+
+        dispute.appellant = msg.sender;
+        dispute.appealBond = appealBond;
+        dispute.status = DisputeStatus.Appealed;
+
+        emit DisputeAppealed(_disputeId, msg.sender);
+    }
+
+    /**
+     * @dev Decide an appeal and settle the dispute (only owner)
+     * @param _disputeId Dispute identifier
+     * @param _uphold Whether the provider is found at fault
+     * @param _slashAmount Stake to slash if upheld
+     */
+    function resolveAppeal(uint256 _disputeId, bool _uphold, uint256 _slashAmount) external onlyOwner {
+        Dispute storage dispute = disputes[_disputeId];
+        require(dispute.status == DisputeStatus.Appealed, "Dispute is not appealed");
+
+        // The appellant wins if the provider's fault is decided the other way
+        bool appellantWins = _uphold == (dispute.appellant == dispute.client);
+        address appealBondTo = appellantWins
+            ? dispute.appellant
+            : (dispute.appellant == dispute.client ? dispute.provider : dispute.client);
+
+        _setOutcome(dispute, _uphold, _slashAmount);
+        emit DisputeResolved(_disputeId, _uphold, dispute.slashAmount, msg.sender);
+
+        require(storageToken.transfer(appealBondTo, dispute.appealBond), "Transfer failed");
+        _settle(_disputeId);
+    }
+
+    /**
+     * @dev Settle a resolved dispute once its appeal window has passed (callable by anyone)
+     * @param _disputeId Dispute identifier
+     */
+    function finalize(uint256 _disputeId) external {
+        Dispute storage dispute = disputes[_disputeId];
+        require(
+            dispute.status == DisputeStatus.Upheld || dispute.status == DisputeStatus.Dismissed,
+            "Dispute is not resolved"
+        );
+        require(block.timestamp > dispute.appealDeadline, "Appeal window still open");
+
+        _settle(_disputeId);
+    }
+
+    /**
+     * @dev Set the arbiter (only owner)
+     * @param _arbiter Account resolving disputes alongside the owner, or the zero address
+     */
+    function setArbiter(address _arbiter) external onlyOwner {
+        arbiter = _arbiter;
+        emit ArbiterUpdated(_arbiter);
+    }
+
+    /**
+     * @dev Update bonds and windows for disputes opened from now on (only owner)
+     * @param _disputeBond Bond to open a dispute
+     * @param _appealBond Bond to appeal a resolution
+     * @param _responseWindow Time the provider has to respond
+     * @param _appealWindow Time to appeal a resolution
+     */
+    function updateDisputeSettings(
+        uint256 _disputeBond,
+        uint256 _appealBond,
+        uint256 _responseWindow,
+        uint256 _appealWindow
+    ) external onlyOwner {
+        require(_responseWindow + _appealWindow < manager.UNBONDING_PERIOD(), "Windows must end before unbonding");
+
+        disputeBond = _disputeBond;
+        appealBond = _appealBond;
+        responseWindow = _responseWindow;
+        appealWindow = _appealWindow;
+
+        emit DisputeSettingsUpdated(_disputeBond, _appealBond, _responseWindow, _appealWindow);
+    }
+
+    /**
+     * @dev Record the outcome of a resolution or appeal
+     * @param _dispute Dispute
+     * @param _uphold Whether the provider is found at fault
+     * @param _slashAmount Stake to slash if upheld
+     */
+    function _setOutcome(Dispute storage _dispute, bool _uphold, uint256 _slashAmount) internal {
+        require(!_uphold || _slashAmount > 0, "Slash amount must be greater than 0");
+
+        _dispute.status = _uphold ? DisputeStatus.Upheld : DisputeStatus.Dismissed;
+        _dispute.slashAmount = _uphold ? _slashAmount : 0;
+    }
+
+    /**
+     * @dev Slash the provider of an upheld dispute and pay out the client's bond
+     * @param _disputeId Dispute identifier
+     */
+    function _settle(uint256 _disputeId) internal {
+        Dispute storage dispute = disputes[_disputeId];
+        bool upheld = dispute.status == DisputeStatus.Upheld;
+        dispute.status = DisputeStatus.Closed;
+        openDisputes[dispute.provider]--;
+
+        // A provider that has already exited has no stake left to slash
+        (address registered, , , , , , , , , , ) = manager.storageProviders(dispute.provider);
+        if (upheld && registered != address(0)) {
+            manager.slashProvider(
+                dispute.provider,
+                dispute.slashAmount,
+                string.concat("Dispute #", Strings.toString(_disputeId))
+            );
+        }
+        require(storageToken.transfer(upheld ? dispute.client : dispute.provider, dispute.bond), "Transfer failed");
+
+        emit DisputeClosed(_disputeId, upheld, dispute.slashAmount);
+    }
+}
@@ -1,11 +1,16 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
-import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20BurnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/types/Time.sol";
+import "@openzeppelin/contracts/interfaces/IERC6372.sol";
 
 /**
  * @title StorageToken (STOR)
@@ -14,10 +19,30 @@ import "@openzeppelin/contracts/utils/math/Math.sol";
  * - Mintable by owner for network rewards
  * - Burnable for deflationary mechanics
  * - Pausable for emergency situations
- * - Staking rewards for storage providers
+ * - Staking rewards for storage providers, paid from a funded reward reserve
  * - Governance voting power
+ * - Lockable stake used as storage provider collateral
+ *
+ * Voting power equals the staked amount and is checkpointed per block, so StorageGovernor
+ * can read it at a proposal's snapshot through the getVotes/getPastVotes/getPastTotalSupply
+ * subset of IVotes. It cannot be delegated.
+ *
+ * Authorized slashers (DecentralizedStorageManager) lock part of a staker's position as
+ * provider collateral. Locked stake keeps earning rewards and voting power but cannot be
+ * unstaked until the slasher unlocks it, and the slasher may burn it or move it elsewhere.
+ *
+ * Deployed behind a transparent proxy and set up with initialize(), like
+ * DecentralizedStorageManager. Upgrades may only append state variables.
  */
-contract StorageToken is ERC20, ERC20Burnable, Ownable, Pausable {
+contract StorageToken is
+    Initializable,
+    ERC20Upgradeable,
+    ERC20BurnableUpgradeable,
+    OwnableUpgradeable,
+    PausableUpgradeable,
+    IERC6372
+{
+    using Checkpoints for Checkpoints.Trace208;
 
     // Token configuration
     uint256 public constant MAX_SUPPLY = 1000000000 * 10**18; // 1 billion tokens
@@ -26,35 +51,78 @@ contract StorageToken is ERC20, ERC20Burnable, Ownable, Pausable {
     // Staking configuration
     struct StakingInfo {
         uint256 stakedAmount;
-        uint256 stakingTimestamp;
+        uint256 stakingTimestamp; // time of the latest deposit
         uint256 lastRewardClaim;
-        uint256 accumulatedRewards;
+        uint256 accumulatedRewards; // rewards claimed so far
+    }
+
+    // One stake, locked until minimumStakingPeriod after it was made
+    struct StakeDeposit {
+        uint256 amount;
+        uint256 unlockTime;
     }
     
     mapping(address => StakingInfo) public stakingInfo;
     mapping(address => bool) public authorizedMinters;
+    mapping(address => bool) public authorizedSlashers;
+    mapping(address => uint256) public lockedStake; // part of the stake held as collateral
     
     uint256 public totalStaked;
-    uint256 public stakingRewardRate = 5; // 5% annual reward rate
+    uint256 public stakingRewardRate; // annual reward rate in percent
     uint256 public constant SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
-    uint256 public minimumStakingPeriod = 7 days;
+    uint256 public minimumStakingPeriod;
+    mapping(address => StakeDeposit[]) private stakeDeposits;
+
+    // Reward-per-token accounting: all stake earns stakingRewardRate, paid out of the reward
+    // reserve. Nothing accrues while the reserve is empty.
+    uint256 public rewardReserve; // funded rewards not yet accrued
+    uint256 public rewardPerTokenStored; // rewards per staked token, scaled by 1e18
+    uint256 public lastRewardUpdate;
+    mapping(address => uint256) public userRewardPerTokenPaid;
+    mapping(address => uint256) public rewards; // accrued, not yet claimed
     
     // Governance
     mapping(address => uint256) public votingPower;
     uint256 public totalVotingPower;
+    mapping(address => Checkpoints.Trace208) private votingPowerHistory;
+    Checkpoints.Trace208 private totalVotingPowerHistory;
     
     // Events
     event Staked(address indexed user, uint256 amount);
     event Unstaked(address indexed user, uint256 amount);
     event RewardsClaimed(address indexed user, uint256 amount);
+    event RewardsFunded(address indexed funder, uint256 amount);
     event MinterAdded(address indexed minter);
     event MinterRemoved(address indexed minter);
+    event SlasherAdded(address indexed slasher);
+    event SlasherRemoved(address indexed slasher);
+    event StakeLocked(address indexed user, address indexed slasher, uint256 amount);
+    event StakeUnlocked(address indexed user, address indexed slasher, uint256 amount);
+    event StakeSlashed(address indexed user, address indexed slasher, uint256 amount, address recipient);
     event StakingRewardRateUpdated(uint256 newRate);
     event VotingPowerUpdated(address indexed user, uint256 newPower);
 
-    constructor() ERC20("StorageToken", "STOR") Ownable(msg.sender) {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Set up the token behind its proxy: mint the initial supply to the caller, who
+     * becomes the owner and first minter. Staking starts at a 5% annual rate with a 7 day
+     * minimum staking period.
+     */
+    function initialize() external initializer {
+        __ERC20_init("StorageToken", "STOR");
+        __ERC20Burnable_init();
+        __Ownable_init(msg.sender);
+        __Pausable_init();
+
         _mint(msg.sender, INITIAL_SUPPLY);
         authorizedMinters[msg.sender] = true;
+        stakingRewardRate = 5;
+        minimumStakingPeriod = 7 days;
+        lastRewardUpdate = block.timestamp;
     }
 
     /**
@@ -89,17 +157,35 @@ contract StorageToken is ERC20, ERC20Burnable, Ownable, Pausable {
     }
 
     /**
-     * @dev Stake tokens to earn rewards and gain voting power
+     * @dev Authorize a contract to lock and slash stake (only owner)
+     * @param slasher Address to authorize
+     */
+    function addSlasher(address slasher) external onlyOwner {
+        require(slasher != address(0), "Invalid slasher address");
+        authorizedSlashers[slasher] = true;
+        emit SlasherAdded(slasher);
+    }
+
+    /**
+     * @dev Remove slasher authorization (only owner)
+     * @param slasher Address to remove authorization
+     */
+    function removeSlasher(address slasher) external onlyOwner {
+        authorizedSlashers[slasher] = false;
+        emit SlasherRemoved(slasher);
+    }
+
+    /**
+     * @dev Stake tokens to earn rewards and gain voting power.
+     * Each stake is a separate deposit locked for the current minimum staking period.
      * @param amount Amount of tokens to stake
      */
     function stake(uint256 amount) external whenNotPaused {
         require(amount > 0, "Amount must be greater than 0");
         require(balanceOf(msg.sender) >= amount, "Insufficient balance");
         
-        // Claim pending rewards before updating stake
-        if (stakingInfo[msg.sender].stakedAmount > 0) {
-            _claimRewards(msg.sender);
-        }
+        // Settle rewards at the old stake before updating it
+        _updateReward(msg.sender);
         
         // Transfer tokens to contract
         _transfer(msg.sender, address(this), amount);
@@ -108,7 +194,10 @@ contract StorageToken is ERC20, ERC20Burnable, Ownable, Pausable {
         StakingInfo storage userStaking = stakingInfo[msg.sender];
         userStaking.stakedAmount = userStaking.stakedAmount + amount;
         userStaking.stakingTimestamp = block.timestamp;
-        userStaking.lastRewardClaim = block.timestamp;
+        stakeDeposits[msg.sender].push(StakeDeposit({
+            amount: amount,
+            unlockTime: block.timestamp + minimumStakingPeriod
+        }));
         
         // Update total staked
         totalStaked = totalStaked + amount;
@@ -120,21 +209,20 @@ contract StorageToken is ERC20, ERC20Burnable, Ownable, Pausable {
     }
 
     /**
-     * @dev Unstake tokens and claim rewards
+     * @dev Unstake tokens from deposits past their lock and claim rewards
      * @param amount Amount of tokens to unstake
      */
     function unstake(uint256 amount) external whenNotPaused {
         StakingInfo storage userStaking = stakingInfo[msg.sender];
         require(userStaking.stakedAmount >= amount, "Insufficient staked amount");
-        require(
-            block.timestamp >= userStaking.stakingTimestamp + minimumStakingPeriod,
-            "Minimum staking period not met"
-        );
+        require(userStaking.stakedAmount - lockedStake[msg.sender] >= amount, "Stake is locked");
+        require(unlockedDeposits(msg.sender) >= amount, "Minimum staking period not met");
         
         // Claim pending rewards
         _claimRewards(msg.sender);
         
         // Update staking info
+        _removeDeposits(msg.sender, amount, true);
         userStaking.stakedAmount = userStaking.stakedAmount - amount;
         totalStaked = totalStaked - amount;
         
@@ -147,6 +235,82 @@ contract StorageToken is ERC20, ERC20Burnable, Ownable, Pausable {
         emit Unstaked(msg.sender, amount);
     }
 
+    /**
+     * @dev Lock part of a user's stake as collateral (authorized slashers only)
+     * @param user Staker whose position is locked
+     * @param amount Amount to lock
+     */
+    function lockStake(address user, uint256 amount) external {
+        require(authorizedSlashers[msg.sender], "Not authorized to slash");
+        require(stakingInfo[user].stakedAmount - lockedStake[user] >= amount, "Insufficient unlocked stake");
+
+        lockedStake[user] = lockedStake[user] + amount;
+        emit StakeLocked(user, msg.sender, amount);
+    }
+
+    /**
+     * @dev Release locked stake (authorized slashers only)
+     * @param user Staker whose position is unlocked
+     * @param amount Amount to unlock
+     */
+    function unlockStake(address user, uint256 amount) external {
+        require(authorizedSlashers[msg.sender], "Not authorized to slash");
+        require(lockedStake[user] >= amount, "Insufficient locked stake");
+
+        lockedStake[user] = lockedStake[user] - amount;
+        emit StakeUnlocked(user, msg.sender, amount);
+    }
+
+    /**
+     * @dev Take locked stake away from a user (authorized slashers only).
+     * Rewards earned on the stake until now stay with the user.
+     * @param user Staker to slash
+     * @param amount Amount to slash; capped at the user's locked stake
+     * @param recipient Address receiving the slashed tokens, or the zero address to burn them
+     * @return slashed Amount actually slashed
+     */
+    function slash(address user, uint256 amount, address recipient) external returns (uint256 slashed) {
+        require(authorizedSlashers[msg.sender], "Not authorized to slash");
+
+        slashed = Math.min(amount, lockedStake[user]);
+        if (slashed == 0) {
+            return 0;
+        }
+
+        _updateReward(user);
+
+        StakingInfo storage userStaking = stakingInfo[user];
+        lockedStake[user] = lockedStake[user] - slashed;
+        _removeDeposits(user, slashed, false);
+        userStaking.stakedAmount = userStaking.stakedAmount - slashed;
+        totalStaked = totalStaked - slashed;
+        _updateVotingPower(user, userStaking.stakedAmount);
+
+        if (recipient == address(0)) {
+            _burn(address(this), slashed);
+        } else {
+            _transfer(address(this), recipient, slashed);
+        }
+
+        emit StakeSlashed(user, msg.sender, slashed, recipient);
+    }
+
+    /**
+     * @dev Add tokens to the reward reserve that staking rewards are paid from
+     * @param amount Amount of tokens to add
+     */
+    function fundRewards(uint256 amount) external {
+        require(amount > 0, "Amount must be greater than 0");
+
+        // Rewards accrued so far were limited by the old reserve
+        _updateReward(address(0));
+
+        _transfer(msg.sender, address(this), amount);
+        rewardReserve = rewardReserve + amount;
+
+        emit RewardsFunded(msg.sender, amount);
+    }
+
     /**
      * @dev Claim staking rewards
      */
@@ -159,38 +323,150 @@ contract StorageToken is ERC20, ERC20Burnable, Ownable, Pausable {
      * @param user User address
      */
     function _claimRewards(address user) internal {
-        StakingInfo storage userStaking = stakingInfo[user];
-        require(userStaking.stakedAmount > 0, "No staked tokens");
-        
-        uint256 rewards = calculateRewards(user);
-        if (rewards > 0) {
-            userStaking.accumulatedRewards = userStaking.accumulatedRewards + rewards;
+        _updateReward(user);
+
+        uint256 amount = rewards[user];
+        if (amount > 0) {
+            StakingInfo storage userStaking = stakingInfo[user];
+            rewards[user] = 0;
+            userStaking.accumulatedRewards = userStaking.accumulatedRewards + amount;
             userStaking.lastRewardClaim = block.timestamp;
-            
-            // Mint rewards if within max supply
-            if (totalSupply() + rewards <= MAX_SUPPLY) {
-                _mint(user, rewards);
-                emit RewardsClaimed(user, rewards);
-            }
+
+            _transfer(address(this), user, amount);
+            emit RewardsClaimed(user, amount);
         }
     }
 
+    /**
+     * @dev Accrue rewards to all stake up to now and settle a user's share
+     * @param user User address, or the zero address to only accrue
+     */
+    function _updateReward(address user) internal {
+        (rewardPerTokenStored, rewardReserve) = _accruedRewards();
+        lastRewardUpdate = block.timestamp;
+
+        if (user != address(0)) {
+            rewards[user] = calculateRewards(user);
+            userRewardPerTokenPaid[user] = rewardPerTokenStored;
+        }
+    }
+
+    /**
+     * @dev Rewards accrued since the last update at stakingRewardRate, limited to what is
+     * left in the reward reserve
+     * @return perToken Rewards per staked token so far, scaled by 1e18
+     * @return reserve Reward reserve left after the accrual
+     */
+    function _accruedRewards() internal view returns (uint256 perToken, uint256 reserve) {
+        perToken = rewardPerTokenStored;
+        reserve = rewardReserve;
+        if (totalStaked == 0) {
+            return (perToken, reserve);
+        }
+
+        uint256 due = totalStaked * stakingRewardRate * (block.timestamp - lastRewardUpdate) / 100 / SECONDS_PER_YEAR;
+        uint256 accrued = Math.min(due, reserve);
+        perToken = perToken + accrued * 1e18 / totalStaked;
+        reserve = reserve - accrued;
+    }
+
+    /**
+     * @dev Rewards earned per staked token since the contract was deployed
+     * @return Rewards per token, scaled by 1e18
+     */
+    function rewardPerToken() public view returns (uint256) {
+        (uint256 perToken, ) = _accruedRewards();
+        return perToken;
+    }
+
     /**
      * @dev Calculate pending rewards for a user
      * @param user User address
      * @return Pending reward amount
      */
     function calculateRewards(address user) public view returns (uint256) {
-        StakingInfo storage userStaking = stakingInfo[user];
-        if (userStaking.stakedAmount == 0) {
-            return 0;
+        uint256 newRewards = stakingInfo[user].stakedAmount * (rewardPerToken() - userRewardPerTokenPaid[user]) / 1e18;
+        return rewards[user] + newRewards;
+    }
+
+    /**
+     * @dev Annual reward rate stakers currently earn. Falls to 0 once the reward reserve
+     * runs out.
+     * @return Annual rate in basis points
+     */
+    function currentAPR() external view returns (uint256) {
+        (, uint256 reserve) = _accruedRewards();
+        return reserve > 0 ? stakingRewardRate * 100 : 0;
+    }
+
+    /**
+     * @dev When the reward reserve runs out at the current total stake and reward rate
+     * @return Timestamp, or type(uint256).max if nothing is being paid out
+     */
+    function rewardReserveEnd() external view returns (uint256) {
+        uint256 yearlyRewards = totalStaked * stakingRewardRate / 100;
+        if (yearlyRewards == 0) {
+            return type(uint256).max;
+        }
+
+        (, uint256 reserve) = _accruedRewards();
+        return block.timestamp + reserve * SECONDS_PER_YEAR / yearlyRewards;
+    }
+
+    /**
+     * @dev Amount of a user's stake in deposits past their lock
+     * @param user User address
+     * @return amount Unlocked deposit amount, including stake locked as collateral
+     */
+    function unlockedDeposits(address user) public view returns (uint256 amount) {
+        StakeDeposit[] storage deposits = stakeDeposits[user];
+        for (uint256 i = 0; i < deposits.length; i++) {
+            if (deposits[i].unlockTime <= block.timestamp) {
+                amount = amount + deposits[i].amount;
+            }
+        }
+    }
+
+    /**
+     * @dev Amount a user can unstake right now
+     * @param user User address
+     * @return Stake past its lock and not held as collateral
+     */
+    function withdrawableStake(address user) external view returns (uint256) {
+        return Math.min(unlockedDeposits(user), stakingInfo[user].stakedAmount - lockedStake[user]);
+    }
+
+    /**
+     * @dev Get a user's open stake deposits, in no particular order
+     * @param user User address
+     * @return Deposits with their amounts and unlock times
+     */
+    function getStakeDeposits(address user) external view returns (StakeDeposit[] memory) {
+        return stakeDeposits[user];
+    }
+
+    /**
+     * @dev Take an amount out of a user's deposits; emptied deposits are removed
+     * @param user User address
+     * @param amount Amount to remove
+     * @param unlockedOnly Whether to only take from deposits past their lock
+     */
+    function _removeDeposits(address user, uint256 amount, bool unlockedOnly) internal {
+        StakeDeposit[] storage deposits = stakeDeposits[user];
+        for (uint256 i = deposits.length; i > 0 && amount > 0; i--) {
+            StakeDeposit storage deposit = deposits[i - 1];
+            if (unlockedOnly && deposit.unlockTime > block.timestamp) {
+                continue;
+            }
+
+            uint256 taken = Math.min(amount, deposit.amount);
+            deposit.amount = deposit.amount - taken;
+            amount = amount - taken;
+            if (deposit.amount == 0) {
+                deposits[i - 1] = deposits[deposits.length - 1];
+                deposits.pop();
+            }
         }
-        
-        uint256 stakingDuration = block.timestamp - userStaking.lastRewardClaim;
-        uint256 annualReward = userStaking.stakedAmount * stakingRewardRate / 100;
-        uint256 rewards = annualReward * stakingDuration / SECONDS_PER_YEAR;
-        
-        return rewards;
     }
 
     /**
@@ -204,22 +480,80 @@ contract StorageToken is ERC20, ERC20Burnable, Ownable, Pausable {
         
         votingPower[user] = newVotingPower;
         totalVotingPower = totalVotingPower - oldVotingPower + newVotingPower;
+
+        votingPowerHistory[user].push(clock(), SafeCast.toUint208(newVotingPower));
+        totalVotingPowerHistory.push(clock(), SafeCast.toUint208(totalVotingPower));
         
         emit VotingPowerUpdated(user, newVotingPower);
     }
 
+    /**
+     * @dev Clock used to checkpoint voting power (block numbers)
+     * @return Current block number
+     */
+    function clock() public view returns (uint48) {
+        return Time.blockNumber();
+    }
+
+    /**
+     * @dev Description of the clock, as defined by EIP-6372
+     * @return Clock mode
+     */
+    function CLOCK_MODE() public pure returns (string memory) {
+        return "mode=blocknumber&from=default";
+    }
+
+    /**
+     * @dev Current voting power of an account
+     * @param account Account address
+     * @return Voting power
+     */
+    function getVotes(address account) external view returns (uint256) {
+        return votingPower[account];
+    }
+
+    /**
+     * @dev Voting power of an account at the end of a past block
+     * @param account Account address
+     * @param timepoint Block number, must be in the past
+     * @return Voting power at that block
+     */
+    function getPastVotes(address account, uint256 timepoint) external view returns (uint256) {
+        return votingPowerHistory[account].upperLookupRecent(_pastTimepoint(timepoint));
+    }
+
+    /**
+     * @dev Total voting power at the end of a past block
+     * @param timepoint Block number, must be in the past
+     * @return Total voting power at that block
+     */
+    function getPastTotalSupply(uint256 timepoint) external view returns (uint256) {
+        return totalVotingPowerHistory.upperLookupRecent(_pastTimepoint(timepoint));
+    }
+
+    /**
+     * @dev Check that a timepoint is in the past, where voting power can no longer change
+     * @param timepoint Block number
+     * @return The timepoint as a clock value
+     */
+    function _pastTimepoint(uint256 timepoint) internal view returns (uint48) {
+        require(timepoint < clock(), "Timepoint is not in the past");
+        return SafeCast.toUint48(timepoint);
+    }
+
     /**
      * @dev Update staking reward rate (only owner)
      * @param newRate New annual reward rate (percentage)
      */
     function updateStakingRewardRate(uint256 newRate) external onlyOwner {
         require(newRate <= 20, "Reward rate too high"); // Max 20% annual
+        _updateReward(address(0));
         stakingRewardRate = newRate;
         emit StakingRewardRateUpdated(newRate);
     }
 
     /**
-     * @dev Update minimum staking period (only owner)
+     * @dev Update minimum staking period (only owner). Applies to deposits made from now on.
      * @param newPeriod New minimum staking period in seconds
      */
     function updateMinimumStakingPeriod(uint256 newPeriod) external onlyOwner {
@@ -0,0 +1,61 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../FileManager.sol";
+import "../StorageToken.sol";
+
+/**
+ * @title DecentralizedStorageManagerV2
+ * @dev Upgrade target used by the upgrade tests. Appends a state variable and sets it in a
+ * reinitializer, the way a real upgrade adds state.
+ */
+contract DecentralizedStorageManagerV2 is DecentralizedStorageManager {
+    uint256 public upgradedAt;
+
+    /**
+     * @dev Record when the proxy was upgraded. The parents were initialized by the first version.
+     * @custom:oz-upgrades-validate-as-initializer
+     * @custom:oz-upgrades-unsafe-allow missing-initializer-call
+     */
+    function initializeV2() external reinitializer(2) {
+        upgradedAt = block.timestamp;
+    }
+}
+
+/**
+ * @title StorageTokenV2
+ * @dev Upgrade target used by the upgrade tests. Appends a state variable and sets it in a
+ * reinitializer.
+ */
+contract StorageTokenV2 is StorageToken {
+    uint256 public upgradedAt;
+
+    /**
+     * @dev Record when the proxy was upgraded. The parents were initialized by the first version.
+     * @custom:oz-upgrades-validate-as-initializer
+     * @custom:oz-upgrades-unsafe-allow missing-initializer-call
+     */
+    function initializeV2() external reinitializer(2) {
+        upgradedAt = block.timestamp;
+    }
+}
+
+/**
+ * @title ReorderedStorageManager
+ * @dev Implementation whose state variables no longer line up with DecentralizedStorageManager;
+ * upgrading to it must be rejected.
+ */
+contract ReorderedStorageManager is Initializable, OwnableUpgradeable {
+    StorageToken public storageToken;
+    mapping(address => StorageProvider) public storageProviders;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(address _storageToken) external initializer {
+        __Ownable_init(msg.sender);
+        storageToken = StorageToken(_storageToken);
+    }
+}
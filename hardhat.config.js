@@ -1,20 +1,48 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@openzeppelin/hardhat-upgrades");
 // Make sure dotenv is installed: npm install dotenv
 require('dotenv').config({ path: './my-app/.env.local' });
 
-// Get the environment variables for Amoy
-const { NEXT_PUBLIC_AMOY_RPC_URL, PRIVATE_KEY } = process.env;
+// RPC endpoints default to the ones the frontend uses (my-app/utils/networks.js)
+const {
+  NEXT_PUBLIC_AMOY_RPC_URL = "https://rpc-amoy.polygon.technology",
+  NEXT_PUBLIC_POLYGON_RPC_URL = "https://polygon-rpc.com",
+  PRIVATE_KEY
+} = process.env;
+const accounts = PRIVATE_KEY ? [PRIVATE_KEY] : [];
 
 module.exports = {
-  solidity: "0.8.24",
+  solidity: {
+    version: "0.8.24",
+    settings: {
+      // Keeps DecentralizedStorageManager under the 24 KB contract size limit;
+      // the IR pipeline avoids "stack too deep" in its wide struct getters
+      optimizer: { enabled: true, runs: 200 },
+      viaIR: true,
+      // OpenZeppelin's governance contracts use mcopy
+      evmVersion: "cancun"
+    }
+  },
   networks: {
+    // A node started with `npx hardhat node`
+    localhost: {
+      url: "http://127.0.0.1:8545",
+      chainId: 31337
+    },
     // This section defines the 'amoy' network
     amoy: {
       url: NEXT_PUBLIC_AMOY_RPC_URL,
-      accounts: [PRIVATE_KEY],
+      chainId: 80002,
+      accounts,
       gasPrice: 35000000000, // 35 gwei
       gas: 2100000, // Gas limit
       timeout: 60000 // 60 seconds
+    },
+    polygon: {
+      url: NEXT_PUBLIC_POLYGON_RPC_URL,
+      chainId: 137,
+      accounts,
+      timeout: 60000
     }
   }
 };
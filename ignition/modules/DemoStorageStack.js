@@ -0,0 +1,43 @@
+// Deploys the storage stack with three registered demo providers for local development.
+// Needs the funded accounts of a Hardhat node; deploy StorageStack.js on public networks.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const StorageStackModule = require("./StorageStack");
+
+const TOKEN = 10n ** 18n;
+const GB = 10n ** 9n;
+
+// Account index, node ID, region and price per GB per day of each demo provider
+const DEMO_PROVIDERS = [
+  [1, "demo-node-eu", "eu-west", 1n * TOKEN],
+  [2, "demo-node-us", "us-east", 2n * TOKEN],
+  [3, "demo-node-asia", "asia-southeast", 3n * TOKEN]
+];
+
+const PROVIDER_BALANCE = 10_000n * TOKEN;
+const PROVIDER_STAKE = 5_000n * TOKEN;
+const PROVIDER_CAPACITY = 1000n * GB;
+
+module.exports = buildModule("DemoStorageStackModule", (m) => {
+  const stack = m.useModule(StorageStackModule);
+  const { storageToken, storageManager } = stack;
+
+  // Minted by the deploying account, the stack's default minter, once the stack has handed the
+  // role over
+  for (const [index, nodeId, region, pricePerGB] of DEMO_PROVIDERS) {
+    const provider = m.getAccount(index);
+
+    const mint = m.call(storageToken, "mint", [provider, PROVIDER_BALANCE], {
+      id: `mintProvider${index}`,
+      after: [StorageStackModule]
+    });
+    const stake = m.call(storageToken, "stake", [PROVIDER_STAKE], { id: `stakeProvider${index}`, from: provider, after: [mint] });
+    m.call(storageManager, "registerProvider", [PROVIDER_CAPACITY, pricePerGB, nodeId, region], {
+      id: `registerProvider${index}`,
+      from: provider,
+      after: [stake]
+    });
+  }
+
+  return stack;
+});
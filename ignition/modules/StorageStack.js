@@ -0,0 +1,86 @@
+// Deploys StorageToken and DecentralizedStorageManager (with its libraries) behind transparent
+// proxies plus StorageDisputes, authorizes the manager to lock and slash provider stake, funds
+// the incentive pool and the staking reward reserve and then hands the minter role to the
+// `minter` parameter. Ownership of the contracts and of the proxy admins stays with the deploying
+// account; scripts/deploy-complete.js hands it to governance on public networks. Upgrade the
+// proxies with scripts/upgrade.js.
+// Learn more about Ignition at https://hardhat.org/ignition
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+// Libraries DecentralizedStorageManager links against
+const LIBRARIES = [
+  "ProviderSelection",
+  "ProviderRegistry",
+  "FileIndex",
+  "FileAccess",
+  "StorageChallenges",
+  "FileVersions",
+  "StorageContracts"
+];
+
+const INCENTIVE_POOL = 100_000n * 10n ** 18n; // 100,000 STOR for proof rewards
+const REWARD_RESERVE = 1_000_000n * 10n ** 18n; // 1,000,000 STOR for staking rewards
+
+// Deploy an implementation behind a TransparentUpgradeableProxy that calls initialize(initArgs).
+// The proxy deploys its own ProxyAdmin, owned by proxyAdminOwner.
+function deployProxy(m, contractName, initArgs, proxyAdminOwner, options = {}) {
+  const implementation = m.contract(contractName, [], { id: `${contractName}Implementation`, ...options });
+  const initialize = m.encodeFunctionCall(implementation, "initialize", initArgs);
+  const proxy = m.contract("TransparentUpgradeableProxy", [implementation, proxyAdminOwner, initialize], {
+    id: `${contractName}Proxy`
+  });
+
+  const proxyAdminAddress = m.readEventArgument(proxy, "AdminChanged", "newAdmin", {
+    id: `${contractName}ProxyAdminAddress`
+  });
+  const proxyAdmin = m.contractAt("ProxyAdmin", proxyAdminAddress, { id: `${contractName}ProxyAdmin` });
+
+  return [m.contractAt(contractName, proxy), proxyAdmin];
+}
+
+module.exports = buildModule("StorageStackModule", (m) => {
+  const incentivePool = m.getParameter("incentivePool", INCENTIVE_POOL);
+  const rewardReserve = m.getParameter("rewardReserve", REWARD_RESERVE);
+  const arbiter = m.getParameter("arbiter", m.getAccount(0));
+  const proxyAdminOwner = m.getParameter("proxyAdminOwner", m.getAccount(0));
+  const minter = m.getParameter("minter", m.getAccount(0));
+
+  const [storageToken, storageTokenProxyAdmin] = deployProxy(m, "StorageToken", [], proxyAdminOwner);
+
+  const libraries = {};
+  for (const name of LIBRARIES) {
+    libraries[name] = m.library(name);
+  }
+  const [storageManager, storageManagerProxyAdmin] = deployProxy(
+    m,
+    "DecentralizedStorageManager",
+    [storageToken],
+    proxyAdminOwner,
+    { libraries }
+  );
+  const storageDisputes = m.contract("StorageDisputes", [storageManager, arbiter]);
+
+  // Provider stake is locked in StorageToken staking positions by the manager
+  m.call(storageToken, "addSlasher", [storageManager]);
+  m.call(storageManager, "setDisputeModule", [storageDisputes]);
+
+  // Staking rewards are paid out of a funded reserve rather than minted
+  const fundReserve = m.call(storageToken, "fundRewards", [rewardReserve]);
+
+  const approvePool = m.call(storageToken, "approve", [storageManager, incentivePool], { id: "approveIncentivePool" });
+  const fundPool = m.call(storageManager, "addToIncentivePool", [incentivePool], { after: [approvePool] });
+
+  // None of the deployed contracts mints, so the minter role StorageToken.initialize gives the
+  // deploying account moves to `minter` once the pools are seeded. It defaults to the deploying
+  // account for local deployments; on public networks pass a treasury or the governance timelock,
+  // which can later revoke it with removeMinter.
+  const removeDeployerMinter = m.call(storageToken, "removeMinter", [m.getAccount(0)], {
+    id: "removeDeployerMinter",
+    after: [fundReserve, fundPool]
+  });
+  m.call(storageToken, "addMinter", [minter], { after: [removeDeployerMinter] });
+
+  // Libraries are returned so upgrades can link the manager's new implementation against them
+  return { storageToken, storageManager, storageDisputes, storageTokenProxyAdmin, storageManagerProxyAdmin, ...libraries };
+});
@@ -1,7 +1,6 @@
 "use client";
 import { useState, useEffect } from 'react';
 import axios from 'axios';
-import CryptoJS from 'crypto-js';
 import dynamic from 'next/dynamic';
 
 import { useRouter } from 'next/navigation';
@@ -14,11 +13,14 @@ import FileTable from '../../components/FileTable';
 import Dashboard from '../../components/Dashboard';
 import FileSharing from '../../components/FileSharing';
 import FileVersions from '../../components/FileVersions';
+import DeleteFileModal from '../../components/DeleteFileModal';
+import FileSettingsModal from '../../components/FileSettingsModal';
 import SharedFiles from '../../components/SharedFiles';
 import ModernSidebar from '../../components/dashboard/ModernSidebar';
 import StatCard from '../../components/dashboard/StatCard';
 import UploadCenter from '../../components/UploadCenter';
 import AnalyticsDashboard from '../../components/AnalyticsDashboard';
+
 // Dynamic import for AIFileChat to reduce initial bundle size
 const AIFileChat = dynamic(() => import('../../components/AIFileChat'), {
   loading: () => (
@@ -47,22 +49,76 @@ const AnalysisResults = dynamic(() => import('../../components/AnalysisResults')
 });
 import AnalysisProgress from '../../components/AnalysisProgress';
 import { clientAI } from '../../utils/clientAI';
-import { decryptFile } from '../../utils/autoEncryption';
+import {
+  downloadDecryptedFile,
+  encryptWithSharedKey,
+  ensureEncryptionPublicKey,
+  fetchDecryptedFile,
+  generateDataKey,
+  wrapDataKey
+} from '../../utils/keyManagement';
+import FileIntegrityService from '../../utils/fileIntegrity';
+import { buildProviderPreferences, fetchIndexedFileIds, fundUploadEscrow } from '../../utils/web3';
+import { DEFAULT_CHAIN_ID, getExplorerAddressUrl, getNetworkName } from '../../utils/networks';
+
+// Load the files owned by an account through the manager's paginated owner index
+const loadOwnedFiles = async (contract, account) => {
+  const fileIds = await fetchIndexedFileIds((offset, limit) => contract.getFilesByOwner(account, offset, limit));
+  const loadedFiles = [];
+
+  for (const fileId of fileIds) {
+    try {
+      const [
+        [, contentHash, , fileSize, uploadTimestamp, isPublic, accessCount],
+        [requiredReplicas, healthyReplicas]
+      ] = await Promise.all([
+        contract.getFileInfo(fileId),
+        contract.getReplicationStatus(fileId)
+      ]);
+      loadedFiles.push({
+        id: fileId,
+        name: fileId, // Using fileId as name for now
+        type: 'file', // Default type
+        cid: contentHash,
+        size: `${(Number(fileSize) / 1024 / 1024).toFixed(2)} MB`,
+        uploadDate: new Date(Number(uploadTimestamp) * 1000).toLocaleDateString(),
+        isPublic: isPublic,
+        accessCount: Number(accessCount),
+        replicas: Number(healthyReplicas),
+        isRepairing: healthyReplicas < requiredReplicas
+      });
+    } catch (fileError) {
+      console.error(`Error loading file info for ${fileId}:`, fileError);
+    }
+  }
 
+  return loadedFiles;
+};
 
 export default function DashboardPage() {
   const router = useRouter();
-  const { account, connectWallet, contract, disconnectWallet, isInitialized } = useWallet();
+  const {
+    account,
+    connectWallet,
+    contract,
+    disconnectWallet,
+    isInitialized,
+    chainId,
+    network,
+    isSupportedNetwork,
+    switchNetwork
+  } = useWallet();
 
   // All useState hooks must be called before any early returns
   const [files, setFiles] = useState([]);
   const [selectedFile, setSelectedFile] = useState(null);
-  const [encryptionKey, setEncryptionKey] = useState('');
   const [isClient, setIsClient] = useState(false); // State to handle hydration
   const [showShareModal, setShowShareModal] = useState(false);
   const [selectedFileForSharing, setSelectedFileForSharing] = useState(null);
   const [showVersionsModal, setShowVersionsModal] = useState(false);
   const [selectedFileForVersions, setSelectedFileForVersions] = useState(null);
+  const [fileToDelete, setFileToDelete] = useState(null);
+  const [fileToEdit, setFileToEdit] = useState(null);
   const [activeTab, setActiveTab] = useState('myFiles'); // 'myFiles' or 'sharedFiles'
   const [activeSection, setActiveSection] = useState('dashboard'); // 'dashboard', 'vault', 'upload', 'analytics', 'settings'
   const [viewMode, setViewMode] = useState('table'); // 'table' or 'grid'
@@ -96,46 +152,14 @@ export default function DashboardPage() {
   // Load files effect - moved before early return
   useEffect(() => {
     const loadFiles = async () => {
+      // No contract on unsupported networks; don't keep showing files from the previous one
+      if (!contract) {
+        setFiles([]);
+        return;
+      }
       if (contract && account) {
         try {
-          const totalFiles = await contract.getTotalFiles();
-          const allFileIds = [];
-          
-          // Get all file IDs
-          for (let i = 0; i < totalFiles; i++) {
-            try {
-              const fileId = await contract.allFiles(i);
-              allFileIds.push(fileId);
-            } catch (error) {
-              console.error(`Error getting file ID ${i}:`, error);
-            }
-          }
-          
-          const loadedFiles = [];
-          
-          // Get file info for each file and filter by owner
-          for (const fileId of allFileIds) {
-            try {
-              const [id, contentHash, owner, fileSize, uploadTimestamp, isPublic, accessCount] = await contract.getFileInfo(fileId);
-              
-              // Only include files owned by the current user
-              if (owner.toLowerCase() === account.toLowerCase()) {
-                loadedFiles.push({
-                  id: fileId,
-                  name: fileId, // Using fileId as name for now
-                  type: 'file', // Default type
-                  cid: contentHash,
-                  size: `${(Number(fileSize) / 1024 / 1024).toFixed(2)} MB`,
-                  uploadDate: new Date(Number(uploadTimestamp) * 1000).toLocaleDateString(),
-                  isPublic: isPublic,
-                  accessCount: Number(accessCount)
-                });
-              }
-            } catch (fileError) {
-              console.error(`Error loading file info for ${fileId}:`, fileError);
-            }
-          }
-          
+          const loadedFiles = await loadOwnedFiles(contract, account);
           setFiles(loadedFiles);
           
           // Update statistics
@@ -166,6 +190,34 @@ export default function DashboardPage() {
     }
   }, [contract, account]);
 
+  // Track replica repairs: a slashed or exiting provider emits ReplicaLost for each
+  // of its contracts, and StorageContractReplaced once a keeper has moved one
+  useEffect(() => {
+    if (!contract) return;
+
+    const refreshReplication = async (fileId) => {
+      try {
+        const [requiredReplicas, healthyReplicas] = await contract.getReplicationStatus(fileId);
+        setFiles(prev => prev.map(file => file.id === fileId
+          ? { ...file, replicas: Number(healthyReplicas), isRepairing: healthyReplicas < requiredReplicas }
+          : file
+        ));
+      } catch (error) {
+        console.error(`Error refreshing replication status for ${fileId}:`, error);
+      }
+    };
+
+    const onReplicaLost = (contractId, fileId) => refreshReplication(fileId);
+    const onContractReplaced = (oldContractId, newContractId, fileId) => refreshReplication(fileId);
+
+    contract.on('ReplicaLost', onReplicaLost);
+    contract.on('StorageContractReplaced', onContractReplaced);
+    return () => {
+      contract.off('ReplicaLost', onReplicaLost);
+      contract.off('StorageContractReplaced', onContractReplaced);
+    };
+  }, [contract]);
+
   // Show loading state while wallet is initializing - MUST be after all hooks
   if (!isInitialized) {
     return (
@@ -179,23 +231,36 @@ export default function DashboardPage() {
   }
 
 
+  // Transactions are only sent on networks with a deployment (see utils/networks.js)
+  const canWrite = () => {
+    if (contract) return true;
+    alert(`${getNetworkName(chainId)} is not supported. Switch to ${getNetworkName(DEFAULT_CHAIN_ID)} to make changes.`);
+    return false;
+  };
+
   const handleFileChange = (e) => {
     setSelectedFile(e.target.files[0]);
   };
 
   const handleUpload = async () => {
-    if (!selectedFile || !encryptionKey) {
-      alert("Please select a file and enter an encryption key.");
+    if (!selectedFile) {
+      alert("Please select a file.");
       return;
     }
+    if (!canWrite()) return;
 
     const reader = new FileReader();
     reader.onloadend = async () => {
       try {
         const fileContent = reader.result;
-        const encrypted = CryptoJS.AES.encrypt(fileContent, encryptionKey).toString();
+        // Envelope encryption: a fresh data key per file, wrapped with the owner's public key
+        const dataKey = generateDataKey();
+        const encrypted = encryptWithSharedKey(fileContent, dataKey);
 
         const blob = new Blob([encrypted], { type: 'text/plain' });
+        const { merkleRoot, chunkCount, size } = FileIntegrityService.createStorageCommitment(
+          new TextEncoder().encode(encrypted)
+        );
         const formData = new FormData();
         formData.append('file', blob, selectedFile.name);
 
@@ -211,47 +276,33 @@ export default function DashboardPage() {
         const cid = res.data.IpfsHash;
         const fileId = `${Date.now()}_${selectedFile.name}`;
         
+        const ownerPublicKey = await ensureEncryptionPublicKey(contract, account);
+        const wrappedKey = wrapDataKey(dataKey, ownerPublicKey);
+
+        const preferences = buildProviderPreferences();
+        console.log('Funding storage escrow...');
+        await fundUploadEscrow(contract, account, size, 1, preferences);
+
         console.log('Uploading to blockchain...');
         // Use the correct uploadFile function with proper parameters
         const tx = await contract.uploadFile(
           fileId,                    // _fileId
           cid,                      // _contentHash (IPFS hash)
-          selectedFile.size,        // _fileSize
-          encryptionKey,            // _encryptionKey
+          size,                     // _fileSize (stored bytes the commitment covers)
+          merkleRoot,               // _merkleRoot (proof-of-storage commitment)
+          chunkCount,               // _chunkCount
+          wrappedKey,               // _wrappedKey (only the wrapped data key goes on-chain)
           false,                    // _isPublic
           [],                       // _tags (empty array for now)
-          1                         // _replicationFactor
+          1,                        // _replicationFactor
+          preferences               // _preferences (no price or region constraints)
         );
         await tx.wait();
         console.log('File uploaded successfully to blockchain');
         alert('File uploaded successfully!');
         
-        // Reload files after upload using the correct method
-        const totalFiles = await contract.getTotalFiles();
-        const loadedFiles = [];
-        
-        for (let i = 0; i < totalFiles; i++) {
-          try {
-            const fileId = await contract.allFiles(i);
-            const fileInfo = await contract.getFileInfo(fileId);
-            
-            // Only include files owned by current user
-            if (fileInfo.owner.toLowerCase() === account.toLowerCase()) {
-              loadedFiles.push({
-                id: fileId,
-                name: fileId.split('_').slice(1).join('_'), // Extract original filename
-                type: selectedFile.type,
-                cid: fileInfo.contentHash,
-                size: formatFileSize(Number(fileInfo.fileSize)),
-                uploadDate: new Date(Number(fileInfo.uploadTimestamp) * 1000).toLocaleDateString()
-              });
-            }
-          } catch (fileError) {
-            console.error(`Error loading file ${i}:`, fileError);
-          }
-        }
-        
-        setFiles(loadedFiles);
+        // Reload the user's files after upload
+        setFiles(await loadOwnedFiles(contract, account));
 
       } catch (error) {
         console.error('Error uploading file:', error);
@@ -287,62 +338,30 @@ export default function DashboardPage() {
     setShowVersionsModal(true);
   };
 
-  const formatFileSize = (bytes) => {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-  };
-
   const closeVersionsModal = () => {
     setShowVersionsModal(false);
     setSelectedFileForVersions(null);
   };
 
   const handleDownload = async (file) => {
-    if (!encryptionKey) {
-        alert("Please enter the encryption key to download and decrypt the file.");
-        return;
-    }
     try {
-        // Use the enhanced download function with integrity checking
-        // const success = await downloadWithIntegrityCheck(file.cid, file.name, encryptionKey, {
-        //   fileName: file.name,
-        //   cid: file.cid
-        // });
-        
-        // Temporary simple download notification
-        alert('File download initiated for: ' + file.name);
-        console.log('Downloading file:', file.cid, file.name);
+        // Unwrap this account's copy of the file key and decrypt the content
+        await downloadDecryptedFile(contract, account, file.id, file.cid, file.name);
     } catch(error) {
         console.error("Error downloading or decrypting file:", error);
-        alert("Failed to download or decrypt. Is the key correct?");
+        alert(`Failed to download or decrypt the file: ${error.message}`);
     }
   };
 
   const handleAnalyzeFile = async (file) => {
-    if (!encryptionKey) {
-      alert("Please enter the encryption key to decrypt and analyze the file.");
-      return;
-    }
-
     setIsAnalyzing(true);
     setAnalyzingFileName(file.name);
     setAnalysisProgress(0);
     setCurrentAnalysisStep('extraction');
     
     try {
-      // Fetch the encrypted file from IPFS
-      const response = await fetch(`https://gateway.pinata.cloud/ipfs/${file.cid}`);
-      if (!response.ok) {
-        throw new Error('Failed to fetch file from IPFS');
-      }
-      
-      const encryptedData = await response.text();
-      
-      // Decrypt the file content
-      const decryptedContent = decryptFile(encryptedData, encryptionKey);
+      // Fetch the file from IPFS and decrypt it with this account's copy of the file key
+      const decryptedContent = await fetchDecryptedFile(contract, account, file.id, file.cid);
       
       // Create a file object for analysis
       let text = '';
@@ -580,9 +599,11 @@ export default function DashboardPage() {
                       case 'analyze':
                         handleAnalyzeFile(file);
                         break;
+                      case 'settings':
+                        setFileToEdit(file);
+                        break;
                       case 'delete':
-                        // Add delete functionality if needed
-                        console.log('Delete file:', file);
+                        setFileToDelete(file);
                         break;
                       default:
                         console.log('Unknown action:', action);
@@ -617,6 +638,13 @@ export default function DashboardPage() {
                         >
                           Versions
                         </button>
+
+                        <button
+                          onClick={() => setFileToEdit(file)}
+                          className="w-full px-4 py-2 bg-purple-500/20 text-purple-400 border border-purple-500/30 rounded-lg hover:bg-purple-500/30 transition-colors duration-200"
+                        >
+                          Settings
+                        </button>
                       </div>
                     </div>
                 ))}
@@ -652,6 +680,18 @@ export default function DashboardPage() {
                account={account}
                onUpload={async (files, options) => {
                  console.log('Uploading files:', files, options);
+                 if (!canWrite()) return;
+
+                 let ownerPublicKey = null;
+                 if (options.encryptionEnabled) {
+                   try {
+                     ownerPublicKey = await ensureEncryptionPublicKey(contract, account);
+                   } catch (error) {
+                     console.error('Error registering encryption key:', error);
+                     alert(`Could not set up encryption: ${error.message}`);
+                     return;
+                   }
+                 }
                  
                  for (const fileData of files) {
                    try {
@@ -662,13 +702,19 @@ export default function DashboardPage() {
                          try {
                            const fileContent = reader.result;
                            let processedContent = fileContent;
+                           let wrappedKey = '';
                            
-                           // Encrypt if enabled
-                           if (options.encryptionEnabled && options.encryptionPassword) {
-                             processedContent = CryptoJS.AES.encrypt(fileContent, options.encryptionPassword).toString();
+                           // Encrypt with a per-file data key; only its wrapped form is stored on-chain
+                           if (ownerPublicKey) {
+                             const dataKey = generateDataKey();
+                             processedContent = encryptWithSharedKey(fileContent, dataKey);
+                             wrappedKey = wrapDataKey(dataKey, ownerPublicKey);
                            }
                            
                            const blob = new Blob([processedContent], { type: 'text/plain' });
+                           const { merkleRoot, chunkCount, size } = FileIntegrityService.createStorageCommitment(
+                             new TextEncoder().encode(processedContent)
+                           );
                            const formData = new FormData();
                            formData.append('file', blob, fileData.name);
                            
@@ -684,15 +730,23 @@ export default function DashboardPage() {
                            const cid = res.data.IpfsHash;
                            const fileId = `${Date.now()}_${fileData.name}`;
                            
+                           const replicationFactor = options.storagePreferences?.replicationFactor || 1;
+                           const preferences = buildProviderPreferences(options.storagePreferences);
+                           console.log(`Funding storage escrow for ${fileData.name}...`);
+                           await fundUploadEscrow(contract, account, size, replicationFactor, preferences);
+
                            console.log(`Uploading ${fileData.name} to blockchain...`);
                            const tx = await contract.uploadFile(
                              fileId,
                              cid,
-                             fileData.file.size,
-                             options.encryptionPassword || '',
+                             size,
+                             merkleRoot,
+                             chunkCount,
+                             wrappedKey,
                              fileData.metadata?.isPublic || false,
                              fileData.metadata?.tags || [],
-                             1
+                             replicationFactor,
+                             preferences
                            );
                            await tx.wait();
                            
@@ -716,30 +770,7 @@ export default function DashboardPage() {
                  
                  // Reload files after all uploads
                  try {
-                   const totalFiles = await contract.getTotalFiles();
-                   const loadedFiles = [];
-                   
-                   for (let i = 0; i < totalFiles; i++) {
-                     try {
-                       const fileId = await contract.allFiles(i);
-                       const fileInfo = await contract.getFileInfo(fileId);
-                       
-                       if (fileInfo.owner.toLowerCase() === account.toLowerCase()) {
-                         loadedFiles.push({
-                           id: fileId,
-                           name: fileId.split('_').slice(1).join('_'),
-                           type: 'application/octet-stream',
-                           cid: fileInfo.contentHash,
-                           size: formatFileSize(Number(fileInfo.fileSize)),
-                           uploadDate: new Date(Number(fileInfo.uploadTimestamp) * 1000).toLocaleDateString()
-                         });
-                       }
-                     } catch (fileError) {
-                       console.error(`Error loading file ${i}:`, fileError);
-                     }
-                   }
-                   
-                   setFiles(loadedFiles);
+                   setFiles(await loadOwnedFiles(contract, account));
                    alert('All files uploaded successfully!');
                  } catch (error) {
                    console.error('Error reloading files:', error);
@@ -778,10 +809,39 @@ export default function DashboardPage() {
                 <div className="flex justify-between items-center p-4 bg-electric-cyan/5 rounded-lg">
                   <div>
                     <h3 className="text-light-silver font-medium">Network</h3>
-                    <p className="text-light-silver/60 text-sm">Polygon Amoy Testnet</p>
+                    <p className="text-light-silver/60 text-sm">
+                      {getNetworkName(chainId)}{chainId != null && ` · Chain ID ${chainId}`}
+                    </p>
                   </div>
-                  <span className="px-3 py-1 bg-green-500/20 text-green-400 rounded-full text-sm">Connected</span>
+                  {isSupportedNetwork ? (
+                    <span className="px-3 py-1 bg-green-500/20 text-green-400 rounded-full text-sm">Connected</span>
+                  ) : (
+                    <button
+                      onClick={() => switchNetwork()}
+                      className="px-3 py-1 bg-red-500/20 text-red-400 border border-red-500/30 rounded-full text-sm hover:bg-red-500/30 transition-colors duration-200"
+                    >
+                      Unsupported · Switch to {getNetworkName(DEFAULT_CHAIN_ID)}
+                    </button>
+                  )}
                 </div>
+                {network?.contracts.fileManager && (
+                  <div className="flex justify-between items-center p-4 bg-electric-cyan/5 rounded-lg">
+                    <div>
+                      <h3 className="text-light-silver font-medium">Storage Contract</h3>
+                      <p className="text-light-silver/60 text-sm">{network.contracts.fileManager}</p>
+                    </div>
+                    {getExplorerAddressUrl(chainId, network.contracts.fileManager) && (
+                      <a
+                        href={getExplorerAddressUrl(chainId, network.contracts.fileManager)}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="px-4 py-2 bg-electric-cyan/20 text-electric-cyan border border-electric-cyan/30 rounded-lg hover:bg-electric-cyan/30 transition-colors duration-200"
+                      >
+                        Explorer
+                      </a>
+                    )}
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -816,11 +876,26 @@ export default function DashboardPage() {
         setActiveSection={setActiveSection}
         account={account}
         disconnectWallet={disconnectWallet}
+        networkName={getNetworkName(chainId)}
+        isSupportedNetwork={isSupportedNetwork}
       />
 
       {/* Main Content */}
       <div className="flex-1 overflow-auto">
         <div className="p-8">
+          {!isSupportedNetwork && (
+            <div className="mb-6 flex items-center justify-between p-4 bg-red-500/10 border border-red-500/30 rounded-xl">
+              <p className="text-red-400">
+                {getNetworkName(chainId)} is not supported. Your files live on {getNetworkName(DEFAULT_CHAIN_ID)}.
+              </p>
+              <button
+                onClick={() => switchNetwork()}
+                className="px-4 py-2 bg-red-500/20 text-red-400 border border-red-500/30 rounded-lg hover:bg-red-500/30 transition-colors duration-200"
+              >
+                Switch network
+              </button>
+            </div>
+          )}
           {renderMainContent()}
         </div>
       </div>
@@ -840,11 +915,29 @@ export default function DashboardPage() {
           file={selectedFileForVersions}
           contract={contract}
           account={account}
-          encryptionKey={encryptionKey}
           onClose={closeVersionsModal}
         />
       )}
 
+      {fileToDelete && (
+        <DeleteFileModal
+          file={fileToDelete}
+          contract={contract}
+          onDeleted={(deleted) => setFiles(prev => prev.filter(f => f.id !== deleted.id))}
+          onClose={() => setFileToDelete(null)}
+        />
+      )}
+
+      {fileToEdit && (
+        <FileSettingsModal
+          file={fileToEdit}
+          contract={contract}
+          account={account}
+          onUpdated={(updated) => setFiles(prev => prev.map(f => f.id === updated.id ? { ...f, ...updated } : f))}
+          onClose={() => setFileToEdit(null)}
+        />
+      )}
+
       {showAnalysisResults && analysisData && (
         <AnalysisResults
           analysisData={analysisData}
@@ -1,5 +1,6 @@
 import { Inter } from 'next/font/google';
 import './globals.css';
+import { WalletProvider } from '../hooks/useWallet';
 
 const inter = Inter({ subsets: ['latin'] });
 
@@ -12,7 +13,7 @@ export default function RootLayout({ children }) {
   return (
     <html lang="en">
       <body className={`${inter.className} bg-space-indigo text-light-silver`}>
-        {children}
+        <WalletProvider>{children}</WalletProvider>
       </body>
     </html>
   );
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+
+const DeleteFileModal = ({ file, contract, onDeleted, onClose }) => {
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleDelete = async () => {
+    if (!contract || !file) return;
+
+    try {
+      setDeleting(true);
+      setError('');
+
+      const tx = await contract.deleteFile(file.id);
+      await tx.wait();
+
+      onDeleted?.(file);
+      onClose();
+    } catch (err) {
+      console.error('Error deleting file:', err);
+      setError(err.reason || err.message);
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-gray-800 rounded-lg p-6 w-full max-w-md mx-4">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-xl font-bold text-white">Delete File</h2>
+          <button
+            onClick={onClose}
+            disabled={deleting}
+            className="text-gray-400 hover:text-white text-2xl"
+          >
+            ×
+          </button>
+        </div>
+
+        <p className="text-gray-300 mb-2">
+          Delete <span className="text-white font-medium">{file.name}</span>?
+        </p>
+        <p className="text-gray-400 text-sm mb-6">
+          All storage contracts for this file will be ended and unspent storage payments
+          returned to your balance. Providers will stop storing it, so this cannot be undone.
+        </p>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-900/40 border border-red-700 rounded text-red-300 text-sm">
+            {error}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            disabled={deleting}
+            className="px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-600 disabled:cursor-not-allowed"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleDelete}
+            disabled={deleting}
+            className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 disabled:bg-gray-600 disabled:cursor-not-allowed"
+          >
+            {deleting ? 'Deleting...' : 'Delete'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeleteFileModal;
@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { FILE_PERMISSIONS } from '../utils/web3';
+import { getFileDataKey, wrapDataKeyForUser } from '../utils/keyManagement';
+
+// Owner-only visibility, tag and ownership management for one file
+const FileSettingsModal = ({ file, contract, account, onUpdated, onClose }) => {
+  const [isPublic, setIsPublic] = useState(!!file.isPublic);
+  const [tags, setTags] = useState([]);
+  const [newTags, setNewTags] = useState('');
+  const [pendingOwner, setPendingOwner] = useState(ethers.ZeroAddress);
+  const [newOwner, setNewOwner] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!contract || !file) return;
+
+    Promise.all([contract.getFileTags(file.id), contract.pendingFileOwners(file.id)])
+      .then(([fileTags, pending]) => {
+        setTags([...fileTags]);
+        setPendingOwner(pending);
+      })
+      .catch((err) => {
+        console.error('Error loading file tags:', err);
+        setError(err.reason || err.message);
+      });
+  }, [contract, file]);
+
+  // Send one transaction and surface revert reasons in the modal
+  const runTransaction = async (send) => {
+    try {
+      setSaving(true);
+      setError('');
+
+      const tx = await send();
+      await tx.wait();
+      return true;
+    } catch (err) {
+      console.error('Error updating file:', err);
+      setError(err.reason || err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleVisibility = async () => {
+    const visibility = !isPublic;
+    if (await runTransaction(() => contract.setFileVisibility(file.id, visibility))) {
+      setIsPublic(visibility);
+      onUpdated?.({ ...file, isPublic: visibility });
+    }
+  };
+
+  const handleAddTags = async () => {
+    const added = [...new Set(newTags.split(',').map(tag => tag.trim()).filter(Boolean))]
+      .filter(tag => !tags.includes(tag));
+    if (added.length === 0) return;
+
+    if (await runTransaction(() => contract.addTags(file.id, added))) {
+      setTags(prev => [...prev, ...added]);
+      setNewTags('');
+    }
+  };
+
+  const handleRemoveTag = async (tag) => {
+    if (await runTransaction(() => contract.removeTags(file.id, [tag]))) {
+      setTags(prev => prev.filter(t => t !== tag));
+    }
+  };
+
+  const handleTransferOwnership = async () => {
+    if (!ethers.isAddress(newOwner)) {
+      setError('Please enter a valid Ethereum address');
+      return;
+    }
+
+    const transferred = await runTransaction(async () => {
+      // The new owner reads the file with its own wrapped key, so grant one before handing over
+      const permissions = Number(await contract.getFilePermissions(file.id, newOwner));
+      if (!(permissions & FILE_PERMISSIONS.READ)) {
+        const dataKey = await getFileDataKey(contract, account, file.id);
+        const wrappedKey = dataKey ? await wrapDataKeyForUser(contract, dataKey, newOwner) : '';
+        const grantTx = await contract.grantFileAccess(file.id, newOwner, FILE_PERMISSIONS.READ, 0, wrappedKey);
+        await grantTx.wait();
+      }
+      return contract.transferFileOwnership(file.id, newOwner);
+    });
+    if (transferred) {
+      setPendingOwner(newOwner);
+      setNewOwner('');
+    }
+  };
+
+  const handleCancelTransfer = async () => {
+    if (await runTransaction(() => contract.transferFileOwnership(file.id, ethers.ZeroAddress))) {
+      setPendingOwner(ethers.ZeroAddress);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-gray-800 rounded-lg p-6 w-full max-w-md mx-4">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-xl font-bold text-white">File Settings</h2>
+          <button
+            onClick={onClose}
+            disabled={saving}
+            className="text-gray-400 hover:text-white text-2xl"
+          >
+            ×
+          </button>
+        </div>
+
+        <p className="text-gray-300 mb-4">
+          <span className="text-white font-medium">{file.name}</span>
+        </p>
+
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <p className="text-white font-medium">{isPublic ? 'Public' : 'Private'}</p>
+            <p className="text-gray-400 text-sm">
+              {isPublic
+                ? 'Anyone can read this file.'
+                : 'Only you and the users you share it with can read this file.'}
+            </p>
+          </div>
+          <button
+            onClick={handleToggleVisibility}
+            disabled={saving}
+            className="px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-600 disabled:cursor-not-allowed"
+          >
+            {isPublic ? 'Make private' : 'Make public'}
+          </button>
+        </div>
+
+        <div className="mb-6">
+          <p className="text-white font-medium mb-2">Tags</p>
+          <div className="flex flex-wrap gap-2 mb-3">
+            {tags.length === 0 && <span className="text-gray-400 text-sm">No tags yet</span>}
+            {tags.map((tag) => (
+              <span key={tag} className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-blue-900/40 text-blue-300 border border-blue-700">
+                {tag}
+                <button
+                  onClick={() => handleRemoveTag(tag)}
+                  disabled={saving}
+                  className="ml-1 text-blue-300 hover:text-white disabled:cursor-not-allowed"
+                  title="Remove tag"
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={newTags}
+              onChange={(e) => setNewTags(e.target.value)}
+              placeholder="Add tags, separated by commas"
+              className="flex-1 px-3 py-2 bg-gray-700 text-white rounded border border-gray-600 focus:outline-none focus:border-blue-500"
+            />
+            <button
+              onClick={handleAddTags}
+              disabled={saving || !newTags.trim()}
+              className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed"
+            >
+              Add
+            </button>
+          </div>
+        </div>
+
+        <div className="mb-6">
+          <p className="text-white font-medium mb-2">Transfer ownership</p>
+          {pendingOwner !== ethers.ZeroAddress ? (
+            <div className="flex items-center justify-between gap-2">
+              <p className="text-gray-400 text-sm break-all">
+                Waiting for <span className="font-mono text-gray-300">{pendingOwner}</span> to accept.
+              </p>
+              <button
+                onClick={handleCancelTransfer}
+                disabled={saving}
+                className="px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-600 disabled:cursor-not-allowed"
+              >
+                Cancel
+              </button>
+            </div>
+          ) : (
+            <>
+              <p className="text-gray-400 text-sm mb-3">
+                The new owner gets the file key and has to accept the transfer. You lose access once they do.
+              </p>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={newOwner}
+                  onChange={(e) => setNewOwner(e.target.value)}
+                  placeholder="0x..."
+                  className="flex-1 px-3 py-2 bg-gray-700 text-white rounded border border-gray-600 focus:outline-none focus:border-blue-500"
+                />
+                <button
+                  onClick={handleTransferOwnership}
+                  disabled={saving || !newOwner.trim()}
+                  className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 disabled:bg-gray-600 disabled:cursor-not-allowed"
+                >
+                  Transfer
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-900/40 border border-red-700 rounded text-red-300 text-sm">
+            {error}
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            onClick={onClose}
+            disabled={saving}
+            className="px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-600 disabled:cursor-not-allowed"
+          >
+            {saving ? 'Saving...' : 'Done'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FileSettingsModal;
@@ -5,8 +5,10 @@ import {
   generateFileId,
   grantUserAccess,
   revokeUserAccess,
-  validateAccessToken
+  getFileDataKey,
+  wrapDataKeyForUser
 } from '../utils/keyManagement';
+import { ACCESS_ROLE_LABELS, FILE_PERMISSIONS } from '../utils/web3';
 
 const FileSharing = ({ file, contract, account, onClose }) => {
   const [shareAddress, setShareAddress] = useState('');
@@ -19,7 +21,21 @@ const FileSharing = ({ file, contract, account, onClose }) => {
     if (file && account) {
       initializeSharing();
     }
-  }, [file, account]);
+  }, [file, account, contract]);
+
+  // Rebuild the share list from the file's on-chain access list
+  const loadSharedUsers = async () => {
+    try {
+      const users = await contract.getAuthorizedUsers(file.id);
+      const roles = await Promise.all(users.map((user) => contract.getFileAccessRole(file.id, user)));
+      setSharedUsers(users.map((address, index) => ({
+        address,
+        role: ACCESS_ROLE_LABELS[Number(roles[index])]
+      })));
+    } catch (error) {
+      console.error('Error loading shared users:', error);
+    }
+  };
 
   const initializeSharing = async () => {
     try {
@@ -35,9 +51,10 @@ const FileSharing = ({ file, contract, account, onClose }) => {
         console.log('No existing sharing package found for file:', file.name);
       } else {
         setSharingPackage(existingPackage);
-        // Load shared users from the package
-        const users = Object.keys(existingPackage.accessTokens || {});
-        setSharedUsers(users);
+      }
+
+      if (contract) {
+        await loadSharedUsers();
       }
     } catch (error) {
       console.error('Error initializing sharing:', error);
@@ -53,9 +70,12 @@ const FileSharing = ({ file, contract, account, onClose }) => {
     try {
       setLoading(true);
       
-      // First, grant access on the blockchain
+      // Wrap the file key for the recipient, then grant access on the blockchain
+      const dataKey = await getFileDataKey(contract, account, file.id);
+      const wrappedKey = dataKey ? await wrapDataKeyForUser(contract, dataKey, shareAddress) : '';
+
       console.log('Granting blockchain access for file:', file.id, 'to user:', shareAddress);
-      const tx = await contract.grantFileAccess(file.id, shareAddress);
+      const tx = await contract.grantFileAccess(file.id, shareAddress, FILE_PERMISSIONS.READ, 0, wrappedKey);
       console.log('Transaction submitted:', tx.hash);
       
       // Wait for transaction confirmation
@@ -92,8 +112,7 @@ const FileSharing = ({ file, contract, account, onClose }) => {
         SharedFileStorage.storeSharedFile(fileId, currentPackage);
         setSharingPackage(currentPackage);
         
-        // Update local state
-        setSharedUsers([...sharedUsers, shareAddress]);
+        await loadSharedUsers();
         
         alert(`Access granted to ${shareAddress}! Transaction hash: ${tx.hash}`);
         setShareAddress('');
@@ -104,8 +123,8 @@ const FileSharing = ({ file, contract, account, onClose }) => {
       console.error('Error granting access:', error);
       if (error.code === 'ACTION_REJECTED') {
         alert('Transaction was rejected by user');
-      } else if (error.message.includes('Only owner can grant access')) {
-        alert('Error: You can only grant access to files you own');
+      } else if (error.message.includes('Not allowed to share file')) {
+        alert('Error: You need the share permission to grant access to this file');
       } else {
         alert('Error granting access: ' + error.message);
       }
@@ -142,8 +161,7 @@ const FileSharing = ({ file, contract, account, onClose }) => {
           setSharingPackage(updatedPackage);
         }
         
-        // Update local state
-        setSharedUsers(sharedUsers.filter(user => user !== userAddress));
+        await loadSharedUsers();
         
         alert(`Access revoked from ${userAddress}! Transaction hash: ${tx.hash}`);
       } else {
@@ -153,8 +171,8 @@ const FileSharing = ({ file, contract, account, onClose }) => {
       console.error('Error revoking access:', error);
       if (error.code === 'ACTION_REJECTED') {
         alert('Transaction was rejected by user');
-      } else if (error.message.includes('Only owner can revoke access')) {
-        alert('Error: You can only revoke access from files you own');
+      } else if (error.message.includes('Not allowed to revoke access')) {
+        alert('Error: Only the owner or an admin of this file can revoke access');
       } else {
         alert('Error revoking access: ' + error.message);
       }
@@ -182,7 +200,7 @@ const FileSharing = ({ file, contract, account, onClose }) => {
 
         <div className="mb-6">
           <h3 className="text-lg text-white mb-2">{file.name}</h3>
-          <p className="text-gray-400 text-sm">Grant access to other users by entering their wallet address</p>
+          <p className="text-gray-400 text-sm">Grant read access to other users by entering their wallet address</p>
         </div>
 
         <div className="mb-6">
@@ -216,21 +234,15 @@ const FileSharing = ({ file, contract, account, onClose }) => {
             <p className="text-gray-400 text-sm">No users have access to this file</p>
           ) : (
             <div className="space-y-2">
-              {sharedUsers.map((userAddress, index) => {
-                const hasValidToken = sharingPackage && 
-                  sharingPackage.accessTokens[userAddress] && 
-                  validateAccessToken(userAddress, sharingPackage.accessTokens[userAddress]);
-                
+              {sharedUsers.map(({ address: userAddress, role }) => {
                 return (
-                  <div key={index} className="flex justify-between items-center bg-gray-700 p-3 rounded-lg">
+                  <div key={userAddress} className="flex justify-between items-center bg-gray-700 p-3 rounded-lg">
                     <div className="flex flex-col">
                       <span className="text-white text-sm font-mono">
                         {userAddress.substring(0, 6)}...{userAddress.substring(38)}
                       </span>
-                      <span className={`text-xs ${
-                        hasValidToken ? 'text-green-400' : 'text-red-400'
-                      }`}>
-                        {hasValidToken ? '🔐 Secure Access Active' : '⚠️ Access Token Invalid'}
+                      <span className="text-xs text-green-400">
+                        🔐 {role}
                       </span>
                     </div>
                     <button
@@ -2,9 +2,36 @@ import React, { useState, useEffect } from 'react';
 import { ShareIcon, LinkIcon, UserGroupIcon, ShieldCheckIcon, ClockIcon, EyeIcon, PencilIcon, TrashIcon, DocumentDuplicateIcon, CheckIcon, XMarkIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
 import { AccessControlService } from '../utils/accessControl';
 import { EncryptionService } from '../utils/encryption';
-import { getFileManagerContract, getProvider, getSigner } from '../utils/web3';
+import { FILE_PERMISSIONS } from '../utils/web3';
+import { getFileDataKey, wrapDataKeyForUser } from '../utils/keyManagement';
+import { useWallet } from '../hooks/useWallet';
 import { ethers } from 'ethers';
 
+// Permissions a user share can carry, stored on-chain as a bitmask
+const PERMISSION_OPTIONS = [
+  { key: 'READ', label: 'Read', description: 'Download and decrypt the file' },
+  { key: 'WRITE', label: 'Write', description: 'Upload new versions' },
+  { key: 'DELETE', label: 'Delete', description: 'Delete the file' },
+  { key: 'SHARE', label: 'Share', description: 'Share with others, up to their own permissions' },
+  { key: 'ADMIN', label: 'Admin', description: 'Grant and revoke any permissions' }
+];
+
+// Lifetime of each "Expires In" choice, in seconds ('never' has no entry)
+const EXPIRY_SECONDS = { '1h': 3600, '1d': 86400, '7d': 7 * 86400, '30d': 30 * 86400 };
+
+// Expiry timestamp passed to grantFileAccess, 0 for shares that never expire
+const expiryTimestamp = (expiresIn) => {
+  const seconds = EXPIRY_SECONDS[expiresIn];
+  return seconds ? Math.floor(Date.now() / 1000) + seconds : 0;
+};
+
+// Badge level shown for a grant's permission bits
+const permissionLevel = (bits) => {
+  if (bits & FILE_PERMISSIONS.ADMIN) return 'admin';
+  if (bits & (FILE_PERMISSIONS.WRITE | FILE_PERMISSIONS.DELETE)) return 'write';
+  return 'read';
+};
+
 const FileSharingInterface = ({ file, onClose }) => {
   const [shareLinks, setShareLinks] = useState([]);
   const [permissions, setPermissions] = useState([]);
@@ -12,6 +39,7 @@ const FileSharingInterface = ({ file, onClose }) => {
     type: 'link', // 'link' or 'user'
     email: '',
     permission: 'read',
+    permissionBits: FILE_PERMISSIONS.READ,
     expiresIn: '7d',
     password: '',
     downloadLimit: 0,
@@ -20,65 +48,62 @@ const FileSharingInterface = ({ file, onClose }) => {
   const [loading, setLoading] = useState(false);
   const [copied, setCopied] = useState('');
   const [showAdvanced, setShowAdvanced] = useState(false);
-  const [walletConnected, setWalletConnected] = useState(false);
-  const [userAddress, setUserAddress] = useState('');
   const [gasEstimate, setGasEstimate] = useState(null);
   const [transactionStatus, setTransactionStatus] = useState('');
   const [blockchainError, setBlockchainError] = useState('');
 
+  // Grants are sent through the app's shared wallet session (see hooks/useWallet.js)
+  const { account, contract, connectWallet } = useWallet();
+  const walletConnected = Boolean(account && contract);
+
   const accessControl = new AccessControlService();
   const encryption = new EncryptionService();
 
   useEffect(() => {
     loadExistingShares();
-    checkWalletConnection();
-  }, [file]);
+  }, [file, contract]);
 
-  const checkWalletConnection = async () => {
+  const loadExistingShares = async () => {
     try {
-      const provider = getProvider();
-      if (provider && window.ethereum) {
-        const accounts = await window.ethereum.request({ method: 'eth_accounts' });
-        if (accounts.length > 0) {
-          setWalletConnected(true);
-          setUserAddress(accounts[0]);
-        }
-      }
+      // Load existing share links for the file
+      const links = await accessControl.getFileShareLinks(file.id);
+      setShareLinks(links);
     } catch (error) {
-      console.error('Failed to check wallet connection:', error);
-      setBlockchainError('Failed to connect to wallet');
+      console.error('Failed to load existing shares:', error);
     }
+    await loadUserPermissions();
   };
 
-  const connectWallet = async () => {
+  // User shares are grants on the storage contract, so read them back from chain
+  const loadUserPermissions = async () => {
+    if (!contract) return;
     try {
-      if (!window.ethereum) {
-        setBlockchainError('Please install MetaMask to use blockchain features');
-        return;
-      }
-      
-      const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
-      if (accounts.length > 0) {
-        setWalletConnected(true);
-        setUserAddress(accounts[0]);
-        setBlockchainError('');
-      }
+      const users = await contract.getAuthorizedUsers(file.id);
+      const grants = await Promise.all(users.map(async (user) => {
+        const [grantedBits, expiresAt] = await contract.getFileGrant(file.id, user);
+        const bits = Number(grantedBits);
+        const expiry = Number(expiresAt);
+        return {
+          id: user,
+          userAddress: user,
+          userEmail: user,
+          permission: permissionLevel(bits),
+          permissionNames: PERMISSION_OPTIONS
+            .filter(({ key }) => bits & FILE_PERMISSIONS[key])
+            .map(({ label }) => label),
+          expiresAt: expiry ? new Date(expiry * 1000).toISOString() : null,
+          // The contract ignores a grant from its expiry on, until it is revoked or cleared
+          status: expiry && expiry * 1000 <= Date.now() ? 'expired' : 'active'
+        };
+      }));
+      setPermissions(grants);
     } catch (error) {
-      console.error('Failed to connect wallet:', error);
-      setBlockchainError('Failed to connect wallet: ' + error.message);
+      console.error('Failed to load user permissions:', error);
     }
   };
 
-  const loadExistingShares = async () => {
-    try {
-      // Load existing share links and permissions for the file
-      const links = await accessControl.getFileShareLinks(file.id);
-      const perms = await accessControl.getFilePermissions(file.id);
-      setShareLinks(links);
-      setPermissions(perms);
-    } catch (error) {
-      console.error('Failed to load existing shares:', error);
-    }
+  const togglePermission = (key) => {
+    setNewShare(prev => ({ ...prev, permissionBits: prev.permissionBits ^ FILE_PERMISSIONS[key] }));
   };
 
   const generateShareLink = async () => {
@@ -114,6 +139,7 @@ const FileSharingInterface = ({ file, onClose }) => {
         type: 'link',
         email: '',
         permission: 'read',
+        permissionBits: FILE_PERMISSIONS.READ,
         expiresIn: '7d',
         password: '',
         downloadLimit: 0,
@@ -142,12 +168,15 @@ const FileSharingInterface = ({ file, onClose }) => {
     setBlockchainError('');
     
     try {
-      const contract = await getFileManagerContract();
+      // Re-wrap the file key for the recipient so only they can unwrap it
+      setTransactionStatus('Preparing the file key for the recipient...');
+      const dataKey = await getFileDataKey(contract, account, file.id);
+      const wrappedKey = dataKey ? await wrapDataKeyForUser(contract, dataKey, newShare.email) : '';
+      const expiresAt = expiryTimestamp(newShare.expiresIn);
       
       // Estimate gas for the transaction
-      const gasEstimate = await contract.grantFileAccess.estimateGas(file.id, newShare.email);
-      const provider = getProvider();
-      const gasPrice = await provider.getFeeData();
+      const gasEstimate = await contract.grantFileAccess.estimateGas(file.id, newShare.email, newShare.permissionBits, expiresAt, wrappedKey);
+      const gasPrice = await contract.runner.provider.getFeeData();
       const estimatedCost = gasEstimate * gasPrice.gasPrice;
       
       setGasEstimate({
@@ -159,7 +188,7 @@ const FileSharingInterface = ({ file, onClose }) => {
       setTransactionStatus('Please confirm the transaction in your wallet...');
       
       // Execute the blockchain transaction
-      const tx = await contract.grantFileAccess(file.id, newShare.email);
+      const tx = await contract.grantFileAccess(file.id, newShare.email, newShare.permissionBits, expiresAt, wrappedKey);
       
       setTransactionStatus('Transaction submitted. Waiting for confirmation...');
       
@@ -169,23 +198,14 @@ const FileSharingInterface = ({ file, onClose }) => {
       if (receipt.status === 1) {
         setTransactionStatus('Transaction confirmed! Access granted successfully.');
         
-        // Update local state
-        setPermissions(prev => [...prev, {
-          id: receipt.transactionHash,
-          userAddress: newShare.email,
-          permission: newShare.permission,
-          expiresAt: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(), // 1 year
-          createdAt: new Date().toISOString(),
-          status: 'active',
-          transactionHash: receipt.transactionHash,
-          blockNumber: receipt.blockNumber
-        }]);
+        await loadUserPermissions();
         
         // Reset form
         setNewShare({
           type: 'link',
           email: '',
           permission: 'read',
+          permissionBits: FILE_PERMISSIONS.READ,
           expiresIn: '7d',
           password: '',
           downloadLimit: 0,
@@ -235,12 +255,9 @@ const FileSharingInterface = ({ file, onClose }) => {
     setBlockchainError('');
     
     try {
-      const contract = await getFileManagerContract();
-      
       // Estimate gas for the revoke transaction
       const gasEstimate = await contract.revokeFileAccess.estimateGas(file.id, userAddress);
-      const provider = getProvider();
-      const gasPrice = await provider.getFeeData();
+      const gasPrice = await contract.runner.provider.getFeeData();
       const estimatedCost = gasEstimate * gasPrice.gasPrice;
       
       setGasEstimate({
@@ -262,8 +279,7 @@ const FileSharingInterface = ({ file, onClose }) => {
       if (receipt.status === 1) {
         setTransactionStatus('Access revoked successfully!');
         
-        // Update local state
-        setPermissions(prev => prev.filter(perm => perm.id !== permissionId));
+        await loadUserPermissions();
         
         setTimeout(() => setTransactionStatus(''), 3000);
       } else {
@@ -318,6 +334,7 @@ const FileSharingInterface = ({ file, onClose }) => {
   };
 
   const formatExpiryDate = (dateString) => {
+    if (!dateString) return 'No expiry';
     const date = new Date(dateString);
     const now = new Date();
     const diffTime = date - now;
@@ -363,7 +380,7 @@ const FileSharingInterface = ({ file, onClose }) => {
                   </h4>
                   {walletConnected && (
                     <p className="text-sm text-gray-600">
-                      {userAddress.slice(0, 6)}...{userAddress.slice(-4)}
+                      {account.slice(0, 6)}...{account.slice(-4)}
                     </p>
                   )}
                 </div>
@@ -481,20 +498,43 @@ const FileSharingInterface = ({ file, onClose }) => {
 
             {/* Permission Level */}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Permission Level
-                </label>
-                <select
-                  value={newShare.permission}
-                  onChange={(e) => setNewShare(prev => ({ ...prev, permission: e.target.value }))}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                >
-                  <option value="read">Read Only</option>
-                  <option value="write">Read & Write</option>
-                  <option value="admin">Full Access</option>
-                </select>
-              </div>
+              {newShare.type === 'user' ? (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Permissions
+                  </label>
+                  <div className="space-y-1">
+                    {PERMISSION_OPTIONS.map(({ key, label, description }) => (
+                      <label key={key} className="flex items-center space-x-2 text-sm text-gray-700" title={description}>
+                        <input
+                          type="checkbox"
+                          checked={(newShare.permissionBits & FILE_PERMISSIONS[key]) !== 0}
+                          onChange={() => togglePermission(key)}
+                          disabled={key === 'READ'} // every grant includes read access
+                          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        <span>{label}</span>
+                        <span className="text-xs text-gray-500">{description}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ) : (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Permission Level
+                  </label>
+                  <select
+                    value={newShare.permission}
+                    onChange={(e) => setNewShare(prev => ({ ...prev, permission: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="read">Read Only</option>
+                    <option value="write">Read & Write</option>
+                    <option value="admin">Full Access</option>
+                  </select>
+                </div>
+              )}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Expires In
@@ -712,8 +752,18 @@ const FileSharingInterface = ({ file, onClose }) => {
                               <span className="ml-1 capitalize">{permission.permission}</span>
                             </span>
                             <span className="text-xs text-gray-500">
-                              {formatExpiryDate(permission.expiresAt)}
+                              {permission.permissionNames.join(', ')}
                             </span>
+                            {permission.status === 'expired' ? (
+                              <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium text-red-600 bg-red-100">
+                                <ClockIcon className="w-4 h-4" />
+                                <span className="ml-1">Expired</span>
+                              </span>
+                            ) : (
+                              <span className="text-xs text-gray-500">
+                                {formatExpiryDate(permission.expiresAt)}
+                              </span>
+                            )}
                           </div>
                         </div>
                       </div>
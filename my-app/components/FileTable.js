@@ -10,7 +10,8 @@ import {
   TrashIcon,
   EyeIcon,
   CheckIcon,
-  CpuChipIcon
+  CpuChipIcon,
+  TagIcon
 } from '@heroicons/react/24/outline';
 
 const FileTable = ({ files = [], onFileAction }) => {
@@ -217,6 +218,16 @@ const FileTable = ({ files = [], onFileAction }) => {
               </svg>
               Share
             </button>
+            <button
+              onClick={() => {
+                onFileAction?.('settings', file);
+                setOpenDropdown(null);
+              }}
+              className="flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 w-full text-left"
+            >
+              <TagIcon className="w-4 h-4 mr-3" />
+              File Settings
+            </button>
 
             <button
               onClick={() => {
@@ -332,6 +343,14 @@ const FileTable = ({ files = [], onFileAction }) => {
                   }`}>
                     {file.isShared ? 'Shared' : 'Private'}
                   </span>
+                  {file.isRepairing && (
+                    <span
+                      className="ml-2 inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-yellow-100 text-yellow-800"
+                      title={`${file.replicas} healthy replica(s), re-replicating to a new provider`}
+                    >
+                      Repairing
+                    </span>
+                  )}
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                   <ActionDropdown file={file} />
@@ -1,9 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import CryptoJS from 'crypto-js';
-// import { downloadWithIntegrityCheck } from '../utils/fileIntegrity.js';
+import { downloadDecryptedFile } from '../utils/keyManagement';
 
-const FileVersions = ({ file, contract, account, encryptionKey, onClose }) => {
+const FileVersions = ({ file, contract, account, onClose }) => {
   const [versions, setVersions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [downloadingVersion, setDownloadingVersion] = useState(null);
@@ -25,12 +25,15 @@ const FileVersions = ({ file, contract, account, encryptionKey, onClose }) => {
       // Load each version
       for (let i = 0; i < versionCount; i++) {
         try {
-          const [cid, timestamp] = await contract.getFileVersion(account, file.id, i);
+          const [cid, timestamp, size, author, note] = await contract.getFileVersion(account, file.id, i);
           versionsArray.push({
             id: i,
             cid: cid,
             timestamp: new Date(Number(timestamp) * 1000),
-            isLatest: i === versionCount - 1
+            size: Number(size),
+            author: author,
+            note: note,
+            isLatest: i === Number(versionCount) - 1
           });
         } catch (versionError) {
           console.error(`Error loading version ${i}:`, versionError);
@@ -63,25 +66,12 @@ const FileVersions = ({ file, contract, account, encryptionKey, onClose }) => {
   };
 
   const handleDownloadVersion = async (version) => {
-    if (!encryptionKey) {
-      alert('Please enter the encryption key to download and decrypt the file.');
-      return;
-    }
-
     try {
       setDownloadingVersion(version.id);
       
-      // Use the enhanced download function with integrity checking
+      // Every version is encrypted with the file's data key, unwrapped from this account's copy
       const fileName = `${file.name}_v${version.id + 1}`;
-      const success = await downloadWithIntegrityCheck(version.cid, fileName, encryptionKey, {
-        fileName: fileName,
-        cid: version.cid,
-        version: version.id + 1
-      });
-      
-      if (success) {
-        alert(`Version ${version.id + 1} downloaded successfully with integrity verification!`);
-      }
+      await downloadDecryptedFile(contract, account, file.id, version.cid, fileName);
     } catch (error) {
       console.error('Error downloading version:', error);
       alert(`Error downloading version: ${error.message}`);
@@ -147,7 +137,16 @@ const FileVersions = ({ file, contract, account, encryptionKey, onClose }) => {
                     </div>
                     <p className="text-gray-400 text-sm mb-2">
                       {version.timestamp.toLocaleString()}
+                      {version.size !== undefined && ` · ${formatFileSize(version.size)}`}
                     </p>
+                    {version.note && (
+                      <p className="text-gray-300 text-sm mb-2">{version.note}</p>
+                    )}
+                    {version.author && version.author.toLowerCase() !== account?.toLowerCase() && (
+                      <p className="text-gray-500 text-xs mb-1">
+                        By {version.author.slice(0, 6)}...{version.author.slice(-4)}
+                      </p>
+                    )}
                     <p className="text-gray-500 text-xs font-mono">
                       CID: {version.cid.substring(0, 20)}...
                     </p>
@@ -5,18 +5,52 @@ import {
   validateAccessToken,
   getSharedKeyFromToken
 } from '../utils/keyManagement';
+import { fetchIndexedFileIds } from '../utils/web3';
 // import { downloadWithIntegrityCheck } from '../utils/fileIntegrity.js';
 
 const SharedFiles = ({ account, contract }) => {
   const [sharedFiles, setSharedFiles] = useState([]);
   const [loading, setLoading] = useState(false);
   const [accessibleFiles, setAccessibleFiles] = useState([]);
+  const [pendingTransfers, setPendingTransfers] = useState([]);
 
   useEffect(() => {
     if (account) {
       loadSharedFiles();
     }
-  }, [account]);
+  }, [account, contract]);
+
+  // Files whose owner started handing them over to this account. Owners grant the new owner
+  // access before starting the transfer, so they are all in the shared-with index.
+  const loadPendingTransfers = async () => {
+    if (!contract) return;
+
+    const fileIds = await fetchIndexedFileIds((offset, limit) => contract.getFilesSharedWith(account, offset, limit));
+    const pendingOwners = await Promise.all(fileIds.map(fileId => contract.pendingFileOwners(fileId)));
+    const pending = fileIds.filter((fileId, i) => pendingOwners[i].toLowerCase() === account.toLowerCase());
+
+    setPendingTransfers(await Promise.all(pending.map(async (fileId) => {
+      const [, , owner] = await contract.getFileInfo(fileId);
+      return { id: fileId, name: fileId, owner };
+    })));
+  };
+
+  const acceptOwnership = async (file) => {
+    try {
+      setLoading(true);
+
+      const tx = await contract.acceptFileOwnership(file.id);
+      await tx.wait();
+
+      alert(`You are now the owner of "${file.name}"`);
+      await loadPendingTransfers();
+    } catch (error) {
+      console.error('Error accepting file ownership:', error);
+      alert(`Error accepting file ownership: ${error.reason || error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
 
   const loadSharedFiles = async () => {
     try {
@@ -46,6 +80,7 @@ const SharedFiles = ({ account, contract }) => {
       }
       
       setAccessibleFiles(accessible);
+      await loadPendingTransfers();
     } catch (error) {
       console.error('Error loading shared files:', error);
     } finally {
@@ -150,6 +185,31 @@ const SharedFiles = ({ account, contract }) => {
         </div>
       </div>
 
+      {pendingTransfers.length > 0 && (
+        <div className="mb-6 p-4 bg-yellow-900 bg-opacity-40 border border-yellow-700 rounded-lg">
+          <h3 className="font-semibold mb-3">Ownership transfers waiting for you</h3>
+          <div className="space-y-2">
+            {pendingTransfers.map((file) => (
+              <div key={file.id} className="flex justify-between items-center gap-4">
+                <div className="text-sm">
+                  <p className="text-white">{file.name}</p>
+                  <p className="text-gray-400 font-mono text-xs">
+                    From {file.owner.substring(0, 6)}...{file.owner.substring(file.owner.length - 4)}
+                  </p>
+                </div>
+                <button
+                  onClick={() => acceptOwnership(file)}
+                  disabled={loading}
+                  className="px-4 py-2 bg-yellow-600 text-white rounded hover:bg-yellow-700 disabled:opacity-50"
+                >
+                  Accept ownership
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {loading ? (
         <div className="text-center py-8">
           <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-white mx-auto"></div>
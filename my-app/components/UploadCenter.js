@@ -9,9 +9,9 @@ import {
   LockClosedIcon,
   TagIcon,
   InformationCircleIcon,
-  PlusIcon
+  PlusIcon,
+  ServerStackIcon
 } from '@heroicons/react/24/outline';
-import { encryptFile } from '../utils/autoEncryption';
 import { useErrorHandler, safeAsync, ERROR_TYPES } from '../utils/errorHandler';
 
 const UploadCenter = ({ onUpload, isUploading = false, account }) => {
@@ -19,7 +19,6 @@ const UploadCenter = ({ onUpload, isUploading = false, account }) => {
   const [dragActive, setDragActive] = useState(false);
   const [uploadProgress, setUploadProgress] = useState({});
   const [encryptionEnabled, setEncryptionEnabled] = useState(true);
-  const [encryptionPassword, setEncryptionPassword] = useState('');
   const [globalMetadata, setGlobalMetadata] = useState({
     description: '',
     tags: [],
@@ -27,6 +26,12 @@ const UploadCenter = ({ onUpload, isUploading = false, account }) => {
     isPublic: false
   });
   const [currentTag, setCurrentTag] = useState('');
+  const [storageSettings, setStorageSettings] = useState({
+    replicationFactor: 1,
+    maxPricePerGB: '',
+    preferredRegions: '',
+    excludedRegions: ''
+  });
   const [errorMessages, setErrorMessages] = useState({});
   const fileInputRef = useRef(null);
   const { error, isLoading, handleAsync, clearError } = useErrorHandler();
@@ -185,31 +190,12 @@ const UploadCenter = ({ onUpload, isUploading = false, account }) => {
           // Generate unique file ID
           const fileId = `${Date.now()}_${file.name.replace(/[^a-zA-Z0-9.-]/g, '_')}`;
           
-          // Auto-encrypt the file if encryption is enabled
-          let finalContent = fileContent;
-          let encryptionResult = null;
-          
-          if (encryptionEnabled) {
-            setUploadProgress(prev => ({ ...prev, [file.id]: 25 }));
-            setFiles(prev => prev.map(f => 
-              f.id === file.id ? { ...f, progress: 25 } : f
-            ));
-            
-            encryptionResult = await safeAsync(async () => {
-              return await encryptFile(fileContent, fileId, account);
-            }, {
-              context: { operation: 'encryption', fileName: file.name },
-              operationId: `encrypt_${file.id}`,
-              retry: true,
-              retryOptions: { maxRetries: 2, delay: 500 }
-            });
-            
-            if (encryptionResult.success) {
-              finalContent = encryptionResult.encryptedContent;
-            } else {
-              throw new Error(`Encryption failed: ${encryptionResult.error}`);
-            }
-          }
+          // Files are encrypted with a per-file data key when they are uploaded to the
+          // network; the key is wrapped with the wallet's encryption key (see keyManagement)
+          setUploadProgress(prev => ({ ...prev, [file.id]: 25 }));
+          setFiles(prev => prev.map(f => 
+            f.id === file.id ? { ...f, progress: 25 } : f
+          ));
           
           // Simulate upload progress with error handling
           for (let progress = 50; progress <= 100; progress += 10) {
@@ -220,13 +206,12 @@ const UploadCenter = ({ onUpload, isUploading = false, account }) => {
             ));
           }
           
-          // Add encryption metadata to file
+          // Hand the file to the dashboard, which encrypts it on upload
           const processedFile = {
             ...file,
             fileId,
-            content: finalContent,
+            content: fileContent,
             isEncrypted: encryptionEnabled,
-            encryptionMetadata: encryptionResult?.metadata || null,
             status: 'completed'
           };
           
@@ -265,8 +250,12 @@ const UploadCenter = ({ onUpload, isUploading = false, account }) => {
         await safeAsync(async () => {
           await onUpload(processedFiles, { 
             encryptionEnabled, 
-            encryptionPassword,
-            autoEncryption: true,
+            storagePreferences: {
+              replicationFactor: Number(storageSettings.replicationFactor),
+              maxPricePerGB: storageSettings.maxPricePerGB,
+              preferredRegions: parseRegions(storageSettings.preferredRegions),
+              excludedRegions: parseRegions(storageSettings.excludedRegions)
+            },
             account 
           });
         }, {
@@ -289,6 +278,9 @@ const UploadCenter = ({ onUpload, isUploading = false, account }) => {
     });
   };
 
+  // Comma-separated region input -> region names
+  const parseRegions = (value) => value.split(',').map(region => region.trim()).filter(Boolean);
+
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -408,22 +400,16 @@ const UploadCenter = ({ onUpload, isUploading = false, account }) => {
                 <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
               </label>
             </div>
-            {encryptionEnabled && (
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Encryption Password (optional)
-                </label>
-                <input
-                  type="password"
-                  value={encryptionPassword}
-                  onChange={(e) => setEncryptionPassword(e.target.value)}
-                  placeholder="Leave empty for auto-generated password"
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
-                <p className="text-xs text-gray-500 mt-1">
-                  If left empty, a secure password will be generated automatically.
-                </p>
-              </div>
+            {encryptionEnabled ? (
+              <p className="text-sm text-gray-600">
+                Each file is encrypted with its own random key. Only a copy of that key wrapped with
+                your wallet&apos;s encryption key is stored on-chain, so no password is needed and
+                nobody else can read the file until you share it.
+              </p>
+            ) : (
+              <p className="text-sm text-gray-600">
+                Files will be stored unencrypted and readable by anyone with the content hash.
+              </p>
             )}
           </div>
 
@@ -525,6 +511,71 @@ const UploadCenter = ({ onUpload, isUploading = false, account }) => {
             </div>
           </div>
 
+          {/* Storage Provider Settings */}
+          <div className="bg-gray-50 rounded-lg p-4">
+            <div className="flex items-center space-x-2 mb-3">
+              <ServerStackIcon className="w-5 h-5 text-gray-600" />
+              <h4 className="font-medium text-gray-900">Storage Providers</h4>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Replicas
+                </label>
+                <input
+                  type="number"
+                  min={1}
+                  max={10}
+                  value={storageSettings.replicationFactor}
+                  onChange={(e) => setStorageSettings(prev => ({ ...prev, replicationFactor: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Max price (STOR per GB per day)
+                </label>
+                <input
+                  type="number"
+                  min={0}
+                  step="any"
+                  value={storageSettings.maxPricePerGB}
+                  onChange={(e) => setStorageSettings(prev => ({ ...prev, maxPricePerGB: e.target.value }))}
+                  placeholder="No limit"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Preferred regions
+                </label>
+                <input
+                  type="text"
+                  value={storageSettings.preferredRegions}
+                  onChange={(e) => setStorageSettings(prev => ({ ...prev, preferredRegions: e.target.value }))}
+                  placeholder="e.g. eu-west, us-east"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Excluded regions
+                </label>
+                <input
+                  type="text"
+                  value={storageSettings.excludedRegions}
+                  onChange={(e) => setStorageSettings(prev => ({ ...prev, excludedRegions: e.target.value }))}
+                  placeholder="e.g. ap-south"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Providers are ranked by reputation, price and free space, and replicas are spread across regions.
+            </p>
+          </div>
+
           {/* Error Messages */}
           {Object.keys(errorMessages).length > 0 && (
             <div className="space-y-2">
@@ -2,7 +2,7 @@
 import { useState } from 'react';
 import { useRouter } from 'next/navigation';
 
-const ModernSidebar = ({ activeSection, setActiveSection, account, disconnectWallet }) => {
+const ModernSidebar = ({ activeSection, setActiveSection, account, disconnectWallet, networkName, isSupportedNetwork }) => {
   const [isCollapsed, setIsCollapsed] = useState(false);
   const router = useRouter();
 
@@ -114,8 +114,8 @@ const ModernSidebar = ({ activeSection, setActiveSection, account, disconnectWal
       {!isCollapsed && (
         <div className="p-4 border-t border-electric-cyan/20">
           <div className="flex items-center space-x-3 text-sm">
-            <div className="w-3 h-3 bg-green-400 rounded-full animate-pulse"></div>
-            <span className="text-light-silver/80">Network: Polygon Amoy</span>
+            <div className={`w-3 h-3 rounded-full animate-pulse ${isSupportedNetwork ? 'bg-green-400' : 'bg-red-400'}`}></div>
+            <span className="text-light-silver/80">Network: {networkName}</span>
           </div>
         </div>
       )}
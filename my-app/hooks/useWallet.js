@@ -1,28 +1,76 @@
 'use client';
-import { useState, useEffect } from 'react';
-import { ethers, BrowserProvider } from 'ethers';
-import FileManagerABI from '../contracts/FileManager.json';
+import { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { BrowserProvider } from 'ethers';
+import { DEFAULT_CHAIN_ID, getAddChainParams, getNetwork, isSupportedChain, toHexChainId } from '../utils/networks';
+import { connectFileManager } from '../utils/web3';
 
-const CONTRACT_ADDRESS = process.env.NEXT_PUBLIC_CONTRACT_ADDRESS;
+// Remembers which wallet the user connected with, so the session is restored on reload
+// and stays closed after disconnectWallet
+const CONNECTOR_KEY = 'drive_wallet_connector';
+const INJECTED_CONNECTOR = 'injected';
 
-export const useWallet = () => {
+const getStoredConnector = () => {
+  try {
+    return localStorage.getItem(CONNECTOR_KEY);
+  } catch {
+    return null;
+  }
+};
+
+const setStoredConnector = (connector) => {
+  try {
+    if (connector) {
+      localStorage.setItem(CONNECTOR_KEY, connector);
+    } else {
+      localStorage.removeItem(CONNECTOR_KEY);
+    }
+  } catch (error) {
+    console.error('Error saving wallet connector:', error);
+  }
+};
+
+const WalletContext = createContext(null);
+
+const useWalletState = () => {
   const [account, setAccount] = useState(null);
   const [contract, setContract] = useState(null);
+  const [chainId, setChainId] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [isInitialized, setIsInitialized] = useState(false);
+  // Incremented on every (re)initialization so a slow one cannot overwrite a newer signer
+  const initializationRef = useRef(0);
 
   const isMetaMaskInstalled = typeof window !== 'undefined' && typeof window.ethereum !== 'undefined';
 
+  // Connect the manager on the wallet's current network. On networks without a deployment
+  // there is no contract, so the app cannot send transactions there.
   const initializeContract = async (provider) => {
+    const initialization = ++initializationRef.current;
     try {
+      const network = await provider.getNetwork();
+      const currentChainId = Number(network.chainId);
+      if (initialization !== initializationRef.current) return;
+      setChainId(currentChainId);
+
+      if (!isSupportedChain(currentChainId)) {
+        setContract(null);
+        return;
+      }
       const signer = await provider.getSigner();
-      const contractInstance = new ethers.Contract(CONTRACT_ADDRESS, FileManagerABI.abi, signer);
-      setContract(contractInstance);
+      if (initialization !== initializationRef.current) return;
+      setContract(connectFileManager(currentChainId, signer));
     } catch (error) {
       console.error('Error initializing contract:', error);
     }
   };
 
+  // Drop the account and signer; the stored connector is left to the caller
+  const clearSession = () => {
+    initializationRef.current++;
+    setAccount(null);
+    setContract(null);
+  };
+
   const checkIfWalletIsConnected = async () => {
     if (!isMetaMaskInstalled) {
       console.log("MetaMask is not installed.");
@@ -31,10 +79,13 @@ export const useWallet = () => {
     }
     try {
       const accounts = await window.ethereum.request({ method: 'eth_accounts' });
-      if (accounts.length > 0) {
+      // Only restore a session the user opened here and has not disconnected
+      if (accounts.length > 0 && getStoredConnector() === INJECTED_CONNECTOR) {
         setAccount(accounts[0]);
         const provider = new BrowserProvider(window.ethereum);
         await initializeContract(provider);
+      } else {
+        setChainId(Number(await window.ethereum.request({ method: 'eth_chainId' })));
       }
     } catch (error) {
       console.error('Error checking wallet connection:', error);
@@ -43,11 +94,17 @@ export const useWallet = () => {
     }
   };
 
-  const switchToLocalNetwork = async () => {
+  // Ask the wallet to switch to a network from utils/networks.js, adding it first if needed
+  const switchNetwork = async (targetChainId = DEFAULT_CHAIN_ID) => {
+    const network = getNetwork(targetChainId);
+    if (!network) {
+      throw new Error(`Unknown network ${targetChainId}`);
+    }
+
     try {
       await window.ethereum.request({
         method: 'wallet_switchEthereumChain',
-        params: [{ chainId: '0x7A69' }], // 31337 in hex (Hardhat default)
+        params: [{ chainId: toHexChainId(network.chainId) }],
       });
     } catch (switchError) {
       // This error code indicates that the chain has not been added to MetaMask
@@ -55,16 +112,7 @@ export const useWallet = () => {
         try {
           await window.ethereum.request({
             method: 'wallet_addEthereumChain',
-            params: [{
-              chainId: '0x7A69',
-              chainName: 'Hardhat Local',
-              rpcUrls: ['http://localhost:8545'],
-              nativeCurrency: {
-                name: 'ETH',
-                symbol: 'ETH',
-                decimals: 18
-              }
-            }]
+            params: [getAddChainParams(network)]
           });
         } catch (addError) {
           console.error('Failed to add network:', addError);
@@ -80,9 +128,10 @@ export const useWallet = () => {
     }
     try {
       setIsLoading(true);
-      await switchToLocalNetwork();
+      await switchNetwork();
       const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
       setAccount(accounts[0]);
+      setStoredConnector(INJECTED_CONNECTOR);
       const provider = new BrowserProvider(window.ethereum);
       await initializeContract(provider);
       setIsLoading(false);
@@ -93,23 +142,99 @@ export const useWallet = () => {
     }
   };
 
-  const disconnectWallet = () => {
-    setAccount(null);
-    setContract(null);
+  const disconnectWallet = async () => {
+    clearSession();
+    setStoredConnector(null);
+
+    // Also drop the site's account permission where the wallet supports it, so the next
+    // connect asks for an account again; older MetaMask versions don't implement this
+    if (isMetaMaskInstalled) {
+      try {
+        await window.ethereum.request({
+          method: 'wallet_revokePermissions',
+          params: [{ eth_accounts: {} }]
+        });
+      } catch (error) {
+        console.log('Wallet does not support revoking permissions:', error.message);
+      }
+    }
   };
 
   useEffect(() => {
     checkIfWalletIsConnected();
   }, []);
 
-  return { 
-    account, 
-    contract, 
-    isLoading, 
-    connectWallet, 
-    disconnectWallet, 
+  // Follow changes made in the wallet. A BrowserProvider stays bound to the network and account
+  // it was created with, so the contract is reconnected through a new one.
+  useEffect(() => {
+    if (!isMetaMaskInstalled) return;
+
+    const handleAccountsChanged = (accounts) => {
+      // Ignore account switches while the user is disconnected from the app
+      if (!account) return;
+
+      if (accounts.length === 0) {
+        // Locked the wallet or removed the site's permission
+        clearSession();
+        setStoredConnector(null);
+        return;
+      }
+      setAccount(accounts[0]);
+      initializeContract(new BrowserProvider(window.ethereum));
+    };
+
+    const handleChainChanged = (hexChainId) => {
+      setChainId(Number(hexChainId));
+      if (account) {
+        initializeContract(new BrowserProvider(window.ethereum));
+      } else {
+        setContract(null);
+      }
+    };
+
+    // The wallet lost its connection to every chain; keep the connector so the session
+    // is restored once it is back
+    const handleDisconnect = (error) => {
+      console.error('Wallet disconnected:', error);
+      clearSession();
+    };
+
+    window.ethereum.on('accountsChanged', handleAccountsChanged);
+    window.ethereum.on('chainChanged', handleChainChanged);
+    window.ethereum.on('disconnect', handleDisconnect);
+    return () => {
+      window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
+      window.ethereum.removeListener('chainChanged', handleChainChanged);
+      window.ethereum.removeListener('disconnect', handleDisconnect);
+    };
+  }, [account, isMetaMaskInstalled]);
+
+  return {
+    account,
+    contract,
+    chainId,
+    network: getNetwork(chainId),
+    isSupportedNetwork: isSupportedChain(chainId),
+    isLoading,
+    connectWallet,
+    disconnectWallet,
+    switchNetwork,
     isMetaMaskInstalled,
-    isInitialized 
+    isInitialized
   };
 };
 
+// Holds the wallet session for the whole app (see app/layout.js), so every page shares
+// one account, signer and set of wallet listeners
+export const WalletProvider = ({ children }) => {
+  const wallet = useWalletState();
+  return <WalletContext.Provider value={wallet}>{children}</WalletContext.Provider>;
+};
+
+export const useWallet = () => {
+  const wallet = useContext(WalletContext);
+  if (!wallet) {
+    throw new Error('useWallet must be used within a WalletProvider');
+  }
+  return wallet;
+};
@@ -1,6 +1,10 @@
 import CryptoJS from 'crypto-js';
+import { keccak256, concat, hexlify } from 'ethers';
 import EncryptionService from './encryption.js';
 
+// Chunk size used for the Merkle commitment stored on-chain with each file
+export const STORAGE_CHUNK_SIZE = 256 * 1024;
+
 /**
  * Enhanced file integrity and content addressing system
  * Provides cryptographic verification, proof of storage, and content identification
@@ -56,12 +60,41 @@ class FileIntegrityService {
     return `${prefix}${cidHash}`;
   }
 
+  /**
+   * Hash a single chunk as a Merkle leaf
+   * @param {ArrayBuffer|Uint8Array} chunk - Chunk data
+   * @param {string} algorithm - 'SHA256' or 'KECCAK256'
+   * @returns {string} Leaf hash
+   */
+  hashLeaf(chunk, algorithm = this.hashAlgorithm) {
+    if (algorithm === 'KECCAK256') {
+      return keccak256(new Uint8Array(chunk));
+    }
+    return EncryptionService.calculateSHA256(chunk);
+  }
+
+  /**
+   * Hash two sibling nodes into their parent
+   * @param {string} left - Left node hash
+   * @param {string} right - Right node hash
+   * @param {string} algorithm - 'SHA256' or 'KECCAK256'
+   * @returns {string} Parent hash
+   */
+  hashPair(left, right, algorithm = this.hashAlgorithm) {
+    if (algorithm === 'KECCAK256') {
+      // Same as keccak256(abi.encodePacked(left, right)) in the storage contract
+      return keccak256(concat([left, right]));
+    }
+    return CryptoJS.SHA256(left + right).toString();
+  }
+
   /**
    * Create Merkle tree for file chunks
    * @param {Array} chunks - Array of file chunks
+   * @param {string} algorithm - 'SHA256' (default) or 'KECCAK256' for on-chain proofs
    * @returns {Object} Merkle tree structure
    */
-  createMerkleTree(chunks) {
+  createMerkleTree(chunks, algorithm = this.hashAlgorithm) {
     if (!chunks || chunks.length === 0) {
       throw new Error('Cannot create Merkle tree from empty chunks');
     }
@@ -69,7 +102,7 @@ class FileIntegrityService {
     // Calculate leaf hashes
     const leaves = chunks.map((chunk, index) => ({
       index,
-      hash: EncryptionService.calculateSHA256(chunk),
+      hash: this.hashLeaf(chunk, algorithm),
       data: chunk
     }));
 
@@ -84,7 +117,7 @@ class FileIntegrityService {
         const left = currentLevel[i];
         const right = currentLevel[i + 1] || left; // Handle odd number of nodes
         
-        const combinedHash = CryptoJS.SHA256(left.hash + right.hash).toString();
+        const combinedHash = this.hashPair(left.hash, right.hash, algorithm);
         nextLevel.push({
           hash: combinedHash,
           left: left.hash,
@@ -102,6 +135,7 @@ class FileIntegrityService {
       rootHash,
       tree,
       leaves,
+      algorithm,
       depth: tree.length - 1,
       totalChunks: chunks.length
     };
@@ -129,12 +163,12 @@ class FileIntegrityService {
       const isRightNode = currentIndex % 2 === 1;
       const siblingIndex = isRightNode ? currentIndex - 1 : currentIndex + 1;
       
-      if (siblingIndex < currentLevel.length) {
-        proof.push({
-          hash: currentLevel[siblingIndex].hash,
-          position: isRightNode ? 'left' : 'right'
-        });
-      }
+      // A trailing odd node was paired with itself when the tree was built
+      const sibling = currentLevel[siblingIndex] || currentLevel[currentIndex];
+      proof.push({
+        hash: sibling.hash,
+        position: isRightNode ? 'left' : 'right'
+      });
       
       currentIndex = Math.floor(currentIndex / 2);
     }
@@ -147,24 +181,62 @@ class FileIntegrityService {
    * @param {string} leafHash - Hash of the leaf to verify
    * @param {Array} proof - Merkle proof path
    * @param {string} rootHash - Expected root hash
+   * @param {string} algorithm - 'SHA256' or 'KECCAK256'
    * @returns {boolean} True if proof is valid
    */
-  verifyMerkleProof(leafHash, proof, rootHash) {
+  verifyMerkleProof(leafHash, proof, rootHash, algorithm = this.hashAlgorithm) {
     let currentHash = leafHash;
     
     for (const proofElement of proof) {
       const { hash: siblingHash, position } = proofElement;
       
       if (position === 'left') {
-        currentHash = CryptoJS.SHA256(siblingHash + currentHash).toString();
+        currentHash = this.hashPair(siblingHash, currentHash, algorithm);
       } else {
-        currentHash = CryptoJS.SHA256(currentHash + siblingHash).toString();
+        currentHash = this.hashPair(currentHash, siblingHash, algorithm);
       }
     }
     
     return currentHash === rootHash;
   }
 
+  /**
+   * Build the Merkle commitment that uploadFile stores on-chain
+   * @param {ArrayBuffer|Uint8Array} fileData - Stored (encrypted) file bytes
+   * @param {number} chunkSize - Size of each chunk
+   * @returns {Object} Merkle root, chunk count, committed size in bytes and the full keccak tree.
+   * The size is what uploadFile must be given, since the contract checks the chunk count against it.
+   */
+  createStorageCommitment(fileData, chunkSize = STORAGE_CHUNK_SIZE) {
+    const data = new Uint8Array(fileData);
+    const merkleTree = this.createMerkleTree(this.createFileChunks(data, chunkSize), 'KECCAK256');
+
+    return {
+      merkleRoot: merkleTree.rootHash,
+      chunkCount: merkleTree.totalChunks,
+      size: data.length,
+      merkleTree
+    };
+  }
+
+  /**
+   * Build submitProofOfStorage arguments for a challenged chunk
+   * @param {Object} merkleTree - Keccak tree from createStorageCommitment
+   * @param {number} chunkIndex - Chunk index returned by getChallengedChunk
+   * @returns {Object} Chunk bytes (hex) and bytes32[] proof; the contract hashes the chunk itself
+   */
+  generateStorageProof(merkleTree, chunkIndex) {
+    if (merkleTree.algorithm !== 'KECCAK256') {
+      throw new Error('On-chain storage proofs require a KECCAK256 Merkle tree');
+    }
+
+    const index = Number(chunkIndex);
+    return {
+      chunk: hexlify(new Uint8Array(merkleTree.leaves[index].data)),
+      proof: this.generateMerkleProof(merkleTree, index).map(node => node.hash)
+    };
+  }
+
   /**
    * Create proof of storage challenge
    * @param {string} fileId - File identifier
@@ -1,4 +1,9 @@
 import CryptoJS from 'crypto-js';
+import { SigningKey, hexlify, keccak256, randomBytes } from 'ethers';
+
+// Gateway files are read from; uploads are pinned through Pinata. scripts/seed-devnet.js fills a
+// local stand-in served at /ipfs
+export const IPFS_GATEWAY = process.env.NEXT_PUBLIC_IPFS_GATEWAY || 'https://gateway.pinata.cloud/ipfs';
 
 /**
  * Generates a random shared key for file access
@@ -272,4 +277,183 @@ export const SharedFileStorage = {
  */
 export const generateFileId = (fileName, userAddress) => {
   return CryptoJS.SHA256(fileName + userAddress + Date.now()).toString();
-};
\ No newline at end of file
+};
+
+/**
+ * Message signed to derive a wallet's file encryption key pair. The signature is deterministic,
+ * so the same key pair is recovered on any device without storing a private key.
+ */
+export const ENCRYPTION_KEY_MESSAGE =
+  'Decentralized Drive file encryption key\n\n' +
+  'Sign this message to unlock your file keys. It does not send a transaction or cost gas.';
+
+const encryptionKeyPairs = new Map();
+
+/**
+ * Derives the wallet's encryption key pair from a signature of ENCRYPTION_KEY_MESSAGE
+ * @param {Object} signer - ethers signer of the connected wallet
+ * @returns {Promise<Object>} - { privateKey, publicKey } with a compressed secp256k1 public key
+ */
+export const deriveEncryptionKeyPair = async (signer) => {
+  const address = (await signer.getAddress()).toLowerCase();
+
+  if (!encryptionKeyPairs.has(address)) {
+    const signature = await signer.signMessage(ENCRYPTION_KEY_MESSAGE);
+    const signingKey = new SigningKey(keccak256(signature));
+    encryptionKeyPairs.set(address, {
+      privateKey: signingKey.privateKey,
+      publicKey: signingKey.compressedPublicKey
+    });
+  }
+
+  return encryptionKeyPairs.get(address);
+};
+
+/**
+ * Generates a random per-file data key used to encrypt the file content
+ * @returns {string} - A randomly generated key
+ */
+export const generateDataKey = () => generateSharedKey();
+
+/**
+ * Derives the AES key protecting a wrapped data key from an ECDH shared secret
+ * @param {string} privateKey - Private key of one side
+ * @param {string} publicKey - Public key of the other side
+ * @returns {string} - Hex encoded wrapping key
+ */
+const deriveWrappingKey = (privateKey, publicKey) => {
+  return keccak256(new SigningKey(privateKey).computeSharedSecret(publicKey)).slice(2);
+};
+
+/**
+ * Wraps a data key for a recipient using an ephemeral ECDH key (ECIES style)
+ * @param {string} dataKey - The file data key
+ * @param {string} recipientPublicKey - Recipient's encryption public key
+ * @returns {string} - Wrapped key, safe to store on-chain
+ */
+export const wrapDataKey = (dataKey, recipientPublicKey) => {
+  const ephemeralKey = new SigningKey(hexlify(randomBytes(32)));
+  const wrappingKey = deriveWrappingKey(ephemeralKey.privateKey, recipientPublicKey);
+
+  return JSON.stringify({
+    version: 1,
+    ephemeralPublicKey: ephemeralKey.compressedPublicKey,
+    ciphertext: encryptWithSharedKey(dataKey, wrappingKey)
+  });
+};
+
+/**
+ * Unwraps a data key with the recipient's encryption private key
+ * @param {string} wrappedKey - Wrapped key created by wrapDataKey
+ * @param {string} privateKey - Recipient's encryption private key
+ * @returns {string} - The file data key
+ */
+export const unwrapDataKey = (wrappedKey, privateKey) => {
+  const { ephemeralPublicKey, ciphertext } = JSON.parse(wrappedKey);
+  const dataKey = decryptWithSharedKey(ciphertext, deriveWrappingKey(privateKey, ephemeralPublicKey));
+
+  if (!dataKey) {
+    throw new Error('Failed to unwrap file key');
+  }
+  return dataKey;
+};
+
+/**
+ * Returns the account's registered encryption public key, registering it on-chain first if needed
+ * @param {Object} contract - DecentralizedStorageManager contract connected to the account's signer
+ * @param {string} account - The account address
+ * @returns {Promise<string>} - Compressed public key
+ */
+export const ensureEncryptionPublicKey = async (contract, account) => {
+  const registeredKey = await contract.encryptionPublicKeys(account);
+  if (registeredKey !== '0x') {
+    return registeredKey;
+  }
+
+  const { publicKey } = await deriveEncryptionKeyPair(contract.runner);
+  const tx = await contract.setEncryptionPublicKey(publicKey);
+  await tx.wait();
+  return publicKey;
+};
+
+/**
+ * Wraps a data key for another user with their registered encryption public key
+ * @param {Object} contract - DecentralizedStorageManager contract
+ * @param {string} dataKey - The file data key
+ * @param {string} userAddress - The user to wrap the key for
+ * @returns {Promise<string>} - Wrapped key for grantFileAccess
+ */
+export const wrapDataKeyForUser = async (contract, dataKey, userAddress) => {
+  const publicKey = await contract.encryptionPublicKeys(userAddress);
+  if (publicKey === '0x') {
+    throw new Error(`${userAddress} has not registered an encryption key yet. They need to sign in once first.`);
+  }
+  return wrapDataKey(dataKey, publicKey);
+};
+
+/**
+ * Fetches and unwraps the caller's data key for a file
+ * @param {Object} contract - DecentralizedStorageManager contract connected to the account's signer
+ * @param {string} account - The account address
+ * @param {string} fileId - The file identifier
+ * @returns {Promise<string|null>} - The file data key, or null if the file is not encrypted
+ */
+export const getFileDataKey = async (contract, account, fileId) => {
+  const wrappedKey = await contract.getWrappedKey(fileId, account);
+  if (!wrappedKey) {
+    return null;
+  }
+
+  const { privateKey } = await deriveEncryptionKeyPair(contract.runner);
+  return unwrapDataKey(wrappedKey, privateKey);
+};
+
+/**
+ * Fetches a stored file version from IPFS and decrypts it with the caller's data key
+ * @param {Object} contract - DecentralizedStorageManager contract connected to the account's signer
+ * @param {string} account - The account address
+ * @param {string} fileId - The file identifier
+ * @param {string} cid - IPFS hash of the version to read
+ * @returns {Promise<string>} - The uploaded content (a data URL for files uploaded from the dashboard)
+ */
+export const fetchDecryptedFile = async (contract, account, fileId, cid) => {
+  const response = await fetch(`${IPFS_GATEWAY}/${cid}`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch file from IPFS');
+  }
+  const storedData = await response.text();
+
+  const dataKey = await getFileDataKey(contract, account, fileId);
+  if (!dataKey) {
+    return storedData;
+  }
+  const content = decryptWithSharedKey(storedData, dataKey);
+  if (!content) {
+    throw new Error('Could not decrypt the file with your key');
+  }
+  return content;
+};
+
+/**
+ * Fetches, decrypts and saves a stored file version through the browser
+ * @param {Object} contract - DecentralizedStorageManager contract connected to the account's signer
+ * @param {string} account - The account address
+ * @param {string} fileId - The file identifier
+ * @param {string} cid - IPFS hash of the version to download
+ * @param {string} fileName - Name to save the file as
+ */
+export const downloadDecryptedFile = async (contract, account, fileId, cid, fileName) => {
+  const content = await fetchDecryptedFile(contract, account, fileId, cid);
+  // Dashboard uploads store the file as a data URL; anything else is saved as plain text
+  const url = content.startsWith('data:') ? content : URL.createObjectURL(new Blob([content], { type: 'text/plain' }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  if (url !== content) {
+    URL.revokeObjectURL(url);
+  }
+};
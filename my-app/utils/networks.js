@@ -0,0 +1,101 @@
+// my-app/utils/networks.js
+// Written by scripts/deploy-stack.js along with the chain they were deployed to
+import FileManagerABI from '../contracts/FileManager.json';
+import StorageTokenABI from '../contracts/StorageToken.json';
+import StorageDisputesABI from '../contracts/StorageDisputes.json';
+
+// Network the app asks the wallet to switch to, and whose contracts NEXT_PUBLIC_CONTRACT_ADDRESS
+// and NEXT_PUBLIC_STORAGE_TOKEN_ADDRESS override. Defaults to the chain of the last deployment.
+export const DEFAULT_CHAIN_ID = Number(process.env.NEXT_PUBLIC_CHAIN_ID || FileManagerABI.chainId || 31337);
+
+// Address of a contract from the last deployment, if it was made to this chain
+const deployedAddress = (artifact, chainId) => (artifact.chainId === chainId ? artifact.address : null);
+
+// Contract addresses on a chain; the env overrides apply to the default network only
+const contractsOn = (chainId) => {
+  const overrides = chainId === DEFAULT_CHAIN_ID ? {
+    fileManager: process.env.NEXT_PUBLIC_CONTRACT_ADDRESS,
+    storageToken: process.env.NEXT_PUBLIC_STORAGE_TOKEN_ADDRESS
+  } : {};
+
+  return {
+    fileManager: overrides.fileManager || deployedAddress(FileManagerABI, chainId),
+    storageToken: overrides.storageToken || deployedAddress(StorageTokenABI, chainId),
+    storageDisputes: deployedAddress(StorageDisputesABI, chainId)
+  };
+};
+
+// The storage network's token, deployed on every network
+const STORAGE_TOKEN = { name: 'StorageToken', symbol: 'STOR', decimals: 18 };
+
+// Networks the app can run on, by chain ID. The RPC URLs match the networks in hardhat.config.js.
+export const NETWORKS = {
+  31337: {
+    chainId: 31337,
+    name: 'Hardhat Local',
+    rpcUrl: 'http://127.0.0.1:8545',
+    explorerUrl: null,
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    token: STORAGE_TOKEN,
+    contracts: contractsOn(31337)
+  },
+  80002: {
+    chainId: 80002,
+    name: 'Polygon Amoy Testnet',
+    rpcUrl: process.env.NEXT_PUBLIC_AMOY_RPC_URL || 'https://rpc-amoy.polygon.technology',
+    explorerUrl: 'https://amoy.polygonscan.com',
+    nativeCurrency: { name: 'POL', symbol: 'POL', decimals: 18 },
+    token: STORAGE_TOKEN,
+    contracts: contractsOn(80002)
+  },
+  137: {
+    chainId: 137,
+    name: 'Polygon',
+    rpcUrl: process.env.NEXT_PUBLIC_POLYGON_RPC_URL || 'https://polygon-rpc.com',
+    explorerUrl: 'https://polygonscan.com',
+    nativeCurrency: { name: 'POL', symbol: 'POL', decimals: 18 },
+    token: STORAGE_TOKEN,
+    contracts: contractsOn(137)
+  }
+};
+
+// Look up a network by chain ID (number, bigint or 0x-prefixed hex as reported by the wallet)
+export const getNetwork = (chainId) => (chainId == null ? null : NETWORKS[Number(chainId)] || null);
+
+// A chain is supported when the storage manager is deployed there
+export const isSupportedChain = (chainId) => Boolean(getNetwork(chainId)?.contracts.fileManager);
+
+// Name of a chain for display, including chains the app does not know
+export const getNetworkName = (chainId) => getNetwork(chainId)?.name || (chainId == null ? 'Not connected' : `Unknown network (${Number(chainId)})`);
+
+// Chain ID in the 0x-prefixed hex form wallet RPC methods expect
+export const toHexChainId = (chainId) => `0x${Number(chainId).toString(16)}`;
+
+// Parameters for wallet_addEthereumChain
+export const getAddChainParams = (network) => ({
+  chainId: toHexChainId(network.chainId),
+  chainName: network.name,
+  rpcUrls: [network.rpcUrl],
+  nativeCurrency: network.nativeCurrency,
+  ...(network.explorerUrl && { blockExplorerUrls: [network.explorerUrl] })
+});
+
+// Block explorer links; null on networks without an explorer
+export const getExplorerAddressUrl = (chainId, address) => {
+  const explorerUrl = getNetwork(chainId)?.explorerUrl;
+  return explorerUrl ? `${explorerUrl}/address/${address}` : null;
+};
+
+export const getExplorerTxUrl = (chainId, hash) => {
+  const explorerUrl = getNetwork(chainId)?.explorerUrl;
+  return explorerUrl ? `${explorerUrl}/tx/${hash}` : null;
+};
+
+// Network of a chain the app may send transactions on; throws on unsupported chains
+export const requireSupportedNetwork = (chainId) => {
+  if (!isSupportedChain(chainId)) {
+    const supported = Object.values(NETWORKS).filter((network) => network.contracts.fileManager).map((network) => network.name);
+    throw new Error(`${getNetworkName(chainId)} is not supported. Switch your wallet to ${supported.join(' or ') || 'a network with a deployment'}.`);
+  }
+  return getNetwork(chainId);
+};
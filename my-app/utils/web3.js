@@ -1,10 +1,9 @@
 // my-app/utils/web3.js
 import { ethers } from 'ethers';
-// Make sure the path to your ABI file is correct
+// Written by scripts/deploy-stack.js along with the deployed addresses
 import FileManagerABI from '../contracts/FileManager.json';
-
-// Get the contract address from your .env.local file
-const CONTRACT_ADDRESS = process.env.NEXT_PUBLIC_CONTRACT_ADDRESS;
+import StorageTokenABI from '../contracts/StorageToken.json';
+import { requireSupportedNetwork } from './networks';
 
 // Helper function to get the browser's provider (MetaMask)
 export const getProvider = () => {
@@ -21,8 +20,62 @@ export const getSigner = async () => {
   return await provider.getSigner();
 };
 
-// Helper function to create a contract instance that can send transactions
+// Storage manager deployed on a chain (see utils/networks.js), connected to a signer or provider.
+// Throws on chains without a deployment, so nothing is ever sent to the wrong network.
+export const connectFileManager = (chainId, runner) =>
+  new ethers.Contract(requireSupportedNetwork(chainId).contracts.fileManager, FileManagerABI.abi, runner);
+
+// Helper function to create a contract instance that can send transactions on the wallet's network
 export const getFileManagerContract = async () => {
   const signer = await getSigner();
-  return new ethers.Contract(CONTRACT_ADDRESS, FileManagerABI.abi, signer);
-};
\ No newline at end of file
+  const { chainId } = await signer.provider.getNetwork();
+  return connectFileManager(chainId, signer);
+};
+
+// Permission bits of on-chain file grants (FileAccess.sol); the file owner holds all of them
+export const FILE_PERMISSIONS = { READ: 1, WRITE: 2, DELETE: 4, SHARE: 8, ADMIN: 16 };
+
+// Labels for the contract's AccessRole enum, indexed by its value
+export const ACCESS_ROLE_LABELS = ['No access', 'Reader', 'Editor', 'Admin', 'Owner'];
+
+// Build the ProviderPreferences struct that uploadFile and getUploadQuote expect
+export const buildProviderPreferences = ({ maxPricePerGB, preferredRegions = [], excludedRegions = [] } = {}) => ({
+  maxPricePerGB: maxPricePerGB ? ethers.parseEther(String(maxPricePerGB)) : 0n, // 0 means no limit
+  preferredRegions,
+  excludedRegions
+});
+
+// Deposit whatever the account is missing to cover an upload's storage escrow
+export const fundUploadEscrow = async (fileManager, account, fileSize, replicationFactor, preferences) => {
+  const [quote, balance] = await Promise.all([
+    fileManager.getUploadQuote(fileSize, replicationFactor, preferences),
+    fileManager.userBalances(account)
+  ]);
+  if (balance >= quote) return;
+
+  const shortfall = quote - balance;
+  const managerAddress = await fileManager.getAddress();
+  const storageToken = new ethers.Contract(await fileManager.storageToken(), StorageTokenABI.abi, fileManager.runner);
+
+  if ((await storageToken.allowance(account, managerAddress)) < shortfall) {
+    await (await storageToken.approve(managerAddress, shortfall)).wait();
+  }
+  await (await fileManager.deposit(shortfall)).wait();
+};
+
+// Page size for the manager's indexed file queries (getFilesByOwner, getFilesSharedWith, getFilesByTag)
+export const FILE_PAGE_SIZE = 50;
+
+// Collect every file ID from one of the paginated index queries, e.g.
+// fetchIndexedFileIds((offset, limit) => fileManager.getFilesByOwner(account, offset, limit))
+export const fetchIndexedFileIds = async (fetchPage, pageSize = FILE_PAGE_SIZE) => {
+  const fileIds = [];
+  let total;
+  do {
+    const [page, pageTotal] = await fetchPage(fileIds.length, pageSize);
+    total = Number(pageTotal);
+    if (page.length === 0) break;
+    fileIds.push(...page);
+  } while (fileIds.length < total);
+  return fileIds;
+};
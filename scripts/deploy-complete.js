@@ -1,20 +1,43 @@
+// Governance settings; voting delay and period are in blocks
+const GOVERNANCE = {
+  timelockDelay: 2 * 24 * 60 * 60, // 2 days
+  votingDelay: 1,
+  votingPeriod: 50400, // about a week of 12 second blocks
+  proposalThreshold: ethers.parseEther("1000"), // staked STOR needed to propose
+  quorumPercent: 4
+};
+
 async function main() {
   try {
     console.log("Starting complete deployment...");
     
-    // Deploy StorageToken first
+    // Deploy StorageToken first, behind a transparent proxy
     console.log("\n1. Deploying StorageToken...");
     const StorageToken = await ethers.getContractFactory("StorageToken");
-    const storageToken = await StorageToken.deploy();
+    const storageToken = await upgrades.deployProxy(StorageToken, [], { kind: "transparent" });
     await storageToken.waitForDeployment();
-    console.log(`StorageToken deployed to: ${storageToken.target}`);
+    console.log(`StorageToken proxy deployed to: ${storageToken.target}`);
     
-    // Deploy FileManager with StorageToken address
+    // Deploy FileManager with StorageToken address, linked to its libraries
     console.log("\n2. Deploying DecentralizedStorageManager...");
-    const FileManager = await ethers.getContractFactory("DecentralizedStorageManager");
-    const fileManager = await FileManager.deploy(storageToken.target);
+    const libraries = {};
+    for (const name of ["ProviderSelection", "ProviderRegistry", "FileIndex", "FileAccess", "StorageChallenges", "FileVersions", "StorageContracts"]) {
+      const library = await ethers.deployContract(name);
+      await library.waitForDeployment();
+      libraries[name] = library.target;
+      console.log(`${name} library deployed to: ${library.target}`);
+    }
+    const FileManager = await ethers.getContractFactory("DecentralizedStorageManager", { libraries });
+    const fileManager = await upgrades.deployProxy(FileManager, [storageToken.target], {
+      kind: "transparent",
+      unsafeAllowLinkedLibraries: true
+    });
     await fileManager.waitForDeployment();
-    console.log(`DecentralizedStorageManager deployed to: ${fileManager.target}`);
+    console.log(`DecentralizedStorageManager proxy deployed to: ${fileManager.target}`);
+
+    // Provider stake is locked in StorageToken staking positions by the manager
+    await (await storageToken.addSlasher(fileManager.target)).wait();
+    console.log("Authorized DecentralizedStorageManager to lock and slash stake");
     
     // Register a test storage provider
     console.log("\n3. Setting up test storage provider...");
@@ -24,11 +47,15 @@ async function main() {
     const mintAmount = ethers.parseEther("10000"); // 10,000 tokens
     await storageToken.mint(deployer.address, mintAmount);
     console.log("Minted 10,000 tokens for deployer");
+
+    // Staking rewards are paid out of a funded reserve rather than minted
+    await (await storageToken.fundRewards(ethers.parseEther("1000000"))).wait();
+    console.log("Funded the staking reward reserve with 1,000,000 tokens");
     
-    // Approve FileManager to spend tokens for staking
+    // Stake the provider collateral; registering locks it
     const stakeAmount = ethers.parseEther("1000"); // 1,000 tokens for staking
-    await storageToken.approve(fileManager.target, stakeAmount);
-    console.log("Approved FileManager to spend tokens");
+    await storageToken.stake(stakeAmount);
+    console.log("Staked 1,000 tokens");
     
     // Register as storage provider
     const totalStorage = ethers.parseEther("1000000000"); // 1GB in bytes
@@ -44,10 +71,53 @@ async function main() {
     // Verify setup
     const totalProviders = await fileManager.getTotalProviders();
     console.log(`Total providers registered: ${totalProviders}`);
+
+    // Clients dispute providers here; the deployer arbitrates until governance picks an arbiter
+    const disputes = await ethers.deployContract("StorageDisputes", [fileManager.target, deployer.address]);
+    await disputes.waitForDeployment();
+    await (await fileManager.setDisputeModule(disputes.target)).wait();
+    console.log(`StorageDisputes deployed to: ${disputes.target}`);
+
+    // Hand the owner-only functions of the contracts over to the DAO
+    console.log("\n4. Deploying governance...");
+    const timelock = await ethers.deployContract("TimelockController", [
+      GOVERNANCE.timelockDelay, [], [], deployer.address
+    ]);
+    await timelock.waitForDeployment();
+    console.log(`TimelockController deployed to: ${timelock.target}`);
+
+    const governor = await ethers.deployContract("StorageGovernor", [
+      storageToken.target,
+      timelock.target,
+      GOVERNANCE.votingDelay,
+      GOVERNANCE.votingPeriod,
+      GOVERNANCE.proposalThreshold,
+      GOVERNANCE.quorumPercent
+    ]);
+    await governor.waitForDeployment();
+    console.log(`StorageGovernor deployed to: ${governor.target}`);
+
+    // Only the governor queues and cancels; anyone may execute once the delay has passed
+    await (await timelock.grantRole(await timelock.PROPOSER_ROLE(), governor.target)).wait();
+    await (await timelock.grantRole(await timelock.CANCELLER_ROLE(), governor.target)).wait();
+    await (await timelock.grantRole(await timelock.EXECUTOR_ROLE(), ethers.ZeroAddress)).wait();
+
+    await (await storageToken.removeMinter(deployer.address)).wait();
+    await (await storageToken.transferOwnership(timelock.target)).wait();
+    await (await fileManager.transferOwnership(timelock.target)).wait();
+    await (await disputes.transferOwnership(timelock.target)).wait();
+    // Upgrades go through governance as well
+    await upgrades.admin.transferProxyAdminOwnership(storageToken.target, timelock.target);
+    await upgrades.admin.transferProxyAdminOwnership(fileManager.target, timelock.target);
+    await (await timelock.renounceRole(await timelock.DEFAULT_ADMIN_ROLE(), deployer.address)).wait();
+    console.log("StorageToken, FileManager, their proxy admins and StorageDisputes are now owned by the timelock");
     
     console.log("\n=== DEPLOYMENT COMPLETE ===");
     console.log(`StorageToken: ${storageToken.target}`);
     console.log(`FileManager: ${fileManager.target}`);
+    console.log(`StorageDisputes: ${disputes.target}`);
+    console.log(`StorageGovernor: ${governor.target}`);
+    console.log(`TimelockController: ${timelock.target}`);
     console.log("\nUpdate your .env.local file:");
     console.log(`NEXT_PUBLIC_CONTRACT_ADDRESS=${fileManager.target}`);
     console.log(`NEXT_PUBLIC_STORAGE_TOKEN_ADDRESS=${storageToken.target}`);
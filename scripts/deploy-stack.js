@@ -0,0 +1,101 @@
+// Deploys the storage stack with Hardhat Ignition and writes the deployed addresses and ABIs
+// to my-app/contracts so the frontend always matches the deployed contracts. The token and
+// manager proxies are registered with the OpenZeppelin upgrades plugin for scripts/upgrade.js.
+// Local chains get the demo providers as well:
+//   npx hardhat run scripts/deploy-stack.js --network <network>
+
+const fs = require("fs");
+const path = require("path");
+const StorageStackModule = require("../ignition/modules/StorageStack");
+const DemoStorageStackModule = require("../ignition/modules/DemoStorageStack");
+
+const LOCAL_CHAIN_ID = 31337n;
+const FRONTEND_CONTRACTS_DIR = path.join(__dirname, "..", "my-app", "contracts");
+const LOCAL_DEPLOYMENT_DIR = path.join(__dirname, "..", "ignition", "deployments", `chain-${LOCAL_CHAIN_ID}`);
+
+// Libraries DecentralizedStorageManager links against
+const LIBRARIES = [
+  "ProviderSelection",
+  "ProviderRegistry",
+  "FileIndex",
+  "FileAccess",
+  "StorageChallenges",
+  "FileVersions",
+  "StorageContracts"
+];
+
+// Frontend file name of each deployed contract
+const FRONTEND_CONTRACTS = {
+  storageManager: ["DecentralizedStorageManager", "FileManager.json"],
+  storageToken: ["StorageToken", "StorageToken.json"],
+  storageDisputes: ["StorageDisputes", "StorageDisputes.json"]
+};
+
+// Record the deployed implementations of the proxies, so upgrades are checked against their
+// storage layout
+async function registerProxies(deployed) {
+  const libraries = {};
+  for (const name of LIBRARIES) {
+    libraries[name] = deployed[name].target;
+  }
+
+  const StorageToken = await ethers.getContractFactory("StorageToken");
+  const FileManager = await ethers.getContractFactory("DecentralizedStorageManager", { libraries });
+  await upgrades.forceImport(deployed.storageToken.target, StorageToken, { kind: "transparent" });
+  await upgrades.forceImport(deployed.storageManager.target, FileManager, {
+    kind: "transparent",
+    unsafeAllowLinkedLibraries: true
+  });
+}
+
+// Deploy the stack for the current network and export it to the frontend
+async function deployStack() {
+  const { chainId } = await ethers.provider.getNetwork();
+  const module = chainId === LOCAL_CHAIN_ID ? DemoStorageStackModule : StorageStackModule;
+
+  // A restarted local node has none of the contracts an earlier Ignition journal refers to
+  if (chainId === LOCAL_CHAIN_ID && (await ethers.provider.getBlockNumber()) === 0) {
+    fs.rmSync(LOCAL_DEPLOYMENT_DIR, { recursive: true, force: true });
+  }
+
+  console.log(`Deploying ${module.id} to chain ${chainId}...`);
+  const deployed = await ignition.deploy(module);
+  await registerProxies(deployed);
+
+  for (const [key, [contractName, fileName]] of Object.entries(FRONTEND_CONTRACTS)) {
+    const { abi } = await artifacts.readArtifact(contractName);
+    const contract = {
+      contractName,
+      chainId: Number(chainId),
+      address: deployed[key].target,
+      abi
+    };
+    fs.writeFileSync(path.join(FRONTEND_CONTRACTS_DIR, fileName), JSON.stringify(contract, null, 2) + "\n");
+    console.log(`${contractName}: ${contract.address} (my-app/contracts/${fileName})`);
+  }
+
+  if (chainId === LOCAL_CHAIN_ID) {
+    const totalProviders = await deployed.storageManager.getTotalProviders();
+    console.log(`Demo providers registered: ${totalProviders}`);
+  }
+
+  return deployed;
+}
+
+async function main() {
+  try {
+    await deployStack();
+  } catch (error) {
+    console.error("Deployment failed:", error.message);
+    throw error;
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { LIBRARIES, deployStack };
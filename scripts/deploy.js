@@ -1,19 +1,34 @@
 async function main() {
   try {
-    // Get the contract factory
-    const FileManager = await ethers.getContractFactory("DecentralizedStorageManager");
-
     // Start the deployment with explicit gas settings
-    console.log("Deploying FileManager contract...");
     const deploymentOptions = {
       gasLimit: 5000000, // Increased gas limit for complex contract
       gasPrice: 25000000000 // 25 gwei
     };
-
     console.log("Deployment options:", deploymentOptions);
+
+    // The manager links against its libraries, which are deployed first
+    const libraries = {};
+    for (const name of ["ProviderSelection", "ProviderRegistry", "FileIndex", "FileAccess", "StorageChallenges", "FileVersions", "StorageContracts"]) {
+      console.log(`Deploying ${name} library...`);
+      const Library = await ethers.getContractFactory(name);
+      const library = await Library.deploy(deploymentOptions);
+      await library.waitForDeployment();
+      libraries[name] = library.target;
+      console.log(`${name} library deployed to: ${library.target}`);
+    }
+
+    // Get the contract factory
+    const FileManager = await ethers.getContractFactory("DecentralizedStorageManager", { libraries });
+
+    console.log("Deploying FileManager contract behind a transparent proxy...");
     // For testing, use zero address as storage token (can be updated later)
     const storageTokenAddress = "0x0000000000000000000000000000000000000000";
-    const fileManager = await FileManager.deploy(storageTokenAddress, deploymentOptions);
+    const fileManager = await upgrades.deployProxy(FileManager, [storageTokenAddress], {
+      kind: "transparent",
+      unsafeAllowLinkedLibraries: true,
+      txOverrides: deploymentOptions
+    });
 
     // Wait for the deployment to be confirmed
     console.log("Waiting for deployment confirmation...");
@@ -0,0 +1,75 @@
+// Proof-of-storage keeper: issues due challenges, expires unanswered ones and
+// repairs under-replicated files by moving storage contracts away from
+// providers that were slashed below the minimum stake or are exiting.
+// Run once per invocation (e.g. from cron):
+//   npx hardhat run scripts/keeper.js --network <network>
+
+async function main() {
+  try {
+    const managerAddress = process.env.NEXT_PUBLIC_CONTRACT_ADDRESS;
+    if (!managerAddress) {
+      throw new Error("NEXT_PUBLIC_CONTRACT_ADDRESS is not set");
+    }
+
+    const fileManager = await ethers.getContractAt("DecentralizedStorageManager", managerAddress);
+    const proofInterval = await fileManager.PROOF_INTERVAL();
+    const latestBlock = await ethers.provider.getBlock("latest");
+
+    const created = await fileManager.queryFilter(fileManager.filters.StorageContractCreated());
+    console.log(`Checking ${created.length} storage contracts...`);
+
+    for (const event of created) {
+      const contractId = event.args.contractId;
+      const storageContract = await fileManager.storageContracts(contractId);
+      if (!storageContract.isActive) continue;
+
+      const provider = await fileManager.storageProviders(storageContract.provider);
+      if (!provider.isActive) {
+        try {
+          await (await fileManager.replaceStorageContract(contractId)).wait();
+          console.log(`Repaired replica ${contractId} of ${storageContract.fileId} (provider ${storageContract.provider} inactive)`);
+        } catch (error) {
+          // no eligible replacement yet; retried on the next run
+          console.warn(`Could not replace ${contractId}:`, error.shortMessage || error.message);
+        }
+        continue;
+      }
+
+      const challengeId = await fileManager.latestChallenge(contractId);
+      if (challengeId !== 0n) {
+        const challenge = await fileManager.storageChallenges(challengeId);
+        const isOpen = challenge.status === 1n; // ChallengeStatus.Open
+
+        if (isOpen && BigInt(latestBlock.number) <= challenge.deadlineBlock) {
+          continue; // provider still has time to respond
+        }
+        if (isOpen) {
+          // issueChallenge settles an expired challenge itself, but only once the
+          // cooldown has passed, so expire it explicitly to penalize right away
+          await (await fileManager.expireChallenge(challengeId)).wait();
+          console.log(`Expired challenge ${challengeId} for ${contractId}`);
+        }
+        if (BigInt(latestBlock.timestamp) < challenge.issuedAt + proofInterval) {
+          continue;
+        }
+      }
+
+      const tx = await fileManager.issueChallenge(contractId);
+      const receipt = await tx.wait();
+      const issued = receipt.logs
+        .map((log) => fileManager.interface.parseLog(log))
+        .find((log) => log && log.name === "ChallengeIssued");
+      console.log(`Issued challenge ${issued.args.challengeId} for ${contractId}`);
+    }
+
+    console.log("Keeper run complete");
+  } catch (error) {
+    console.error("Keeper run failed:", error.message);
+    throw error;
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
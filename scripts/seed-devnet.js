@@ -0,0 +1,334 @@
+// Seeds a local Hardhat node with providers across regions and prices, client files with
+// shares and versions, and a few days of proof-of-storage history including failed proofs,
+// expired challenges and slashes, so every dashboard screen has on-chain data to render.
+// Run it once against a freshly started node:
+//   npx hardhat node
+//   npx hardhat run scripts/seed-devnet.js --network localhost
+// File contents go to my-app/public/ipfs, a local stand-in for IPFS served by the Next.js dev
+// server; start the frontend with NEXT_PUBLIC_IPFS_GATEWAY=http://localhost:3000/ipfs.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { time, mine } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployStack } = require("./deploy-stack");
+
+const LOCAL_CHAIN_ID = 31337n;
+const IPFS_DIR = path.join(__dirname, "..", "my-app", "public", "ipfs");
+const CHUNK_SIZE = 256 * 1024; // STORAGE_CHUNK_SIZE in my-app/utils/fileIntegrity.js
+const GB = 10n ** 9n;
+
+const READ = 1;
+const WRITE = 2;
+const SHARE = 8;
+
+// Region, price per GB per day in STOR and stake beyond MIN_STAKE of the providers added to
+// the three demo providers; accounts 4 to 13 of the node
+const PROVIDERS = [
+  ["eu-central", "1.5", "2000"],
+  ["eu-north", "0.8", "0"], // cheapest, fails a proof and drops below the minimum stake
+  ["us-west", "2.5", "1500"],
+  ["us-central", "1.2", "3000"],
+  ["sa-east", "3", "500"],
+  ["af-south", "2.2", "1000"],
+  ["ap-northeast", "0.85", "0"], // goes offline and lets its challenges expire
+  ["ap-south", "0.9", "2500"],
+  ["oceania", "3.5", "1000"],
+  ["me-central", "2.8", "2000"]
+];
+const FLAKY_REGION = "eu-north";
+const OFFLINE_REGION = "ap-northeast";
+
+// Client names, accounts 14 to 17 of the node
+const CLIENTS = ["alice", "bob", "carol", "dave"];
+
+// Files uploaded by the clients; content is plain text so it can be read without a key
+const FILES = [
+  {
+    owner: "alice",
+    name: "project-plan.md",
+    tags: ["planning", "q3"],
+    replication: 3,
+    content: "# Q3 project plan\n\n- Ship provider dashboard\n- Audit storage contracts\n- Launch devnet\n"
+  },
+  {
+    owner: "alice",
+    name: "team-photo-notes.txt",
+    tags: ["team"],
+    replication: 2,
+    isPublic: true,
+    content: "Offsite photo credits and captions for the team page.\n"
+  },
+  {
+    owner: "bob",
+    name: "storage-metrics.csv",
+    tags: ["metrics", "providers"],
+    replication: 2,
+    preferredRegions: ["us-west", "us-central"],
+    // Large enough to span several chunks so challenges pick different leaves
+    content: ["day,region,stored_gb,proofs,failures"]
+      .concat(Array.from({ length: 24000 }, (_, i) => `${i},${PROVIDERS[i % PROVIDERS.length][0]},${(i * 7) % 1000},${i % 24},${i % 5 === 0 ? 1 : 0}`))
+      .join("\n")
+  },
+  {
+    owner: "carol",
+    name: "contract-draft.txt",
+    tags: ["legal"],
+    replication: 3,
+    content: "Storage services agreement, draft 1.\nTerm: 12 months. Replication: 3 copies.\n"
+  },
+  {
+    owner: "dave",
+    name: "research-summary.md",
+    tags: ["research", "q3"],
+    replication: 1,
+    content: "# Erasure coding vs replication\n\nReplication keeps repairs simple for now.\n"
+  }
+];
+
+// Content-addressed store standing in for IPFS; CIDs follow FileIntegrityService.generateCID
+function ipfsAdd(content) {
+  const hash = crypto.createHash("sha256").update(content).digest("hex");
+  const cid = `Qm${hash.substring(0, 44)}`;
+  fs.mkdirSync(IPFS_DIR, { recursive: true });
+  fs.writeFileSync(path.join(IPFS_DIR, cid), content);
+  return cid;
+}
+
+// Merkle commitment over the file's chunks as verified by StorageChallenges.verifyProof;
+// an odd node at the end of a level is paired with itself
+function storageCommitment(content) {
+  const data = Buffer.from(content);
+  const leaves = [];
+  for (let offset = 0; offset < data.length; offset += CHUNK_SIZE) {
+    leaves.push(ethers.keccak256(data.subarray(offset, offset + CHUNK_SIZE)));
+  }
+
+  const levels = [leaves];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(ethers.keccak256(ethers.concat([level[i], level[i + 1] ?? level[i]])));
+    }
+    levels.push(next);
+  }
+
+  const proof = (index) => ({
+    proof: levels.slice(0, -1).map((level, depth) => level[(index >> depth) ^ 1] ?? level[index >> depth]),
+    chunk: data.subarray(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE)
+  });
+
+  return { merkleRoot: levels[levels.length - 1][0], chunkCount: leaves.length, size: data.length, proof };
+}
+
+// Parsed events of one name from a transaction
+async function eventsOf(contract, tx, name) {
+  const receipt = await tx.wait();
+  return receipt.logs
+    .map((log) => {
+      try {
+        return contract.interface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .filter((log) => log && log.name === name);
+}
+
+async function main() {
+  try {
+    const { chainId } = await ethers.provider.getNetwork();
+    if (chainId !== LOCAL_CHAIN_ID) {
+      throw new Error(`Refusing to seed chain ${chainId}; run against a local Hardhat node`);
+    }
+
+    console.log("1. Deploying the storage stack...");
+    const { storageToken, storageManager } = await deployStack();
+    const signers = await ethers.getSigners();
+    const [deployer] = signers;
+    const noPreferences = { maxPricePerGB: 0n, preferredRegions: [], excludedRegions: [] };
+
+    console.log("\n2. Registering providers...");
+    const providers = new Map(); // address => { signer, region }
+    for (const signer of signers.slice(1, 4)) {
+      const info = await storageManager.storageProviders(signer.address);
+      providers.set(signer.address, { signer, region: info.region });
+    }
+    for (const [i, [region, price, extraStake]] of PROVIDERS.entries()) {
+      const signer = signers[4 + i];
+      const stake = (await storageManager.MIN_STAKE()) + ethers.parseEther(extraStake);
+
+      await (await storageToken.mint(signer.address, ethers.parseEther("10000"))).wait();
+      await (await storageToken.connect(signer).stake(stake)).wait();
+      await (await storageManager.connect(signer).registerProvider(1000n * GB, ethers.parseEther(price), `devnet-node-${region}`, region)).wait();
+      if (extraStake !== "0") {
+        await (await storageManager.connect(signer).addStake(ethers.parseEther(extraStake))).wait();
+      }
+      providers.set(signer.address, { signer, region });
+      console.log(`Registered ${region} provider ${signer.address} at ${price} STOR/GB/day`);
+    }
+
+    console.log("\n3. Funding clients...");
+    const clients = {};
+    for (const [i, name] of CLIENTS.entries()) {
+      const signer = signers[14 + i];
+      clients[name] = signer;
+      await (await storageToken.mint(signer.address, ethers.parseEther("50000"))).wait();
+      await (await storageToken.connect(signer).approve(storageManager.target, ethers.MaxUint256)).wait();
+      await (await storageManager.connect(signer).deposit(ethers.parseEther("20000"))).wait();
+      console.log(`Funded ${name} (${signer.address})`);
+    }
+
+    console.log("\n4. Uploading files...");
+    const commitments = new Map(); // `${fileId}:${version}` => storage commitment
+    const fileIds = {};
+    for (const file of FILES) {
+      const owner = clients[file.owner];
+      const commitment = storageCommitment(file.content);
+      const cid = ipfsAdd(file.content);
+      const fileId = `${Date.now()}_${file.name}`;
+
+      await (await storageManager.connect(owner).uploadFile(
+        fileId,
+        cid,
+        commitment.size,
+        commitment.merkleRoot,
+        commitment.chunkCount,
+        "", // plain text, no wrapped key
+        !!file.isPublic,
+        file.tags,
+        file.replication,
+        { ...noPreferences, preferredRegions: file.preferredRegions ?? [] }
+      )).wait();
+
+      fileIds[file.name] = fileId;
+      commitments.set(`${fileId}:0`, commitment);
+      console.log(`${file.owner} uploaded ${file.name} (${cid}, ${commitment.chunkCount} chunks)`);
+    }
+
+    console.log("\n5. Sharing files and adding versions...");
+    const { alice, bob, carol, dave } = clients;
+    const plan = fileIds["project-plan.md"];
+    const draft = fileIds["contract-draft.txt"];
+
+    await (await storageManager.connect(alice).grantFileAccess(plan, bob.address, READ, 0, "")).wait();
+    await (await storageManager.connect(alice).grantFileAccess(plan, carol.address, READ | WRITE | SHARE, 0, "")).wait();
+    const weekFromNow = (await time.latest()) + 7 * 24 * 60 * 60;
+    await (await storageManager.connect(carol).grantFileAccess(draft, alice.address, READ, weekFromNow, "")).wait();
+    await (await storageManager.connect(carol).grantFileAccess(draft, dave.address, READ | WRITE, 0, "")).wait();
+    console.log("Shared project-plan.md with bob and carol, contract-draft.txt with alice (one week) and dave");
+
+    const revisions = [
+      [carol, plan, 1, "# Q3 project plan\n\n- Ship provider dashboard\n- Audit storage contracts\n- Launch devnet\n- Seed devnet data\n", "Add devnet seeding"],
+      [dave, draft, 1, "Storage services agreement, draft 2.\nTerm: 12 months. Replication: 3 copies. SLA: 99.9%.\n", "Add SLA"]
+    ];
+    for (const [editor, fileId, version, content, note] of revisions) {
+      const commitment = storageCommitment(content);
+      await (await storageManager.connect(editor).addFileVersion(
+        fileId,
+        ipfsAdd(content),
+        commitment.size,
+        commitment.merkleRoot,
+        commitment.chunkCount,
+        note
+      )).wait();
+      commitments.set(`${fileId}:${version}`, commitment);
+      console.log(`Added version ${version} of ${fileId}: ${note}`);
+    }
+
+    await (await storageManager.connect(dave).transferFileOwnership(fileIds["research-summary.md"], alice.address)).wait();
+    console.log("dave offered research-summary.md to alice");
+
+    for (const [reader, fileId] of [[bob, plan], [carol, plan], [dave, draft], [bob, fileIds["team-photo-notes.txt"]]]) {
+      await (await storageManager.connect(reader).accessFile(fileId)).wait();
+    }
+
+    console.log("\n6. Running proof-of-storage rounds...");
+    const created = await storageManager.queryFilter(storageManager.filters.StorageContractCreated());
+    const contractIds = created.map((event) => event.args.contractId);
+    const seedDelay = Number(await storageManager.CHALLENGE_SEED_DELAY());
+    const responseBlocks = Number(await storageManager.CHALLENGE_RESPONSE_BLOCKS());
+
+    for (let round = 1; round <= 3; round++) {
+      await time.increase(await storageManager.PROOF_INTERVAL());
+
+      // Repair replicas of deactivated providers, then challenge the rest
+      const challenges = [];
+      for (const contractId of [...contractIds]) {
+        const storageContract = await storageManager.storageContracts(contractId);
+        if (!storageContract.isActive) continue;
+
+        if (!(await storageManager.storageProviders(storageContract.provider)).isActive) {
+          const [replaced] = await eventsOf(storageManager, await storageManager.replaceStorageContract(contractId), "StorageContractReplaced");
+          contractIds.push(replaced.args.newContractId);
+          console.log(`Moved a replica of ${storageContract.fileId} away from ${storageContract.provider}`);
+          continue;
+        }
+
+        const [issued] = await eventsOf(storageManager, await storageManager.issueChallenge(contractId), "ChallengeIssued");
+        challenges.push([issued.args.challengeId, storageContract]);
+      }
+      await mine(seedDelay + 1);
+
+      let proven = 0;
+      const unanswered = [];
+      for (const [challengeId, storageContract] of challenges) {
+        const { signer, region } = providers.get(storageContract.provider);
+        if (region === OFFLINE_REGION) {
+          unanswered.push(challengeId);
+          continue;
+        }
+
+        const commitment = commitments.get(`${storageContract.fileId}:${storageContract.version}`);
+        const chunk = Number(await storageManager.getChallengedChunk(challengeId));
+        const proof = commitment.proof(chunk);
+        // The flaky provider has lost a chunk by the second round
+        const lost = region === FLAKY_REGION && round === 2;
+        const answer = lost ? ethers.toUtf8Bytes("lost") : proof.chunk;
+        await (await storageManager.connect(signer).submitProofOfStorage(challengeId, proof.proof, answer)).wait();
+        if (!lost) proven++;
+      }
+
+      if (unanswered.length > 0) {
+        await mine(responseBlocks);
+        for (const challengeId of unanswered) {
+          await (await storageManager.expireChallenge(challengeId)).wait();
+        }
+      }
+      console.log(`Round ${round}: ${challenges.length} challenges, ${proven} proven, ${unanswered.length} expired`);
+    }
+
+    console.log("\n7. Slashing, withdrawals and exits...");
+    const byRegion = (wanted) => [...providers.values()].find(({ region }) => region === wanted).signer;
+    await (await storageManager.slashProvider(byRegion("sa-east").address, ethers.parseEther("250"), "Served corrupted data")).wait();
+    console.log("Slashed the sa-east provider 250 STOR");
+
+    for (const { signer, region } of providers.values()) {
+      if ((await storageManager.providerEarnings(signer.address)) > 0n && region.startsWith("us")) {
+        await (await storageManager.connect(signer).withdrawEarnings()).wait();
+        console.log(`The ${region} provider withdrew its earnings`);
+      }
+    }
+
+    await (await storageManager.connect(byRegion("oceania")).requestExit()).wait();
+    console.log("The oceania provider started exiting");
+
+    console.log("\n=== DEVNET SEEDED ===");
+    console.log(`Providers: ${await storageManager.getTotalProviders()} registered`);
+    console.log(`Files: ${await storageManager.getTotalFiles()}`);
+    console.log(`Keeper and owner: ${deployer.address}`);
+    for (const [name, signer] of Object.entries(clients)) {
+      console.log(`${name}: ${signer.address}`);
+    }
+    console.log("\nImport a client's private key from the `npx hardhat node` output into MetaMask to browse its files.");
+  } catch (error) {
+    console.error("Seeding failed:", error.message);
+    throw error;
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
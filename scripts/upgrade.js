@@ -0,0 +1,76 @@
+// Upgrades the StorageToken and DecentralizedStorageManager proxies deployed by
+// scripts/deploy-stack.js to the contracts as currently compiled. The upgrades plugin rejects
+// implementations whose storage layout is incompatible with the deployed one. An unchanged
+// StorageToken implementation is reused; the manager's new implementation always links against
+// freshly deployed libraries. Must be run by the owner of the proxy admins:
+//   npx hardhat run scripts/upgrade.js --network <network>
+// Upgrade a single contract with UPGRADE_CONTRACTS=StorageToken or
+// UPGRADE_CONTRACTS=DecentralizedStorageManager.
+
+const FileManagerABI = require("../my-app/contracts/FileManager.json");
+const StorageTokenABI = require("../my-app/contracts/StorageToken.json");
+const { LIBRARIES } = require("./deploy-stack");
+
+const UPGRADEABLE = ["StorageToken", "DecentralizedStorageManager"];
+
+// Factory of the current implementation code. The manager's libraries are stateless, so its
+// new implementation links against freshly deployed copies.
+async function implementationFactory(contractName) {
+  if (contractName === "StorageToken") {
+    return ethers.getContractFactory("StorageToken");
+  }
+
+  const libraries = {};
+  for (const name of LIBRARIES) {
+    const library = await ethers.deployContract(name);
+    await library.waitForDeployment();
+    libraries[name] = library.target;
+    console.log(`${name} library deployed to: ${library.target}`);
+  }
+  return ethers.getContractFactory("DecentralizedStorageManager", { libraries });
+}
+
+async function main() {
+  try {
+    const { chainId } = await ethers.provider.getNetwork();
+    const proxies = {
+      StorageToken: process.env.NEXT_PUBLIC_STORAGE_TOKEN_ADDRESS || StorageTokenABI.address,
+      DecentralizedStorageManager: process.env.NEXT_PUBLIC_CONTRACT_ADDRESS || FileManagerABI.address
+    };
+    const targets = process.env.UPGRADE_CONTRACTS ? process.env.UPGRADE_CONTRACTS.split(",") : UPGRADEABLE;
+
+    for (const contractName of targets) {
+      if (!UPGRADEABLE.includes(contractName)) {
+        throw new Error(`${contractName} is not upgradeable`);
+      }
+      const proxyAddress = proxies[contractName];
+      if (!proxyAddress) {
+        throw new Error(`No deployed ${contractName} proxy on chain ${chainId}`);
+      }
+
+      console.log(`\nUpgrading ${contractName} at ${proxyAddress}...`);
+      const previous = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+      const Implementation = await implementationFactory(contractName);
+      const upgraded = await upgrades.upgradeProxy(proxyAddress, Implementation, {
+        kind: "transparent",
+        unsafeAllowLinkedLibraries: true
+      });
+      await upgraded.waitForDeployment();
+
+      const current = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+      if (current === previous) {
+        console.log(`${contractName} is unchanged (implementation ${current})`);
+      } else {
+        console.log(`${contractName} implementation: ${previous} -> ${current}`);
+      }
+    }
+  } catch (error) {
+    console.error("Upgrade failed:", error.message);
+    throw error;
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,621 @@
+const {
+  time,
+  mine,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { expect } = require("chai");
+const {
+  NO_PREFERENCES,
+  GB,
+  DAY,
+  chunkCount,
+  deployStorageFixture,
+  merkleCommitment,
+  sampleChunks,
+  eventsOf
+} = require("./fixtures");
+
+const READ = 1;
+const WRITE = 2;
+const SHARE = 8;
+const ADMIN = 16;
+
+describe("DecentralizedStorageManager", function () {
+  // Upload one 1 GB file from the client, stored by a single provider (the cheapest, eu)
+  async function uploadedFileFixture() {
+    const fixture = await deployStorageFixture();
+    const { manager, client } = fixture;
+
+    const commitment = merkleCommitment(sampleChunks());
+    const tx = await manager.connect(client).uploadFile(
+      "report",
+      "QmReport",
+      GB,
+      commitment.merkleRoot,
+      commitment.chunkCount,
+      "wrapped-owner-key",
+      false,
+      ["finance", "2024"],
+      1,
+      NO_PREFERENCES
+    );
+    const [created] = await eventsOf(manager, tx, "StorageContractCreated");
+
+    return { ...fixture, commitment, contractId: created.args.contractId };
+  }
+
+  // Issue a challenge against a contract once its acceptance period is over and wait for its seed block
+  async function openChallenge(manager, keeper, contractId) {
+    const challengeableAt = (await manager.storageContracts(contractId)).startTime + (await manager.ACCEPTANCE_PERIOD());
+    if (BigInt(await time.latest()) < challengeableAt) {
+      await time.increaseTo(challengeableAt);
+    }
+    const [issued] = await eventsOf(manager, await manager.connect(keeper).issueChallenge(contractId), "ChallengeIssued");
+    await mine(Number(await manager.CHALLENGE_SEED_DELAY()) + 1);
+    return issued.args.challengeId;
+  }
+
+  describe("Provider registration", function () {
+    it("Should lock the minimum stake of a new provider", async function () {
+      const { token, manager, euProvider } = await loadFixture(deployStorageFixture);
+
+      const info = await manager.getProviderInfo(euProvider.address);
+      expect(info.isActive).to.equal(true);
+      expect(info.reputation).to.equal(500n);
+      expect(info.stakedAmount).to.equal(await manager.MIN_STAKE());
+      expect(await token.lockedStake(euProvider.address)).to.equal(await manager.MIN_STAKE());
+      expect(await manager.getTotalProviders()).to.equal(3n);
+    });
+
+    it("Should emit ProviderRegistered", async function () {
+      const { token, manager, other } = await loadFixture(deployStorageFixture);
+      await token.connect(other).stake(ethers.parseEther("1000"));
+
+      await expect(manager.connect(other).registerProvider(GB, 1, "node", "eu"))
+        .to.emit(manager, "ProviderRegistered")
+        .withArgs(other.address, "node", await manager.MIN_STAKE());
+    });
+
+    it("Should reject invalid or duplicate registrations", async function () {
+      const { manager, euProvider, other } = await loadFixture(deployStorageFixture);
+
+      await expect(manager.connect(euProvider).registerProvider(GB, 1, "n", "eu")).to.be.revertedWith(
+        "Provider already registered"
+      );
+      await expect(manager.connect(other).registerProvider(0, 1, "n", "eu")).to.be.revertedWith(
+        "Storage capacity must be greater than 0"
+      );
+      await expect(manager.connect(other).registerProvider(GB, 0, "n", "eu")).to.be.revertedWith(
+        "Price must be greater than 0"
+      );
+    });
+
+    it("Should require the stake to be staked in StorageToken first", async function () {
+      const { manager, other } = await loadFixture(deployStorageFixture);
+
+      await expect(manager.connect(other).registerProvider(GB, 1, "n", "eu")).to.be.revertedWith(
+        "Insufficient unlocked stake"
+      );
+    });
+
+    it("Should update the offer and add stake", async function () {
+      const { manager, euProvider } = await loadFixture(deployStorageFixture);
+
+      await expect(manager.connect(euProvider).updateProvider(2000n * GB, 5, "node-eu-2", "eu-west"))
+        .to.emit(manager, "ProviderUpdated")
+        .withArgs(euProvider.address, 2000n * GB, 5, "node-eu-2", "eu-west");
+      await expect(manager.connect(euProvider).addStake(ethers.parseEther("500")))
+        .to.emit(manager, "StakeAdded")
+        .withArgs(euProvider.address, ethers.parseEther("500"), ethers.parseEther("1500"));
+
+      const info = await manager.getProviderInfo(euProvider.address);
+      expect(info.totalStorage).to.equal(2000n * GB);
+      expect(info.pricePerGB).to.equal(5n);
+    });
+
+    it("Should unlock the stake after the unbonding period", async function () {
+      const { token, manager, euProvider } = await loadFixture(deployStorageFixture);
+
+      await manager.connect(euProvider).requestExit();
+      expect(await manager.getTotalProviders()).to.equal(2n);
+      await expect(manager.connect(euProvider).completeExit()).to.be.revertedWith("Unbonding period not over");
+
+      await time.increase(await manager.UNBONDING_PERIOD());
+      await expect(manager.connect(euProvider).completeExit())
+        .to.emit(manager, "ProviderExited")
+        .withArgs(euProvider.address, await manager.MIN_STAKE());
+      expect(await token.lockedStake(euProvider.address)).to.equal(0n);
+    });
+  });
+
+  describe("uploadFile", function () {
+    it("Should store the file and lock the quoted escrow", async function () {
+      const { manager, client } = await loadFixture(deployStorageFixture);
+      const quote = await manager.getUploadQuote(GB, 2, NO_PREFERENCES);
+      const balance = await manager.userBalances(client.address);
+
+      await expect(
+        manager.connect(client).uploadFile("f", "QmF", GB, ethers.id("root"), chunkCount(GB), "", false, [], 2, NO_PREFERENCES)
+      )
+        .to.emit(manager, "FileUploaded")
+        .withArgs("f", client.address, GB);
+
+      expect(await manager.userBalances(client.address)).to.equal(balance - quote);
+      expect((await manager.getFileStorageContracts("f")).length).to.equal(2);
+      expect(await manager.getReplicationStatus("f")).to.deep.equal([2n, 2n]);
+      expect(await manager.getTotalFiles()).to.equal(1n);
+    });
+
+    it("Should index the file by owner and tag", async function () {
+      const { manager, client } = await loadFixture(uploadedFileFixture);
+
+      expect((await manager.getFilesByOwner(client.address, 0, 10)).toArray(true)).to.deep.equal([["report"], 1n]);
+      expect((await manager.getFilesByTag("finance", 0, 10)).toArray(true)).to.deep.equal([["report"], 1n]);
+      expect([...(await manager.getFileTags("report"))]).to.have.members(["finance", "2024"]);
+    });
+
+    it("Should reject invalid uploads", async function () {
+      const { manager, client } = await loadFixture(uploadedFileFixture);
+      const upload = (fileId, replication) =>
+        manager.connect(client).uploadFile(fileId, "Qm", GB, ethers.id("root"), chunkCount(GB), "", false, [], replication, NO_PREFERENCES);
+
+      await expect(upload("", 1)).to.be.revertedWith("File ID cannot be empty");
+      await expect(upload("report", 1)).to.be.revertedWith("File already exists");
+      await expect(upload("f", 0)).to.be.revertedWith("Invalid replication factor");
+      await expect(upload("f", 11)).to.be.revertedWith("Invalid replication factor");
+    });
+
+    it("Should reject chunk counts that do not match the file size", async function () {
+      const { manager, client } = await loadFixture(deployStorageFixture);
+      const upload = (chunks) =>
+        manager.connect(client).uploadFile("f", "Qm", GB, ethers.id("root"), chunks, "", false, [], 1, NO_PREFERENCES);
+
+      await expect(upload(1)).to.be.revertedWith("Chunk count does not match file size");
+      await expect(upload(chunkCount(GB) + 1n)).to.be.revertedWith("Chunk count does not match file size");
+      await expect(upload(chunkCount(GB))).to.emit(manager, "FileUploaded");
+    });
+
+    it("Should fail without enough deposited balance", async function () {
+      const { manager, other } = await loadFixture(deployStorageFixture);
+
+      await expect(
+        manager.connect(other).uploadFile("f", "Qm", GB, ethers.id("root"), chunkCount(GB), "", false, [], 1, NO_PREFERENCES)
+      ).to.be.revertedWith("Insufficient balance for escrow");
+    });
+  });
+
+  describe("Provider selection", function () {
+    const selectedProviders = async (manager, client, replication, preferences) => {
+      const tx = await manager
+        .connect(client)
+        .uploadFile("f", "Qm", GB, ethers.id("root"), chunkCount(GB), "", false, [], replication, preferences);
+      return (await eventsOf(manager, tx, "StorageContractCreated")).map((event) => event.args.provider);
+    };
+
+    it("Should prefer the cheapest providers at equal reputation", async function () {
+      const { manager, client, euProvider, usProvider } = await loadFixture(deployStorageFixture);
+
+      expect(await selectedProviders(manager, client, 2, NO_PREFERENCES)).to.deep.equal([
+        euProvider.address,
+        usProvider.address
+      ]);
+    });
+
+    it("Should honour preferred and excluded regions", async function () {
+      const { manager, client, asiaProvider } = await loadFixture(deployStorageFixture);
+
+      const preferences = { maxPricePerGB: 0n, preferredRegions: ["asia"], excludedRegions: [] };
+      expect(await selectedProviders(manager, client, 1, preferences)).to.deep.equal([asiaProvider.address]);
+    });
+
+    it("Should skip excluded regions and providers above the price limit", async function () {
+      const { manager, client, usProvider } = await loadFixture(deployStorageFixture);
+
+      const preferences = { maxPricePerGB: ethers.parseEther("2"), preferredRegions: [], excludedRegions: ["eu"] };
+      expect(await selectedProviders(manager, client, 1, preferences)).to.deep.equal([usProvider.address]);
+    });
+
+    it("Should fail when too few providers qualify", async function () {
+      const { manager, client } = await loadFixture(deployStorageFixture);
+
+      await expect(selectedProviders(manager, client, 4, NO_PREFERENCES)).to.be.revertedWith(
+        "Not enough active providers"
+      );
+    });
+  });
+
+  describe("Proofs of storage", function () {
+    it("Should reward a valid proof and release the escrow earned so far", async function () {
+      const { manager, euProvider, keeper, commitment, contractId } = await loadFixture(uploadedFileFixture);
+      await time.increase(10 * DAY);
+
+      const challengeId = await openChallenge(manager, keeper, contractId);
+      const { proof, chunk } = commitment.proof(Number(await manager.getChallengedChunk(challengeId)));
+
+      await expect(manager.connect(euProvider).submitProofOfStorage(challengeId, proof, chunk))
+        .to.emit(manager, "RewardDistributed")
+        .withArgs(euProvider.address, ethers.parseEther("10"))
+        .and.to.emit(manager, "ProofOfStorageSubmitted")
+        .withArgs(contractId, euProvider.address, true)
+        .and.to.emit(manager, "PaymentReleased");
+
+      // 10 STOR reward plus about 10 days at 1 STOR/day
+      expect(await manager.providerEarnings(euProvider.address)).to.be.closeTo(
+        ethers.parseEther("20"),
+        ethers.parseEther("0.01")
+      );
+      expect((await manager.getProviderInfo(euProvider.address)).reputation).to.equal(501n);
+    });
+
+    it("Should cap rewards at the incentive pool and keep accepting proofs once it is empty", async function () {
+      const { manager, euProvider, keeper, commitment, contractId } = await loadFixture(uploadedFileFixture);
+      await manager.updateIncentiveRates(ethers.parseEther("10005"), ethers.parseEther("50"));
+
+      const prove = async () => {
+        const challengeId = await openChallenge(manager, keeper, contractId);
+        const { proof, chunk } = commitment.proof(Number(await manager.getChallengedChunk(challengeId)));
+        return manager.connect(euProvider).submitProofOfStorage(challengeId, proof, chunk);
+      };
+
+      await expect(prove())
+        .to.emit(manager, "RewardDistributed")
+        .withArgs(euProvider.address, ethers.parseEther("10000"));
+      await time.increase(await manager.PROOF_INTERVAL());
+      await expect(prove())
+        .to.emit(manager, "ProofOfStorageSubmitted")
+        .withArgs(contractId, euProvider.address, true)
+        .and.to.emit(manager, "PaymentReleased")
+        .and.not.to.emit(manager, "RewardDistributed");
+
+      const pool = await manager.getIncentivePoolInfo();
+      expect(pool.distributedRewards).to.equal(pool.totalRewards);
+      expect((await manager.getProviderInfo(euProvider.address)).reputation).to.equal(502n);
+    });
+
+    it("Should penalize an invalid proof from the provider's stake", async function () {
+      const { token, manager, euProvider, keeper, contractId } = await loadFixture(uploadedFileFixture);
+      const challengeId = await openChallenge(manager, keeper, contractId);
+      const pool = (await manager.getIncentivePoolInfo()).totalRewards;
+
+      await expect(manager.connect(euProvider).submitProofOfStorage(challengeId, [], ethers.id("wrong")))
+        .to.emit(manager, "PenaltyApplied")
+        .withArgs(euProvider.address, ethers.parseEther("50"))
+        .and.to.emit(manager, "ProofOfStorageSubmitted")
+        .withArgs(contractId, euProvider.address, false)
+        .and.to.emit(manager, "ProviderDeactivated");
+
+      const info = await manager.getProviderInfo(euProvider.address);
+      expect(info.stakedAmount).to.equal(ethers.parseEther("950"));
+      expect(info.reputation).to.equal(490n);
+      expect(await token.lockedStake(euProvider.address)).to.equal(ethers.parseEther("950"));
+      expect((await manager.getIncentivePoolInfo()).totalRewards).to.equal(pool + ethers.parseEther("50"));
+    });
+
+    it("Should only pay for the storage time covered by a valid proof", async function () {
+      const { manager, client, euProvider, keeper, commitment, contractId } = await loadFixture(uploadedFileFixture);
+      const balance = await manager.userBalances(client.address);
+      const interval = await manager.PROOF_INTERVAL();
+
+      // Two failed proofs refund the time since the last payment to the client
+      await time.increase(10 * DAY);
+      for (let round = 0; round < 2; round++) {
+        const challengeId = await openChallenge(manager, keeper, contractId);
+        await expect(manager.connect(euProvider).submitProofOfStorage(challengeId, [], ethers.id("wrong")))
+          .to.emit(manager, "EscrowRefunded")
+          .and.not.to.emit(manager, "PaymentReleased");
+        await time.increase(interval);
+      }
+
+      const challengeId = await openChallenge(manager, keeper, contractId);
+      const { proof, chunk } = commitment.proof(Number(await manager.getChallengedChunk(challengeId)));
+      await manager.connect(euProvider).submitProofOfStorage(challengeId, proof, chunk);
+
+      // 10 STOR reward plus the single day since the second failed proof, at 1 STOR/day
+      expect(await manager.providerEarnings(euProvider.address)).to.be.closeTo(
+        ethers.parseEther("11"),
+        ethers.parseEther("0.01")
+      );
+      // The 11 days before the second failed proof went back to the client
+      expect(await manager.userBalances(client.address)).to.be.closeTo(
+        balance + ethers.parseEther("11"),
+        ethers.parseEther("0.01")
+      );
+      const storageContract = await manager.storageContracts(contractId);
+      expect(storageContract.escrowBalance).to.be.closeTo(ethers.parseEther("353"), ethers.parseEther("0.01"));
+    });
+
+    it("Should not accept the leaf hash in place of the chunk", async function () {
+      const { manager, euProvider, keeper, commitment, contractId } = await loadFixture(uploadedFileFixture);
+      const challengeId = await openChallenge(manager, keeper, contractId);
+      const { proof, chunk } = commitment.proof(Number(await manager.getChallengedChunk(challengeId)));
+
+      await expect(manager.connect(euProvider).submitProofOfStorage(challengeId, proof, ethers.keccak256(chunk)))
+        .to.emit(manager, "ProofOfStorageSubmitted")
+        .withArgs(contractId, euProvider.address, false);
+    });
+
+    it("Should penalize a challenge left unanswered", async function () {
+      const { manager, euProvider, keeper, contractId } = await loadFixture(uploadedFileFixture);
+      const challengeId = await openChallenge(manager, keeper, contractId);
+
+      await expect(manager.expireChallenge(challengeId)).to.be.revertedWith("Challenge deadline not reached");
+      await mine(await manager.CHALLENGE_RESPONSE_BLOCKS());
+      await expect(manager.expireChallenge(challengeId))
+        .to.emit(manager, "ChallengeExpired")
+        .withArgs(challengeId, contractId, euProvider.address)
+        .and.to.emit(manager, "EscrowRefunded")
+        .and.not.to.emit(manager, "PaymentReleased");
+    });
+
+    it("Should only accept proofs from the contract's provider", async function () {
+      const { manager, usProvider, keeper, commitment, contractId } = await loadFixture(uploadedFileFixture);
+      const challengeId = await openChallenge(manager, keeper, contractId);
+      const { proof, chunk } = commitment.proof(Number(await manager.getChallengedChunk(challengeId)));
+
+      await expect(manager.connect(usProvider).submitProofOfStorage(challengeId, proof, chunk)).to.be.revertedWith(
+        "Only provider can submit proof"
+      );
+    });
+
+    it("Should let the provider reject a new contract before it can be challenged", async function () {
+      const { manager, client, euProvider, usProvider, keeper, contractId } = await loadFixture(uploadedFileFixture);
+      const balance = await manager.userBalances(client.address);
+
+      await expect(manager.connect(keeper).issueChallenge(contractId)).to.be.revertedWith("Acceptance period not over");
+      await expect(manager.connect(usProvider).rejectStorageContract(contractId)).to.be.revertedWith(
+        "Only provider can reject"
+      );
+      await expect(manager.connect(euProvider).rejectStorageContract(contractId))
+        .to.emit(manager, "StorageContractRejected")
+        .withArgs(contractId, euProvider.address)
+        .and.to.emit(manager, "EscrowRefunded")
+        .withArgs(contractId, client.address, ethers.parseEther("365"))
+        .and.not.to.emit(manager, "PenaltyApplied");
+
+      expect(await manager.userBalances(client.address)).to.equal(balance + ethers.parseEther("365"));
+      expect((await manager.getProviderInfo(euProvider.address)).usedStorage).to.equal(0n);
+    });
+
+    it("Should not let providers reject contracts after the acceptance period", async function () {
+      const { manager, euProvider, contractId } = await loadFixture(uploadedFileFixture);
+      await time.increase(await manager.ACCEPTANCE_PERIOD());
+
+      await expect(manager.connect(euProvider).rejectStorageContract(contractId)).to.be.revertedWith(
+        "Acceptance period is over"
+      );
+    });
+
+    it("Should space challenges of a contract by the proof interval", async function () {
+      const { manager, euProvider, keeper, commitment, contractId } = await loadFixture(uploadedFileFixture);
+      const challengeId = await openChallenge(manager, keeper, contractId);
+
+      await expect(manager.connect(keeper).issueChallenge(contractId)).to.be.revertedWith("Challenge already open");
+      const { proof, chunk } = commitment.proof(Number(await manager.getChallengedChunk(challengeId)));
+      await manager.connect(euProvider).submitProofOfStorage(challengeId, proof, chunk);
+
+      await expect(manager.connect(keeper).issueChallenge(contractId)).to.be.revertedWith("Challenge issued too early");
+      await time.increase(await manager.PROOF_INTERVAL());
+      await expect(manager.connect(keeper).issueChallenge(contractId)).to.emit(manager, "ChallengeIssued");
+    });
+  });
+
+  describe("Access grants", function () {
+    it("Should grant permissions and the wrapped key", async function () {
+      const { manager, client, other } = await loadFixture(uploadedFileFixture);
+
+      await expect(manager.connect(client).grantFileAccess("report", other.address, READ | WRITE, 0, "wrapped-other-key"))
+        .to.emit(manager, "AccessGranted")
+        .withArgs("report", other.address, client.address, READ | WRITE, 0);
+
+      expect(await manager.getFilePermissions("report", other.address)).to.equal(READ | WRITE);
+      expect(await manager.getFileAccessRole("report", other.address)).to.equal(2n); // Editor
+      expect(await manager.getWrappedKey("report", other.address)).to.equal("wrapped-other-key");
+      expect(await manager.getAuthorizedUsers("report")).to.deep.equal([other.address]);
+      expect((await manager.getFilesSharedWith(other.address, 0, 10)).toArray(true)).to.deep.equal([["report"], 1n]);
+    });
+
+    it("Should deny reads without a grant unless the file is public", async function () {
+      const { manager, client, other } = await loadFixture(uploadedFileFixture);
+
+      await expect(manager.connect(other).accessFile("report")).to.be.revertedWith("Access denied");
+      await manager.connect(client).setFileVisibility("report", true);
+      await expect(manager.connect(other).accessFile("report"))
+        .to.emit(manager, "FileAccessed")
+        .withArgs("report", other.address);
+    });
+
+    it("Should revoke access", async function () {
+      const { manager, client, other } = await loadFixture(uploadedFileFixture);
+      await manager.connect(client).grantFileAccess("report", other.address, READ, 0, "key");
+
+      await expect(manager.connect(client).revokeFileAccess("report", other.address))
+        .to.emit(manager, "AccessRevoked")
+        .withArgs("report", other.address, client.address);
+      expect(await manager.getFilePermissions("report", other.address)).to.equal(0n);
+      await expect(manager.connect(other).accessFile("report")).to.be.revertedWith("Access denied");
+    });
+
+    it("Should only let SHARE holders grant a subset of their own permissions", async function () {
+      const { manager, client, other, keeper } = await loadFixture(uploadedFileFixture);
+      await manager.connect(client).grantFileAccess("report", other.address, READ | SHARE, 0, "key");
+
+      await expect(
+        manager.connect(other).grantFileAccess("report", keeper.address, READ | WRITE, 0, "key")
+      ).to.be.revertedWith("Cannot grant permissions you do not hold");
+      await expect(manager.connect(other).grantFileAccess("report", keeper.address, READ, 0, "key"))
+        .to.emit(manager, "AccessGranted")
+        .withArgs("report", keeper.address, other.address, READ, 0);
+      await expect(manager.connect(keeper).grantFileAccess("report", client.address, READ, 0, "key")).to.be.revertedWith(
+        "Owner already has full access"
+      );
+    });
+
+    it("Should stop honouring expired grants", async function () {
+      const { manager, client, other } = await loadFixture(uploadedFileFixture);
+      const expiresAt = (await time.latest()) + DAY;
+      await manager.connect(client).grantFileAccess("report", other.address, READ, expiresAt, "key");
+
+      await expect(manager.expireFileAccess("report", other.address)).to.be.revertedWith("Grant has not expired");
+      await time.increaseTo(expiresAt);
+      expect(await manager.getFilePermissions("report", other.address)).to.equal(0n);
+      await expect(manager.connect(other).accessFile("report")).to.be.revertedWith("Access denied");
+
+      await expect(manager.expireFileAccess("report", other.address))
+        .to.emit(manager, "AccessExpired")
+        .withArgs("report", other.address, expiresAt);
+      expect(await manager.getAuthorizedUsers("report")).to.deep.equal([]);
+    });
+
+    it("Should let SHARE holders re-share with users whose grant expired", async function () {
+      const { manager, client, other, keeper } = await loadFixture(uploadedFileFixture);
+      const expiresAt = (await time.latest()) + DAY;
+      await manager.connect(client).grantFileAccess("report", other.address, READ | SHARE, 0, "key");
+      await manager.connect(other).grantFileAccess("report", keeper.address, READ, expiresAt, "key");
+
+      await expect(
+        manager.connect(other).grantFileAccess("report", keeper.address, READ, 0, "key")
+      ).to.be.revertedWith("User already has access");
+      await time.increaseTo(expiresAt);
+      await expect(manager.connect(other).grantFileAccess("report", keeper.address, READ, 0, "key"))
+        .to.emit(manager, "AccessGranted")
+        .withArgs("report", keeper.address, other.address, READ, 0);
+      expect(await manager.getAuthorizedUsers("report")).to.deep.equal([other.address, keeper.address]);
+    });
+
+    it("Should keep a time-limited ADMIN from extending its own grant", async function () {
+      const { manager, client, other } = await loadFixture(uploadedFileFixture);
+      const expiresAt = (await time.latest()) + DAY;
+      await manager.connect(client).grantFileAccess("report", other.address, READ | ADMIN, expiresAt, "key");
+
+      await expect(
+        manager.connect(other).grantFileAccess("report", other.address, READ | ADMIN, 0, "key")
+      ).to.be.revertedWith("Cannot grant beyond your own expiry");
+      await expect(
+        manager.connect(other).grantFileAccess("report", other.address, READ | ADMIN, expiresAt + DAY, "key")
+      ).to.be.revertedWith("Cannot grant beyond your own expiry");
+      expect((await manager.getFileGrant("report", other.address)).toArray()).to.deep.equal([BigInt(READ | ADMIN), BigInt(expiresAt)]);
+    });
+
+    it("Should let WRITE holders add versions", async function () {
+      const { manager, client, other } = await loadFixture(uploadedFileFixture);
+      await manager.connect(other).deposit(ethers.parseEther("1000"));
+
+      await expect(
+        manager.connect(other).addFileVersion("report", "QmV2", GB, ethers.id("v2"), chunkCount(GB), "typo fix")
+      ).to.be.revertedWith("Not allowed to add versions");
+      await manager.connect(client).grantFileAccess("report", other.address, READ | WRITE, 0, "key");
+      await expect(manager.connect(other).addFileVersion("report", "QmV2", GB, ethers.id("v2"), chunkCount(GB), "typo fix"))
+        .to.emit(manager, "FileVersionAdded")
+        .withArgs("report", 1, "QmV2", other.address);
+
+      expect(await manager.getFileVersionCount(client.address, "report")).to.equal(2n);
+    });
+  });
+
+  describe("deleteFile", function () {
+    it("Should drop the file from every index and cancel a pending transfer", async function () {
+      const { manager, client, other, keeper } = await loadFixture(uploadedFileFixture);
+      await manager.connect(client).grantFileAccess("report", other.address, READ, 0, "key");
+      await manager.connect(client).transferFileOwnership("report", keeper.address);
+
+      await manager.connect(client).deleteFile("report");
+
+      expect((await manager.getFilesByOwner(client.address, 0, 10)).toArray(true)).to.deep.equal([[], 0n]);
+      expect((await manager.getFilesByTag("finance", 0, 10)).toArray(true)).to.deep.equal([[], 0n]);
+      expect((await manager.getFilesSharedWith(other.address, 0, 10)).toArray(true)).to.deep.equal([[], 0n]);
+      expect(await manager.pendingFileOwners("report")).to.equal(ethers.ZeroAddress);
+      await expect(manager.connect(keeper).acceptFileOwnership("report")).to.be.revertedWith("File does not exist");
+    });
+
+    it("Should reject grants, key reads and version reads once the file is deleted", async function () {
+      const { manager, client, other } = await loadFixture(uploadedFileFixture);
+      await manager.connect(client).grantFileAccess("report", other.address, READ, 0, "key");
+      await manager.connect(client).deleteFile("report");
+
+      await expect(
+        manager.connect(client).grantFileAccess("report", other.address, READ, 0, "key")
+      ).to.be.revertedWith("File does not exist");
+      await expect(manager.connect(client).revokeFileAccess("report", other.address)).to.be.revertedWith(
+        "File does not exist"
+      );
+      await expect(manager.getWrappedKey("report", other.address)).to.be.revertedWith("File does not exist");
+      await expect(manager.getFileVersionCount(client.address, "report")).to.be.revertedWith("File does not exist");
+      await expect(manager.getFileVersion(client.address, "report", 0)).to.be.revertedWith("File does not exist");
+    });
+  });
+
+  describe("Balances and earnings", function () {
+    it("Should deposit and withdraw balances", async function () {
+      const { token, manager, other } = await loadFixture(deployStorageFixture);
+
+      await expect(manager.connect(other).deposit(ethers.parseEther("100")))
+        .to.emit(manager, "Deposited")
+        .withArgs(other.address, ethers.parseEther("100"));
+      await expect(manager.connect(other).withdraw(ethers.parseEther("40"))).to.changeTokenBalances(
+        token,
+        [other, manager],
+        [ethers.parseEther("40"), -ethers.parseEther("40")]
+      );
+      expect(await manager.userBalances(other.address)).to.equal(ethers.parseEther("60"));
+    });
+
+    it("Should let providers withdraw their earnings", async function () {
+      const { token, manager, euProvider, keeper, commitment, contractId } = await loadFixture(uploadedFileFixture);
+      await expect(manager.connect(euProvider).withdrawEarnings()).to.be.revertedWith("No earnings to withdraw");
+
+      const challengeId = await openChallenge(manager, keeper, contractId);
+      const { proof, chunk } = commitment.proof(Number(await manager.getChallengedChunk(challengeId)));
+      await manager.connect(euProvider).submitProofOfStorage(challengeId, proof, chunk);
+      const earnings = await manager.providerEarnings(euProvider.address);
+
+      await expect(manager.connect(euProvider).withdrawEarnings()).to.changeTokenBalance(token, euProvider, earnings);
+      expect(await manager.providerEarnings(euProvider.address)).to.equal(0n);
+    });
+
+    it("Should refund unused escrow when a file is deleted", async function () {
+      const { manager, client, contractId } = await loadFixture(uploadedFileFixture);
+      const balance = await manager.userBalances(client.address);
+
+      await expect(manager.connect(client).deleteFile("report"))
+        .to.emit(manager, "EscrowRefunded")
+        .withArgs(contractId, client.address, anyValue)
+        .and.to.emit(manager, "FileDeleted");
+      expect(await manager.userBalances(client.address)).to.equal(balance + ethers.parseEther("365"));
+    });
+
+    it("Should close contracts that have run their full term", async function () {
+      const { manager, contractId } = await loadFixture(uploadedFileFixture);
+
+      await expect(manager.closeExpiredContract(contractId)).to.be.revertedWith("Contract has not ended");
+      await time.increase(365 * DAY);
+      await expect(manager.closeExpiredContract(contractId)).to.emit(manager, "StorageContractClosed");
+    });
+  });
+
+  describe("Owner actions", function () {
+    it("Should restrict incentive settings and slashing", async function () {
+      const { manager, euProvider, other } = await loadFixture(deployStorageFixture);
+
+      await expect(manager.connect(other).updateIncentiveRates(1, 1)).to.be.revertedWithCustomError(
+        manager,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(manager.connect(other).slashProvider(euProvider.address, 1, "x")).to.be.revertedWith(
+        "Not allowed to slash"
+      );
+    });
+
+    it("Should burn slashed stake and deactivate providers below the minimum", async function () {
+      const { token, manager, euProvider } = await loadFixture(deployStorageFixture);
+      const supply = await token.totalSupply();
+
+      await expect(manager.slashProvider(euProvider.address, ethers.parseEther("100"), "offline"))
+        .to.emit(manager, "ProviderSlashed")
+        .withArgs(euProvider.address, ethers.parseEther("100"), "offline")
+        .and.to.emit(manager, "ProviderDeactivated");
+      expect(await token.totalSupply()).to.equal(supply - ethers.parseEther("100"));
+      expect((await manager.getProviderInfo(euProvider.address)).isActive).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const {
+  time,
+  mine,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const {
+  NO_PREFERENCES,
+  GB,
+  DAY,
+  chunkCount,
+  deployStorageFixture,
+  eventsOf
+} = require("./fixtures");
+
+describe("StorageDisputes", function () {
+  // Dispute module wired to the manager, with one client file stored by the eu provider
+  async function deployDisputesFixture() {
+    const fixture = await deployStorageFixture();
+    const { token, manager, client, euProvider, other } = fixture;
+    const arbiter = other;
+
+    const disputes = await ethers.deployContract("StorageDisputes", [manager.target, arbiter.address]);
+    await manager.setDisputeModule(disputes.target);
+    for (const account of [client, euProvider]) {
+      await token.connect(account).approve(disputes.target, ethers.MaxUint256);
+    }
+
+    const tx = await manager
+      .connect(client)
+      .uploadFile("report", "QmReport", GB, ethers.id("root"), chunkCount(GB), "key", false, [], 1, NO_PREFERENCES);
+    const [created] = await eventsOf(manager, tx, "StorageContractCreated");
+
+    return { ...fixture, disputes, arbiter, contractId: created.args.contractId };
+  }
+
+  describe("openDispute", function () {
+    it("Should bond the client and record the dispute", async function () {
+      const { token, manager, disputes, client, euProvider, keeper, contractId } = await loadFixture(
+        deployDisputesFixture
+      );
+      await time.increase(await manager.ACCEPTANCE_PERIOD());
+      await manager.connect(keeper).issueChallenge(contractId);
+      await mine(await manager.CHALLENGE_RESPONSE_BLOCKS() + (await manager.CHALLENGE_SEED_DELAY()) + 1n);
+      await manager.expireChallenge(1);
+
+      const balance = await token.balanceOf(client.address);
+      await expect(disputes.connect(client).openDispute(contractId, 1, "ipfs://report"))
+        .to.emit(disputes, "DisputeOpened")
+        .withArgs(1, contractId, client.address, euProvider.address, 1);
+      expect(await token.balanceOf(client.address)).to.equal(balance - ethers.parseEther("100"));
+    });
+
+    it("Should only accept disputes from the client with matching evidence", async function () {
+      const { disputes, client, keeper, contractId } = await loadFixture(deployDisputesFixture);
+
+      await expect(disputes.connect(keeper).openDispute(contractId, 0, "x")).to.be.revertedWith(
+        "Only the client can open a dispute"
+      );
+      await expect(disputes.connect(client).openDispute(ethers.ZeroHash, 0, "x")).to.be.revertedWith(
+        "Storage contract does not exist"
+      );
+      await expect(disputes.connect(client).openDispute(contractId, 5, "x")).to.be.revertedWith(
+        "Challenge is not evidence against this contract"
+      );
+    });
+  });
+
+  describe("Resolution", function () {
+    it("Should slash the provider once an upheld dispute is final", async function () {
+      const { token, manager, disputes, arbiter, client, euProvider, keeper, contractId } = await loadFixture(
+        deployDisputesFixture
+      );
+      const balance = await token.balanceOf(client.address);
+      await disputes.connect(client).openDispute(contractId, 0, "lost file");
+
+      await expect(disputes.connect(arbiter).resolve(1, true, ethers.parseEther("300"))).to.be.revertedWith(
+        "Response window still open"
+      );
+      await expect(disputes.connect(keeper).respond(1, "no")).to.be.revertedWith("Only the provider can respond");
+      await disputes.connect(euProvider).respond(1, "I stored it");
+
+      await expect(disputes.connect(keeper).resolve(1, true, 1)).to.be.revertedWith("Not allowed to resolve disputes");
+      await expect(disputes.connect(arbiter).resolve(1, true, ethers.parseEther("300")))
+        .to.emit(disputes, "DisputeResolved")
+        .withArgs(1, true, ethers.parseEther("300"), arbiter.address);
+      await expect(disputes.finalize(1)).to.be.revertedWith("Appeal window still open");
+
+      await time.increase(2 * DAY + 1);
+      await expect(disputes.finalize(1))
+        .to.emit(manager, "ProviderSlashed")
+        .withArgs(euProvider.address, ethers.parseEther("300"), "Dispute #1")
+        .and.to.emit(disputes, "DisputeClosed")
+        .withArgs(1, true, ethers.parseEther("300"));
+
+      expect((await manager.getProviderInfo(euProvider.address)).stakedAmount).to.equal(ethers.parseEther("700"));
+      expect(await token.balanceOf(client.address)).to.equal(balance);
+      await expect(disputes.finalize(1)).to.be.revertedWith("Dispute is not resolved");
+    });
+
+    it("Should pay the bond to the provider when dismissed", async function () {
+      const { token, disputes, client, euProvider, contractId } = await loadFixture(deployDisputesFixture);
+      await disputes.connect(client).openDispute(contractId, 0, "lost file");
+      await time.increase(2 * DAY + 1);
+
+      await disputes.resolve(1, false, 0);
+      await time.increase(2 * DAY + 1);
+      await expect(disputes.finalize(1)).to.changeTokenBalance(token, euProvider, ethers.parseEther("100"));
+    });
+  });
+
+  describe("Appeals", function () {
+    it("Should only let the losing party appeal within the window", async function () {
+      const { disputes, arbiter, client, euProvider, contractId } = await loadFixture(deployDisputesFixture);
+      await disputes.connect(client).openDispute(contractId, 0, "lost file");
+      await disputes.connect(euProvider).respond(1, "no");
+      await disputes.connect(arbiter).resolve(1, true, ethers.parseEther("10"));
+
+      await expect(disputes.connect(client).appeal(1)).to.be.revertedWith("Only the losing party can appeal");
+      await time.increase(2 * DAY + 1);
+      await expect(disputes.connect(euProvider).appeal(1)).to.be.revertedWith("Appeal window has closed");
+    });
+
+    it("Should forfeit both bonds to the provider when the client's appeal fails", async function () {
+      const { token, disputes, arbiter, client, euProvider, contractId } = await loadFixture(deployDisputesFixture);
+      await disputes.connect(client).openDispute(contractId, 0, "lost file");
+      await time.increase(2 * DAY + 1);
+      await disputes.resolve(1, false, 0);
+      await expect(disputes.connect(client).appeal(1))
+        .to.emit(disputes, "DisputeAppealed")
+        .withArgs(1, client.address);
+
+      await expect(disputes.connect(arbiter).resolveAppeal(1, true, 1)).to.be.revertedWithCustomError(
+        disputes,
+        "OwnableUnauthorizedAccount"
+      );
+      await expect(disputes.resolveAppeal(1, false, 0)).to.changeTokenBalances(
+        token,
+        [client, euProvider],
+        [0, ethers.parseEther("300")]
+      );
+    });
+
+    it("Should spare the provider when its appeal succeeds", async function () {
+      const { token, manager, disputes, arbiter, client, euProvider, contractId } = await loadFixture(
+        deployDisputesFixture
+      );
+      await disputes.connect(client).openDispute(contractId, 0, "lost file");
+      await disputes.connect(euProvider).respond(1, "no");
+      await disputes.connect(arbiter).resolve(1, true, ethers.parseEther("10"));
+      await disputes.connect(euProvider).appeal(1);
+
+      await expect(disputes.resolveAppeal(1, false, 0))
+        .to.emit(disputes, "DisputeClosed")
+        .withArgs(1, false, 0)
+        .and.not.to.emit(manager, "ProviderSlashed");
+      expect(await token.lockedStake(euProvider.address)).to.equal(await manager.MIN_STAKE());
+    });
+  });
+
+  describe("Provider exits", function () {
+    it("Should hold an exiting provider until its appeal is decided", async function () {
+      const { token, manager, disputes, arbiter, client, euProvider, contractId } = await loadFixture(
+        deployDisputesFixture
+      );
+      await disputes.connect(client).openDispute(contractId, 0, "lost file");
+      await disputes.connect(euProvider).respond(1, "no");
+      await disputes.connect(arbiter).resolve(1, true, ethers.parseEther("300"));
+
+      await manager.connect(euProvider).requestExit();
+      await disputes.connect(euProvider).appeal(1);
+      await time.increase(await manager.UNBONDING_PERIOD());
+      await expect(manager.connect(euProvider).completeExit()).to.be.revertedWith("Provider has open disputes");
+
+      await expect(disputes.resolveAppeal(1, true, ethers.parseEther("300")))
+        .to.emit(manager, "ProviderSlashed")
+        .withArgs(euProvider.address, ethers.parseEther("300"), "Dispute #1");
+      expect(await disputes.openDisputes(euProvider.address)).to.equal(0n);
+
+      await expect(manager.connect(euProvider).completeExit())
+        .to.emit(manager, "ProviderExited")
+        .withArgs(euProvider.address, ethers.parseEther("700"));
+      expect(await token.lockedStake(euProvider.address)).to.equal(0n);
+    });
+  });
+
+  it("Should keep dispute windows shorter than the unbonding period", async function () {
+    const { disputes } = await loadFixture(deployDisputesFixture);
+
+    await expect(disputes.updateDisputeSettings(1, 1, 5 * DAY, 2 * DAY)).to.be.revertedWith(
+      "Windows must end before unbonding"
+    );
+    await expect(disputes.updateDisputeSettings(1, 2, DAY, DAY))
+      .to.emit(disputes, "DisputeSettingsUpdated")
+      .withArgs(1, 2, DAY, DAY);
+  });
+});
@@ -0,0 +1,126 @@
+const {
+  time,
+  mine,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { deployStorage, eventsOf } = require("./fixtures");
+
+const TIMELOCK_DELAY = 3600;
+const VOTING_PERIOD = 20;
+
+const ProposalState = { Active: 1n, Defeated: 3n, Succeeded: 4n, Queued: 5n, Executed: 7n };
+
+describe("StorageGovernor", function () {
+  // Governor behind a timelock that owns both the token and the manager
+  async function deployGovernanceFixture() {
+    const [owner, proposer, voter, other] = await ethers.getSigners();
+    const { token, manager } = await deployStorage();
+
+    const timelock = await ethers.deployContract("TimelockController", [TIMELOCK_DELAY, [], [], owner.address]);
+    const governor = await ethers.deployContract("StorageGovernor", [
+      token.target,
+      timelock.target,
+      1,
+      VOTING_PERIOD,
+      ethers.parseEther("1000"),
+      4
+    ]);
+    await timelock.grantRole(await timelock.PROPOSER_ROLE(), governor.target);
+    await timelock.grantRole(await timelock.CANCELLER_ROLE(), governor.target);
+    await timelock.grantRole(await timelock.EXECUTOR_ROLE(), ethers.ZeroAddress);
+    await token.transferOwnership(timelock.target);
+    await manager.transferOwnership(timelock.target);
+
+    for (const account of [proposer, voter]) {
+      await token.transfer(account.address, ethers.parseEther("100000"));
+    }
+    await token.connect(proposer).stake(ethers.parseEther("5000"));
+    await mine(1);
+
+    // Raise the staking rate and the manager's incentive rates in one proposal
+    const proposal = [
+      [token.target, manager.target],
+      [0, 0],
+      [
+        token.interface.encodeFunctionData("updateStakingRewardRate", [10]),
+        manager.interface.encodeFunctionData("updateIncentiveRates", [1, 2])
+      ],
+      "Raise reward rates"
+    ];
+
+    return { token, manager, timelock, governor, proposal, owner, proposer, voter, other };
+  }
+
+  async function propose(governor, proposer, proposal) {
+    const [created] = await eventsOf(governor, await governor.connect(proposer).propose(...proposal), "ProposalCreated");
+    return created.args.proposalId;
+  }
+
+  it("Should require staked voting power above the threshold to propose", async function () {
+    const { governor, proposal, other } = await loadFixture(deployGovernanceFixture);
+
+    await expect(governor.connect(other).propose(...proposal)).to.be.revertedWithCustomError(
+      governor,
+      "GovernorInsufficientProposerVotes"
+    );
+  });
+
+  it("Should count votes at the proposal snapshot", async function () {
+    const { token, governor, proposal, proposer, voter } = await loadFixture(deployGovernanceFixture);
+    const proposalId = await propose(governor, proposer, proposal);
+    await mine(2);
+
+    // Stake added after the snapshot carries no votes on this proposal
+    await token.connect(voter).stake(ethers.parseEther("50000"));
+    await governor.connect(voter).castVote(proposalId, 0);
+    await governor.connect(proposer).castVote(proposalId, 1);
+
+    const votes = await governor.proposalVotes(proposalId);
+    expect(votes.againstVotes).to.equal(0n);
+    expect(votes.forVotes).to.equal(ethers.parseEther("5000"));
+
+    await mine(VOTING_PERIOD);
+    expect(await governor.state(proposalId)).to.equal(ProposalState.Succeeded);
+  });
+
+  it("Should execute successful proposals through the timelock", async function () {
+    const { token, manager, governor, proposal, proposer } = await loadFixture(deployGovernanceFixture);
+    const [targets, values, calldatas, description] = proposal;
+    const descriptionHash = ethers.id(description);
+
+    await expect(token.updateStakingRewardRate(10)).to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount");
+
+    const proposalId = await propose(governor, proposer, proposal);
+    await mine(2);
+    await governor.connect(proposer).castVote(proposalId, 1);
+    await mine(VOTING_PERIOD);
+
+    await governor.queue(targets, values, calldatas, descriptionHash);
+    expect(await governor.state(proposalId)).to.equal(ProposalState.Queued);
+    await expect(governor.execute(targets, values, calldatas, descriptionHash)).to.be.reverted;
+
+    await time.increase(TIMELOCK_DELAY);
+    await governor.execute(targets, values, calldatas, descriptionHash);
+    expect(await governor.state(proposalId)).to.equal(ProposalState.Executed);
+
+    expect(await token.stakingRewardRate()).to.equal(10n);
+    const pool = await manager.getIncentivePoolInfo();
+    expect(pool.rewardRate).to.equal(1n);
+    expect(pool.penaltyRate).to.equal(2n);
+  });
+
+  it("Should defeat proposals short of quorum", async function () {
+    const { token, governor, proposal, proposer } = await loadFixture(deployGovernanceFixture);
+    // 5000 of 205000 staked is below the 4% quorum
+    await token.stake(ethers.parseEther("200000"));
+    await mine(1);
+
+    const proposalId = await propose(governor, proposer, proposal);
+    await mine(2);
+    await governor.connect(proposer).castVote(proposalId, 1);
+    await mine(VOTING_PERIOD);
+
+    expect(await governor.state(proposalId)).to.equal(ProposalState.Defeated);
+  });
+});
@@ -0,0 +1,69 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const StorageStackModule = require("../ignition/modules/StorageStack");
+const DemoStorageStackModule = require("../ignition/modules/DemoStorageStack");
+
+describe("DemoStorageStackModule", function () {
+  async function deployModuleFixture() {
+    return ignition.deploy(DemoStorageStackModule);
+  }
+
+  it("Should wire the manager into the token and the dispute module", async function () {
+    const { storageToken, storageManager, storageDisputes } = await loadFixture(deployModuleFixture);
+
+    expect(await storageManager.storageToken()).to.equal(storageToken.target);
+    expect(await storageToken.authorizedSlashers(storageManager.target)).to.equal(true);
+    expect(await storageManager.disputeModule()).to.equal(storageDisputes.target);
+  });
+
+  it("Should keep the deployer as minter by default", async function () {
+    const { storageToken, storageManager, storageDisputes } = await loadFixture(deployModuleFixture);
+    const [deployer] = await ethers.getSigners();
+
+    expect(await storageToken.authorizedMinters(deployer.address)).to.equal(true);
+    expect(await storageToken.authorizedMinters(storageManager.target)).to.equal(false);
+    expect(await storageToken.authorizedMinters(storageDisputes.target)).to.equal(false);
+  });
+
+  it("Should hand the minter role to the minter parameter", async function () {
+    const [deployer, , , , treasury] = await ethers.getSigners();
+    const { storageToken } = await ignition.deploy(StorageStackModule, {
+      parameters: { StorageStackModule: { minter: treasury.address } }
+    });
+
+    expect(await storageToken.authorizedMinters(treasury.address)).to.equal(true);
+    expect(await storageToken.authorizedMinters(deployer.address)).to.equal(false);
+  });
+
+  it("Should deploy the token and the manager behind proxies administered by the deployer", async function () {
+    const { storageToken, storageManager, storageTokenProxyAdmin, storageManagerProxyAdmin } =
+      await loadFixture(deployModuleFixture);
+    const [deployer] = await ethers.getSigners();
+
+    expect(await upgrades.erc1967.getAdminAddress(storageToken.target)).to.equal(storageTokenProxyAdmin.target);
+    expect(await upgrades.erc1967.getAdminAddress(storageManager.target)).to.equal(storageManagerProxyAdmin.target);
+    expect(await storageTokenProxyAdmin.owner()).to.equal(deployer.address);
+    expect(await storageManagerProxyAdmin.owner()).to.equal(deployer.address);
+    expect(await storageManager.owner()).to.equal(deployer.address);
+    expect(await storageToken.owner()).to.equal(deployer.address);
+  });
+
+  it("Should fund the incentive pool and the reward reserve", async function () {
+    const { storageToken, storageManager } = await loadFixture(deployModuleFixture);
+
+    expect((await storageManager.getIncentivePoolInfo()).totalRewards).to.equal(ethers.parseEther("100000"));
+    // The demo providers' stake has started accruing rewards from the reserve
+    expect(await storageToken.rewardReserve()).to.be.closeTo(ethers.parseEther("1000000"), ethers.parseEther("1"));
+  });
+
+  it("Should register the demo providers with locked stake", async function () {
+    const { storageToken, storageManager } = await loadFixture(deployModuleFixture);
+    const signers = await ethers.getSigners();
+
+    expect(await storageManager.getTotalProviders()).to.equal(3n);
+    for (const provider of signers.slice(1, 4)) {
+      expect((await storageManager.getProviderInfo(provider.address)).isActive).to.equal(true);
+      expect(await storageToken.lockedStake(provider.address)).to.equal(await storageManager.MIN_STAKE());
+    }
+  });
+});
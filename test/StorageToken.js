@@ -0,0 +1,276 @@
+const {
+  time,
+  mine,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { DAY, deployToken } = require("./fixtures");
+
+const YEAR = 365 * DAY;
+
+describe("StorageToken", function () {
+  // Token with two funded stakers and an account standing in for an authorized slasher
+  async function deployTokenFixture() {
+    const [owner, alice, bob, slasher, other] = await ethers.getSigners();
+    const token = await deployToken();
+
+    for (const account of [alice, bob]) {
+      await token.transfer(account.address, ethers.parseEther("100000"));
+    }
+    await token.addSlasher(slasher.address);
+
+    return { token, owner, alice, bob, slasher, other };
+  }
+
+  describe("Deployment", function () {
+    it("Should mint the initial supply to the owner", async function () {
+      const { token, owner } = await loadFixture(deployTokenFixture);
+
+      expect(await token.totalSupply()).to.equal(await token.INITIAL_SUPPLY());
+      expect(await token.owner()).to.equal(owner.address);
+      expect(await token.authorizedMinters(owner.address)).to.equal(true);
+    });
+  });
+
+  describe("Minting", function () {
+    it("Should only let authorized minters mint", async function () {
+      const { token, alice, other } = await loadFixture(deployTokenFixture);
+
+      await expect(token.connect(other).mint(other.address, 1)).to.be.revertedWith("Not authorized to mint");
+      await expect(token.addMinter(other.address)).to.emit(token, "MinterAdded").withArgs(other.address);
+      await expect(token.connect(other).mint(alice.address, 1)).to.changeTokenBalance(token, alice, 1);
+
+      await token.removeMinter(other.address);
+      await expect(token.connect(other).mint(other.address, 1)).to.be.revertedWith("Not authorized to mint");
+    });
+
+    it("Should cap minting at the maximum supply", async function () {
+      const { token, owner } = await loadFixture(deployTokenFixture);
+      const room = (await token.MAX_SUPPLY()) - (await token.totalSupply());
+
+      await expect(token.mint(owner.address, room + 1n)).to.be.revertedWith("Exceeds maximum supply");
+      await token.mint(owner.address, room);
+      expect(await token.totalSupply()).to.equal(await token.MAX_SUPPLY());
+    });
+  });
+
+  describe("Staking", function () {
+    it("Should move staked tokens into the contract", async function () {
+      const { token, alice } = await loadFixture(deployTokenFixture);
+
+      await expect(token.connect(alice).stake(ethers.parseEther("1000"))).to.changeTokenBalances(
+        token,
+        [alice, token],
+        [-ethers.parseEther("1000"), ethers.parseEther("1000")]
+      );
+
+      expect((await token.stakingInfo(alice.address)).stakedAmount).to.equal(ethers.parseEther("1000"));
+      expect(await token.totalStaked()).to.equal(ethers.parseEther("1000"));
+      expect(await token.votingPower(alice.address)).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should reject empty or unfunded stakes", async function () {
+      const { token, other } = await loadFixture(deployTokenFixture);
+
+      await expect(token.connect(other).stake(0)).to.be.revertedWith("Amount must be greater than 0");
+      await expect(token.connect(other).stake(1)).to.be.revertedWith("Insufficient balance");
+    });
+
+    it("Should lock each deposit for the minimum staking period", async function () {
+      const { token, alice } = await loadFixture(deployTokenFixture);
+      await token.connect(alice).stake(ethers.parseEther("1000"));
+      await time.increase(4 * DAY);
+      await token.connect(alice).stake(ethers.parseEther("500"));
+
+      await expect(token.connect(alice).unstake(1)).to.be.revertedWith("Minimum staking period not met");
+      await time.increase(3 * DAY);
+      expect(await token.withdrawableStake(alice.address)).to.equal(ethers.parseEther("1000"));
+      await expect(token.connect(alice).unstake(ethers.parseEther("1001"))).to.be.revertedWith(
+        "Minimum staking period not met"
+      );
+
+      await expect(token.connect(alice).unstake(ethers.parseEther("1000")))
+        .to.emit(token, "Unstaked")
+        .withArgs(alice.address, ethers.parseEther("1000"));
+      const deposits = await token.getStakeDeposits(alice.address);
+      expect(deposits.map((deposit) => deposit.amount)).to.deep.equal([ethers.parseEther("500")]);
+    });
+
+    it("Should not unstake more than is staked", async function () {
+      const { token, alice } = await loadFixture(deployTokenFixture);
+      await token.connect(alice).stake(ethers.parseEther("10"));
+
+      await expect(token.connect(alice).unstake(ethers.parseEther("11"))).to.be.revertedWith(
+        "Insufficient staked amount"
+      );
+    });
+  });
+
+  describe("Slashing", function () {
+    it("Should keep locked stake from being unstaked", async function () {
+      const { token, alice, slasher } = await loadFixture(deployTokenFixture);
+      await token.connect(alice).stake(ethers.parseEther("1000"));
+      await time.increase(7 * DAY);
+
+      await expect(token.connect(slasher).lockStake(alice.address, ethers.parseEther("800")))
+        .to.emit(token, "StakeLocked")
+        .withArgs(alice.address, slasher.address, ethers.parseEther("800"));
+      expect(await token.withdrawableStake(alice.address)).to.equal(ethers.parseEther("200"));
+      await expect(token.connect(alice).unstake(ethers.parseEther("201"))).to.be.revertedWith("Stake is locked");
+      await expect(token.connect(slasher).lockStake(alice.address, ethers.parseEther("201"))).to.be.revertedWith(
+        "Insufficient unlocked stake"
+      );
+
+      await token.connect(slasher).unlockStake(alice.address, ethers.parseEther("800"));
+      await token.connect(alice).unstake(ethers.parseEther("1000"));
+    });
+
+    it("Should burn or redirect slashed stake up to the locked amount", async function () {
+      const { token, alice, slasher, other } = await loadFixture(deployTokenFixture);
+      await token.connect(alice).stake(ethers.parseEther("1000"));
+      await token.connect(slasher).lockStake(alice.address, ethers.parseEther("300"));
+      const supply = await token.totalSupply();
+
+      await expect(token.connect(slasher).slash(alice.address, ethers.parseEther("100"), ethers.ZeroAddress))
+        .to.emit(token, "StakeSlashed")
+        .withArgs(alice.address, slasher.address, ethers.parseEther("100"), ethers.ZeroAddress);
+      expect(await token.totalSupply()).to.equal(supply - ethers.parseEther("100"));
+
+      await expect(
+        token.connect(slasher).slash(alice.address, ethers.parseEther("500"), other.address)
+      ).to.changeTokenBalance(token, other, ethers.parseEther("200"));
+
+      expect(await token.lockedStake(alice.address)).to.equal(0n);
+      expect((await token.stakingInfo(alice.address)).stakedAmount).to.equal(ethers.parseEther("700"));
+      expect(await token.votingPower(alice.address)).to.equal(ethers.parseEther("700"));
+    });
+
+    it("Should only let authorized slashers lock and slash", async function () {
+      const { token, alice, slasher, other } = await loadFixture(deployTokenFixture);
+      await token.connect(alice).stake(ethers.parseEther("1000"));
+
+      await expect(token.connect(other).lockStake(alice.address, 1)).to.be.revertedWith("Not authorized to slash");
+      await expect(token.connect(other).slash(alice.address, 1, other.address)).to.be.revertedWith(
+        "Not authorized to slash"
+      );
+      await expect(token.removeSlasher(slasher.address)).to.emit(token, "SlasherRemoved").withArgs(slasher.address);
+      await expect(token.connect(slasher).lockStake(alice.address, 1)).to.be.revertedWith("Not authorized to slash");
+    });
+  });
+
+  describe("Rewards", function () {
+    it("Should pay nothing while the reserve is empty", async function () {
+      const { token, alice } = await loadFixture(deployTokenFixture);
+      await token.connect(alice).stake(ethers.parseEther("1000"));
+      await time.increase(YEAR);
+
+      expect(await token.calculateRewards(alice.address)).to.equal(0n);
+      expect(await token.currentAPR()).to.equal(0n);
+    });
+
+    it("Should accrue the annual rate from the funded reserve", async function () {
+      const { token, owner, alice } = await loadFixture(deployTokenFixture);
+      await token.connect(alice).stake(ethers.parseEther("1000"));
+
+      await expect(token.fundRewards(ethers.parseEther("100")))
+        .to.emit(token, "RewardsFunded")
+        .withArgs(owner.address, ethers.parseEther("100"));
+      expect(await token.currentAPR()).to.equal(500n);
+      // 100 STOR at 50 STOR a year
+      expect((await token.rewardReserveEnd()) - BigInt(await time.latest())).to.be.closeTo(BigInt(2 * YEAR), 5n);
+
+      await time.increase(YEAR);
+      expect(await token.calculateRewards(alice.address)).to.be.closeTo(
+        ethers.parseEther("50"),
+        ethers.parseEther("0.001")
+      );
+    });
+
+    it("Should share rewards by stake and stop when the reserve runs out", async function () {
+      const { token, alice, bob } = await loadFixture(deployTokenFixture);
+      await token.connect(alice).stake(ethers.parseEther("1000"));
+      await token.fundRewards(ethers.parseEther("100"));
+      await time.increase(YEAR);
+      await token.connect(bob).stake(ethers.parseEther("1000"));
+      await time.increase(YEAR);
+
+      // Year two wants 100 STOR for 2000 staked but only 50 are left
+      expect(await token.calculateRewards(alice.address)).to.be.closeTo(
+        ethers.parseEther("75"),
+        ethers.parseEther("0.001")
+      );
+      expect(await token.calculateRewards(bob.address)).to.be.closeTo(
+        ethers.parseEther("25"),
+        ethers.parseEther("0.001")
+      );
+      expect(await token.currentAPR()).to.equal(0n);
+    });
+
+    it("Should transfer claimed rewards out of the reserve", async function () {
+      const { token, alice } = await loadFixture(deployTokenFixture);
+      await token.connect(alice).stake(ethers.parseEther("1000"));
+      await token.fundRewards(ethers.parseEther("1000"));
+      const supply = await token.totalSupply();
+      await time.increase(YEAR);
+
+      await expect(token.connect(alice).claimRewards()).to.emit(token, "RewardsClaimed");
+      expect(await token.balanceOf(alice.address)).to.be.closeTo(
+        ethers.parseEther("99050"),
+        ethers.parseEther("0.001")
+      );
+      expect(await token.calculateRewards(alice.address)).to.equal(0n);
+      expect(await token.totalSupply()).to.equal(supply);
+    });
+
+    it("Should settle accrued rewards before a rate change", async function () {
+      const { token, alice } = await loadFixture(deployTokenFixture);
+      await token.connect(alice).stake(ethers.parseEther("1000"));
+      await token.fundRewards(ethers.parseEther("1000"));
+      await time.increase(YEAR);
+
+      await expect(token.updateStakingRewardRate(10)).to.emit(token, "StakingRewardRateUpdated").withArgs(10);
+      await time.increase(YEAR);
+      expect(await token.calculateRewards(alice.address)).to.be.closeTo(
+        ethers.parseEther("150"),
+        ethers.parseEther("0.001")
+      );
+      await expect(token.updateStakingRewardRate(21)).to.be.revertedWith("Reward rate too high");
+    });
+  });
+
+  describe("Voting power", function () {
+    it("Should checkpoint voting power by block", async function () {
+      const { token, alice } = await loadFixture(deployTokenFixture);
+      await token.connect(alice).stake(ethers.parseEther("1000"));
+      const staked = await token.clock();
+      await mine(1);
+      await token.connect(alice).stake(ethers.parseEther("500"));
+      await mine(1);
+
+      expect(await token.getPastVotes(alice.address, staked)).to.equal(ethers.parseEther("1000"));
+      expect(await token.getPastTotalSupply(staked)).to.equal(ethers.parseEther("1000"));
+      expect(await token.getVotes(alice.address)).to.equal(ethers.parseEther("1500"));
+      expect(await token.CLOCK_MODE()).to.equal("mode=blocknumber&from=default");
+      await expect(token.getPastVotes(alice.address, await token.clock())).to.be.revertedWith(
+        "Timepoint is not in the past"
+      );
+    });
+  });
+
+  describe("Pause", function () {
+    it("Should block staking, unstaking and claims while paused", async function () {
+      const { token, alice, other } = await loadFixture(deployTokenFixture);
+      await token.connect(alice).stake(ethers.parseEther("1000"));
+      await time.increase(7 * DAY);
+
+      await expect(token.connect(other).pause()).to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount");
+      await token.pause();
+      await expect(token.connect(alice).stake(1)).to.be.revertedWithCustomError(token, "EnforcedPause");
+      await expect(token.connect(alice).unstake(1)).to.be.revertedWithCustomError(token, "EnforcedPause");
+      await expect(token.connect(alice).claimRewards()).to.be.revertedWithCustomError(token, "EnforcedPause");
+
+      await token.unpause();
+      await expect(token.connect(alice).unstake(ethers.parseEther("1000"))).to.emit(token, "Unstaked");
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const {
+  NO_PREFERENCES,
+  GB,
+  deployStorageFixture,
+  managerFactory,
+  merkleCommitment,
+  sampleChunks,
+  eventsOf
+} = require("./fixtures");
+
+const MANAGER_OPTIONS = { kind: "transparent", unsafeAllowLinkedLibraries: true };
+
+describe("Upgrades", function () {
+  // Storage stack with an uploaded file, a staked account and a share, so upgrades have state to keep
+  async function populatedStorageFixture() {
+    const fixture = await deployStorageFixture();
+    const { token, manager, client, other } = fixture;
+
+    const commitment = merkleCommitment(sampleChunks());
+    const tx = await manager.connect(client).uploadFile(
+      "report",
+      "QmReport",
+      GB,
+      commitment.merkleRoot,
+      commitment.chunkCount,
+      "wrapped-owner-key",
+      false,
+      ["finance"],
+      2,
+      NO_PREFERENCES
+    );
+    const contractIds = (await eventsOf(manager, tx, "StorageContractCreated")).map((event) => event.args.contractId);
+    await manager.connect(client).grantFileAccess("report", other.address, 1, 0, "wrapped-other-key");
+    await token.connect(other).stake(ethers.parseEther("2000"));
+
+    return { ...fixture, contractIds };
+  }
+
+  // Everything the upgrade tests expect to survive an upgrade
+  async function snapshot({ token, manager, euProvider, client, other }, contractIds) {
+    return {
+      file: (await manager.getFileInfo("report")).toArray(),
+      owned: (await manager.getFilesByOwner(client.address, 0, 10)).toArray(true),
+      contracts: await Promise.all(contractIds.map(async (id) => (await manager.storageContracts(id)).toArray())),
+      provider: (await manager.getProviderInfo(euProvider.address)).toArray(),
+      totalProviders: await manager.getTotalProviders(),
+      clientBalance: await manager.userBalances(client.address),
+      pool: (await manager.getIncentivePoolInfo()).toArray(),
+      permissions: await manager.getFilePermissions("report", other.address),
+      tokenBalance: await token.balanceOf(client.address),
+      staked: (await token.stakingInfo(other.address)).stakedAmount,
+      lockedStake: await token.lockedStake(euProvider.address),
+      votingPower: await token.votingPower(other.address),
+      minimumStakingPeriod: await token.minimumStakingPeriod()
+    };
+  }
+
+  describe("Initialization", function () {
+    it("Should set up the proxies through their initializers", async function () {
+      const { token, manager, owner } = await loadFixture(deployStorageFixture);
+
+      expect(await manager.owner()).to.equal(owner.address);
+      expect(await manager.storageToken()).to.equal(token.target);
+      expect((await manager.getIncentivePoolInfo()).rewardRate).to.equal(ethers.parseEther("10"));
+      expect(await token.owner()).to.equal(owner.address);
+      expect(await token.stakingRewardRate()).to.equal(5n);
+      expect(await token.authorizedMinters(owner.address)).to.equal(true);
+    });
+
+    it("Should not initialize twice", async function () {
+      const { token, manager } = await loadFixture(deployStorageFixture);
+
+      await expect(manager.initialize(token.target)).to.be.revertedWithCustomError(manager, "InvalidInitialization");
+      await expect(token.initialize()).to.be.revertedWithCustomError(token, "InvalidInitialization");
+    });
+
+    it("Should lock the implementations", async function () {
+      const { token, manager } = await loadFixture(deployStorageFixture);
+
+      const managerImplementation = await ethers.getContractAt(
+        "DecentralizedStorageManager",
+        await upgrades.erc1967.getImplementationAddress(manager.target)
+      );
+      const tokenImplementation = await ethers.getContractAt(
+        "StorageToken",
+        await upgrades.erc1967.getImplementationAddress(token.target)
+      );
+
+      await expect(managerImplementation.initialize(token.target)).to.be.revertedWithCustomError(
+        managerImplementation,
+        "InvalidInitialization"
+      );
+      await expect(tokenImplementation.initialize()).to.be.revertedWithCustomError(
+        tokenImplementation,
+        "InvalidInitialization"
+      );
+    });
+  });
+
+  describe("DecentralizedStorageManager", function () {
+    it("Should keep files, storage contracts and providers across an upgrade", async function () {
+      const fixture = await loadFixture(populatedStorageFixture);
+      const { manager, contractIds } = fixture;
+      const before = await snapshot(fixture, contractIds);
+      const previousImplementation = await upgrades.erc1967.getImplementationAddress(manager.target);
+
+      const upgraded = await upgrades.upgradeProxy(manager, await managerFactory("DecentralizedStorageManagerV2"), {
+        ...MANAGER_OPTIONS,
+        call: "initializeV2"
+      });
+
+      expect(upgraded.target).to.equal(manager.target);
+      expect(await upgrades.erc1967.getImplementationAddress(manager.target)).to.not.equal(previousImplementation);
+      expect(await upgraded.upgradedAt()).to.be.greaterThan(0n);
+      expect(await snapshot({ ...fixture, manager: upgraded }, contractIds)).to.deep.equal(before);
+    });
+
+    it("Should keep working after an upgrade", async function () {
+      const { manager, client, other } = await loadFixture(populatedStorageFixture);
+      const upgraded = await upgrades.upgradeProxy(
+        manager,
+        await managerFactory("DecentralizedStorageManagerV2"),
+        MANAGER_OPTIONS
+      );
+
+      const commitment = merkleCommitment(sampleChunks());
+      await upgraded
+        .connect(client)
+        .uploadFile("notes", "QmNotes", GB, commitment.merkleRoot, commitment.chunkCount, "", true, [], 1, NO_PREFERENCES);
+      await upgraded.connect(other).accessFile("report");
+
+      expect(await upgraded.getTotalFiles()).to.equal(2n);
+      expect((await upgraded.getFileInfo("report")).accessCount).to.equal(1n);
+    });
+
+    it("Should reject an implementation with an incompatible storage layout", async function () {
+      const { manager } = await loadFixture(deployStorageFixture);
+      const Reordered = await ethers.getContractFactory("ReorderedStorageManager");
+
+      await expect(upgrades.validateUpgrade(manager, Reordered, { kind: "transparent" })).to.be.rejectedWith(
+        /New storage layout is incompatible/
+      );
+      await expect(upgrades.upgradeProxy(manager, Reordered, { kind: "transparent" })).to.be.rejectedWith(
+        /New storage layout is incompatible/
+      );
+    });
+
+    it("Should only be upgraded by the proxy admin owner", async function () {
+      const { manager, other } = await loadFixture(deployStorageFixture);
+      const ManagerV2 = await managerFactory("DecentralizedStorageManagerV2");
+
+      await expect(upgrades.upgradeProxy(manager, ManagerV2.connect(other), MANAGER_OPTIONS)).to.be.rejected;
+    });
+  });
+
+  describe("StorageToken", function () {
+    it("Should keep balances, stakes and locked collateral across an upgrade", async function () {
+      const fixture = await loadFixture(populatedStorageFixture);
+      const { token, contractIds } = fixture;
+      const before = await snapshot(fixture, contractIds);
+
+      const upgraded = await upgrades.upgradeProxy(token, await ethers.getContractFactory("StorageTokenV2"), {
+        kind: "transparent",
+        call: "initializeV2"
+      });
+
+      expect(upgraded.target).to.equal(token.target);
+      expect(await upgraded.upgradedAt()).to.be.greaterThan(0n);
+      expect(await snapshot({ ...fixture, token: upgraded }, contractIds)).to.deep.equal(before);
+    });
+
+    it("Should let the manager slash stake after an upgrade", async function () {
+      const { token, manager, owner, euProvider } = await loadFixture(populatedStorageFixture);
+      await upgrades.upgradeProxy(token, await ethers.getContractFactory("StorageTokenV2"), { kind: "transparent" });
+
+      await expect(manager.connect(owner).slashProvider(euProvider.address, ethers.parseEther("100"), "downtime"))
+        .to.emit(manager, "ProviderSlashed")
+        .withArgs(euProvider.address, ethers.parseEther("100"), "downtime");
+      expect(await token.lockedStake(euProvider.address)).to.equal(ethers.parseEther("900"));
+    });
+  });
+});
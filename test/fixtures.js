@@ -0,0 +1,139 @@
+const { ethers, upgrades } = require("hardhat");
+
+// Libraries DecentralizedStorageManager links against
+const LIBRARIES = [
+  "ProviderSelection",
+  "ProviderRegistry",
+  "FileIndex",
+  "FileAccess",
+  "StorageChallenges",
+  "FileVersions",
+  "StorageContracts"
+];
+
+const NO_PREFERENCES = { maxPricePerGB: 0n, preferredRegions: [], excludedRegions: [] };
+
+const GB = 10n ** 9n;
+const DAY = 24 * 60 * 60;
+
+// Bytes per Merkle leaf (FileVersions.CHUNK_SIZE)
+const CHUNK_SIZE = 256n * 1024n;
+
+// Number of chunks a file of the given size is committed as
+const chunkCount = (fileSize) => (fileSize + CHUNK_SIZE - 1n) / CHUNK_SIZE;
+
+// Deploy the token behind a transparent proxy
+async function deployToken() {
+  const StorageToken = await ethers.getContractFactory("StorageToken");
+  return upgrades.deployProxy(StorageToken, [], { kind: "transparent" });
+}
+
+// Deploy fresh libraries and a factory for a manager implementation linked against them
+async function managerFactory(contractName = "DecentralizedStorageManager") {
+  const libraries = {};
+  for (const name of LIBRARIES) {
+    libraries[name] = (await ethers.deployContract(name)).target;
+  }
+  return ethers.getContractFactory(contractName, { libraries });
+}
+
+// Deploy the token and the manager behind transparent proxies
+async function deployStorage() {
+  const token = await deployToken();
+  const manager = await upgrades.deployProxy(await managerFactory(), [token.target], {
+    kind: "transparent",
+    unsafeAllowLinkedLibraries: true
+  });
+  await token.addSlasher(manager.target);
+
+  return { token, manager };
+}
+
+// Token and manager with three registered providers, a funded client and a funded incentive pool.
+// Providers: eu at 1 STOR/GB/day, us at 2 STOR/GB/day, asia at 3 STOR/GB/day.
+async function deployStorageFixture() {
+  const [owner, euProvider, usProvider, asiaProvider, client, other, keeper] = await ethers.getSigners();
+  const { token, manager } = await deployStorage();
+
+  for (const account of [euProvider, usProvider, asiaProvider, client, other]) {
+    await token.transfer(account.address, ethers.parseEther("100000"));
+    await token.connect(account).approve(manager.target, ethers.MaxUint256);
+  }
+
+  const providers = [
+    [euProvider, ethers.parseEther("1"), "node-eu", "eu"],
+    [usProvider, ethers.parseEther("2"), "node-us", "us"],
+    [asiaProvider, ethers.parseEther("3"), "node-asia", "asia"]
+  ];
+  for (const [provider, pricePerGB, nodeId, region] of providers) {
+    await token.connect(provider).stake(ethers.parseEther("5000"));
+    await manager.connect(provider).registerProvider(1000n * GB, pricePerGB, nodeId, region);
+  }
+
+  await token.approve(manager.target, ethers.MaxUint256);
+  await manager.addToIncentivePool(ethers.parseEther("10000"));
+  await manager.connect(client).deposit(ethers.parseEther("50000"));
+
+  return { token, manager, owner, euProvider, usProvider, asiaProvider, client, other, keeper };
+}
+
+// Keccak Merkle tree matching StorageChallenges.verifyProof: nodes are keccak256(left ++ right)
+// and an odd node at the end of a level is paired with itself
+function merkleCommitment(chunks) {
+  const levels = [chunks.map((chunk) => ethers.keccak256(chunk))];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(ethers.keccak256(ethers.concat([level[i], level[i + 1] ?? level[i]])));
+    }
+    levels.push(next);
+  }
+
+  const proof = (index) => {
+    const siblings = [];
+    for (let depth = 0; depth < levels.length - 1; depth++) {
+      const level = levels[depth];
+      const position = index >> depth;
+      siblings.push(level[position ^ 1] ?? level[position]);
+    }
+    return { proof: siblings, chunk: chunks[index] };
+  };
+
+  return { merkleRoot: levels[levels.length - 1][0], chunkCount: chunks.length, proof };
+}
+
+// Distinct 32 byte chunks, as many as a file of the given size is committed as. The contracts
+// only check the number of chunks, so short ones keep the trees quick to build.
+const sampleChunks = (fileSize = GB) =>
+  Array.from({ length: Number(chunkCount(fileSize)) }, (_, n) => ethers.zeroPadValue(ethers.toBeHex(n + 1), 32));
+
+// Parsed events of one name from a transaction receipt
+async function eventsOf(contract, tx, name) {
+  const receipt = await tx.wait();
+  return receipt.logs
+    .map((log) => {
+      try {
+        return contract.interface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .filter((log) => log && log.name === name);
+}
+
+module.exports = {
+  LIBRARIES,
+  NO_PREFERENCES,
+  GB,
+  DAY,
+  CHUNK_SIZE,
+  chunkCount,
+  deployToken,
+  managerFactory,
+  deployStorage,
+  deployStorageFixture,
+  merkleCommitment,
+  sampleChunks,
+  eventsOf
+};